@@ -0,0 +1,196 @@
+import React from "react";
+import { parseInline, validateAnalysis } from "./analysis";
+import { citationDescription, citationLabel, findCitation } from "./citations";
+import { isBroken } from "./citationCheck";
+
+/*
+  AnalysisPanel
+  - Renders any analysis in the format described in analysis.js
+  - Malformed analyses show their validation errors instead of content
+  - After a citation check, buttons whose quote was not found (or only
+    approximately) are flagged
+  - Citation buttons announce their label, page and quote (not just "[1]")
+*/
+
+// tooltip line added for a checked citation
+const checkNote = (check) => {
+  if (!check || check.status === "exact") return "";
+  if (check.status === "fuzzy") return `\nOnly approximately found (${Math.round(check.confidence * 100)}% confidence)`;
+  return `\nBroken: ${check.error || "quote not found in the document"}`;
+};
+
+// the same for screen readers, as a short suffix to the button's description
+const checkStatus = (check) => {
+  if (!check || check.status === "exact") return "";
+  return check.status === "fuzzy" ? ", only approximately found" : ", quote not found in the document";
+};
+
+function CiteButton({ citation, active, check, onCite }) {
+  const broken = check && isBroken(check);
+  return (
+    <button
+      onClick={() => onCite({ citationId: citation.id })}
+      title={(citation.excerpt || citation.quote) + checkNote(check)}
+      aria-label={citationDescription(citation) + checkStatus(check)}
+      aria-current={active ? "true" : undefined}
+      style={{
+        ...styles.citeButton,
+        ...(broken ? styles.citeButtonBroken : check?.status === "fuzzy" ? styles.citeButtonFuzzy : null),
+        ...(active ? styles.citeButtonActive : null),
+      }}
+    >
+      {citationLabel(citation)}
+    </button>
+  );
+}
+
+export function InlineText({ text, citations, activeCitationId, checks, onCite }) {
+  return parseInline(text).map((token, i) => {
+    if (token.type === "strong") return <strong key={i}>{token.value}</strong>;
+    if (token.type === "cite") {
+      const citation = citations[token.index - 1];
+      return citation ? (
+        <CiteButton
+          key={i}
+          citation={citation}
+          active={citation.id === activeCitationId}
+          check={checks[citation.id]}
+          onCite={onCite}
+        />
+      ) : null;
+    }
+    return <React.Fragment key={i}>{token.value}</React.Fragment>;
+  });
+}
+
+export default function AnalysisPanel({ analysis, activeCitationId = null, checks = NO_CHECKS, onCite }) {
+  const errors = validateAnalysis(analysis);
+  if (errors.length) {
+    return (
+      <div role="alert" style={styles.panelContent}>
+        <div style={styles.heading}>Analysis could not be loaded</div>
+        <ul style={styles.errorList}>
+          {errors.map((msg) => (
+            <li key={msg}>{msg}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  const { citations, sections, findings = [], evidence = [] } = analysis;
+
+  return (
+    <div style={styles.panelContent}>
+      {sections.map((section, si) => (
+        <React.Fragment key={si}>
+          <div style={{ ...styles.heading, marginTop: si ? 8 : 0 }}>{section.heading}</div>
+          <div style={{ fontSize: 13, color: "#fff", lineHeight: 1.4, marginBottom: 10 }}>
+            {section.paragraphs.map((p, pi) => (
+              <div key={pi} style={{ marginTop: pi ? 10 : 0 }}>
+                <InlineText
+                  text={p}
+                  citations={citations}
+                  activeCitationId={activeCitationId}
+                  checks={checks}
+                  onCite={onCite}
+                />
+              </div>
+            ))}
+          </div>
+        </React.Fragment>
+      ))}
+
+      {findings.length > 0 && (
+        <>
+          <div style={{ fontWeight: 700, marginTop: 8, color: "#fff" }}>Findings</div>
+          <div style={{ marginTop: 8, fontSize: 13, color: "#fff", lineHeight: 1.45 }}>
+            {findings.map((group, gi) => (
+              <React.Fragment key={gi}>
+                <div style={{ marginTop: gi ? 10 : 0 }}>
+                  <strong>
+                    Page {group.page} — {group.heading}
+                  </strong>
+                </div>
+                {group.items.map((item, ii) => (
+                  <div key={ii} style={{ marginLeft: 8 }}>
+                    <InlineText
+                      text={item}
+                      citations={citations}
+                      activeCitationId={activeCitationId}
+                      checks={checks}
+                      onCite={onCite}
+                    />
+                  </div>
+                ))}
+              </React.Fragment>
+            ))}
+          </div>
+        </>
+      )}
+
+      {evidence.length > 0 && (
+        <div style={{ marginTop: 12, fontSize: 13, color: "#fff", lineHeight: 1.4 }}>
+          <div style={{ fontWeight: 700, marginBottom: 6 }}>Supporting Evidence</div>
+          {evidence.map((ev, index) => {
+            const citation = findCitation(citations, ev.citation);
+            return (
+              <div key={`${index}-${ev.citation}`} style={{ marginTop: 8 }}>
+                <strong>{citationLabel(citation)}</strong> {ev.source ? `${ev.source} — ` : ""}Page {citation.page} →{" "}
+                <em style={{ color: "#ddd" }}>“{ev.quote}”</em>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const NO_CHECKS = {};
+
+const styles = {
+  panelContent: {
+    whiteSpace: "pre-wrap",
+    color: "#f9fafb",
+    fontSize: 14,
+    lineHeight: 1.5,
+  },
+  heading: {
+    fontWeight: 700,
+    fontSize: 16,
+    marginBottom: 8,
+    color: "#fff",
+  },
+  errorList: {
+    margin: 0,
+    paddingLeft: 18,
+    fontSize: 13,
+    color: "#fca5a5",
+    whiteSpace: "normal",
+  },
+  citeButton: {
+    display: "inline-block",
+    marginLeft: 6,
+    marginRight: 2,
+    background: "#1c965dff",
+    borderRadius: 4,
+    padding: "2px 6px",
+    border: "none",
+    cursor: "pointer",
+    fontWeight: 700,
+    fontSize: 12,
+  },
+  citeButtonFuzzy: {
+    background: "#d97706",
+  },
+  citeButtonBroken: {
+    background: "#dc2626",
+    color: "#fff",
+    textDecoration: "line-through",
+  },
+  citeButtonActive: {
+    outline: "2px solid #facc15",
+    outlineOffset: 1,
+  },
+};
@@ -0,0 +1,227 @@
+import React from "react";
+import { ANNOTATION_COLORS } from "./annotations";
+
+/*
+  AnnotationPanel
+  - Tools: colour, "Highlight selection" and "Draw area" for the active document
+  - Lists the document's annotations in reading order; clicking one jumps to it,
+    the note is edited in place
+  - Export (XFDF / annotated PDF) and import of the PDF's own highlights
+  - Stateless: the parent owns the annotations and persists them
+*/
+
+const annotationSummary = (a) => {
+  if (a.kind === "area") return "Area";
+  return a.quote ? `“${a.quote}”` : "Highlight";
+};
+
+function AnnotationItem({ annotation, onSelect, onChange, onDelete }) {
+  const color = ANNOTATION_COLORS[annotation.color] || ANNOTATION_COLORS.yellow;
+  return (
+    <li style={styles.item}>
+      <div style={styles.itemHeader}>
+        <span style={{ ...styles.swatch, background: color }} aria-hidden="true" />
+        <button style={styles.itemLink} onClick={() => onSelect(annotation)}>
+          Page {annotation.page} — {annotationSummary(annotation)}
+        </button>
+        <button style={styles.deleteButton} aria-label="Delete annotation" onClick={() => onDelete(annotation.id)}>
+          ×
+        </button>
+      </div>
+      <textarea
+        value={annotation.note}
+        placeholder="Add a note"
+        aria-label={`Note for annotation on page ${annotation.page}`}
+        rows={2}
+        style={styles.note}
+        onChange={(e) => onChange(annotation.id, { note: e.target.value })}
+      />
+    </li>
+  );
+}
+
+export default function AnnotationPanel({
+  annotations,
+  color,
+  onColorChange,
+  canHighlight = false,
+  onHighlight,
+  drawArea = false,
+  onDrawAreaChange,
+  onSelect,
+  onChange,
+  onDelete,
+  onExport,
+  onImport,
+  exporting = false,
+  disabled = false,
+}) {
+  return (
+    <div style={styles.panelContent}>
+      <div style={styles.heading}>Annotations</div>
+      <div role="toolbar" aria-label="Annotation tools" style={styles.tools}>
+        {Object.entries(ANNOTATION_COLORS).map(([name, value]) => (
+          <button
+            key={name}
+            aria-label={`${name} highlight colour`}
+            aria-pressed={color === name}
+            title={name}
+            disabled={disabled}
+            style={{ ...styles.colorButton, background: value, ...(color === name ? styles.colorButtonActive : null) }}
+            onClick={() => onColorChange(name)}
+          />
+        ))}
+        <button
+          style={styles.toolButton}
+          disabled={disabled || !canHighlight}
+          title="Select text in the document first"
+          onClick={onHighlight}
+        >
+          Highlight selection
+        </button>
+        <button
+          style={{ ...styles.toolButton, ...(drawArea ? styles.toolButtonActive : null) }}
+          aria-pressed={drawArea}
+          disabled={disabled}
+          title="Drag a rectangle over a chart or table"
+          onClick={() => onDrawAreaChange(!drawArea)}
+        >
+          Draw area
+        </button>
+      </div>
+
+      <div role="toolbar" aria-label="Export and import" style={styles.tools}>
+        <button
+          style={styles.toolButton}
+          disabled={disabled || exporting}
+          title="Citation highlights and annotations as XFDF"
+          onClick={() => onExport("xfdf")}
+        >
+          Export XFDF
+        </button>
+        <button
+          style={styles.toolButton}
+          disabled={disabled || exporting}
+          title="Copy of the PDF with the highlights saved as annotations"
+          onClick={() => onExport("pdf")}
+        >
+          {exporting ? "Exporting…" : "Export PDF"}
+        </button>
+        <button style={styles.toolButton} disabled={disabled} onClick={onImport}>
+          Import PDF highlights
+        </button>
+      </div>
+
+      {annotations.length === 0 ? (
+        <div style={styles.empty}>No annotations yet.</div>
+      ) : (
+        <ul style={styles.list}>
+          {annotations.map((a) => (
+            <AnnotationItem key={a.id} annotation={a} onSelect={onSelect} onChange={onChange} onDelete={onDelete} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panelContent: {
+    color: "#f9fafb",
+    fontSize: 13,
+    lineHeight: 1.4,
+  },
+  heading: {
+    fontWeight: 700,
+    fontSize: 16,
+    marginBottom: 8,
+    color: "#fff",
+  },
+  tools: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 10,
+  },
+  colorButton: {
+    width: 20,
+    height: 20,
+    borderRadius: "50%",
+    border: "2px solid transparent",
+    cursor: "pointer",
+    padding: 0,
+  },
+  colorButtonActive: {
+    borderColor: "#fff",
+  },
+  toolButton: {
+    background: "#374151",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "3px 8px",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  toolButtonActive: {
+    background: "#2563eb",
+    borderColor: "#3b82f6",
+  },
+  empty: {
+    color: "#9ca3af",
+  },
+  list: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+  },
+  item: {
+    borderTop: "1px solid #374151",
+    padding: "6px 0",
+  },
+  itemHeader: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+  },
+  swatch: {
+    flex: "none",
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+  },
+  itemLink: {
+    flex: 1,
+    minWidth: 0,
+    background: "none",
+    border: "none",
+    color: "#e5e7eb",
+    textAlign: "left",
+    cursor: "pointer",
+    padding: 0,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+  deleteButton: {
+    background: "none",
+    border: "none",
+    color: "#9ca3af",
+    cursor: "pointer",
+    fontSize: 16,
+    lineHeight: 1,
+  },
+  note: {
+    width: "100%",
+    boxSizing: "border-box",
+    marginTop: 4,
+    background: "#111827",
+    color: "#f9fafb",
+    border: "1px solid #374151",
+    borderRadius: 4,
+    fontFamily: "inherit",
+    fontSize: 12,
+    resize: "vertical",
+  },
+};
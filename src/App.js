@@ -1,496 +1,1223 @@
-import React, { useRef, useState, useEffect, useCallback } from "react";
-import * as pdfjsLib from "pdfjs-dist/build/pdf";
-import workerSrc from "pdfjs-dist/build/pdf.worker.js";
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { findCitation, citationDescription, citationLabel, validateCitation, validateCitations } from "./citations";
+import { parseAnalysis, validateAnalysis } from "./analysis";
+import AnalysisPanel from "./AnalysisPanel";
+import PdfViewer from "./PdfViewer";
+import ViewerToolbar from "./ViewerToolbar";
+import SearchBar from "./SearchBar";
+import DocumentSidebar from "./DocumentSidebar";
+import PageControls from "./PageControls";
+import AnnotationPanel from "./AnnotationPanel";
+import { createAnnotation, DEFAULT_COLOR, loadAnnotations, saveAnnotations, sortAnnotations } from "./annotations";
+import { addPdfAnnotations, buildXfdf, marksFromAnnotations, marksFromCitations } from "./pdfAnnotations";
+import { downloadBlob, fileStem } from "./download";
+import CitationAuthoring from "./CitationAuthoring";
+import {
+  buildCitationSet,
+  citationFromCell,
+  citationFromSelection,
+  mergeCitations,
+  parseCitationSet,
+} from "./citationSet";
+import CitationReport from "./CitationReport";
+import { isBroken, pdfPageText, verifyCitations } from "./citationCheck";
+import { loadPdf } from "./pdfDocument";
+import { formatHash, parseHash } from "./deepLink";
+import { boundingRect } from "./textGeometry";
+import TablePreview from "./TablePreview";
+import AskPanel from "./AskPanel";
+import { askDocument, configuredProviders } from "./askDocument";
+import PrintPanel from "./PrintPanel";
+import ComparePanel from "./ComparePanel";
+import { compareFigures, mapPage, matchSections } from "./reportCompare";
+import { canvasToPng, footerText, imagesToPdf, printImages } from "./pageExport";
+import { tableToCsv, tableToJson, tableToTsv } from "./tableExtraction";
+import { DEFAULT_VIEW, rotateClockwise, zoomIn, zoomOut } from "./viewSettings";
+import defaultAnalysis from "./analyses/maersk-q2-2025.json";
+import {
+  DEFAULT_SOURCE,
+  documentFromSource,
+  isPdfFile,
+  sourceFromDocument,
+  sourceFromFile,
+  sourceFromSearch,
+  titleFromMetadata,
+} from "./pdfSource";
 
-pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+const ASK_PROVIDERS = configuredProviders();
+const SYNC_QUIET_MS = 1000; // page reports of a viewer the sync just scrolled are ignored this long
+const BOTH = "*"; // syncRef: both viewers were scrolled (a difference was shown)
 
 /*
   Final App.js
-  - Renders PDF pages (canvas + textLayer) inside React
+  - Document tabs, one PdfViewer per open PDF (each keeps its scroll and highlights)
+  - Zoom / fit / rotate toolbar (Ctrl +, Ctrl -, Ctrl 0) for the active document
+  - Collapsible sidebar with page thumbnails (citation badges, current page) and the PDF outline
+  - Page N of M, jump to a page number or label, first / previous / next / last
+  - Full-document search with match navigation, per document
+  - Text highlights and area annotations with notes, saved per document in localStorage
+  - Export of citation highlights and annotations as XFDF or an annotated PDF copy;
+    import of the highlight annotations a PDF already carries
+  - Print or export pages as PNG / PDF images with highlights, annotations and a footer burned in
+  - Authoring mode: turn a text selection into a citation, export / reload the authored set as JSON
+  - Citation check: every quote of the analysis resolved against its document (exact / fuzzy /
+    not found); broken citation buttons are flagged
+  - Table extraction from the current page or a drawn region: preview grid, copy, CSV / JSON,
+    and "Cite cell" for a citation of one table cell
+  - Deep links in the URL hash (#page=, #cite=, #search=, #hl=, see deepLink.js); following
+    citations, searching and scrolling update it through history, so back/forward work
   - Right-side analysis panel with clickable citations [1][2][3]
-  - Pixel-accurate highlights on click
+  - Ask the document: a question and the page texts go to an answer provider (offline stub or
+    server, see askDocument.js); the answer's citations work like the analysis' ones
+  - Citations name their document; clicking one opens/switches to it and highlights the quote
+  - Compare mode: a second report next to the active one, scrolled along by page or by matched
+    section heading; figures that differ between matched passages are listed, and clicking one
+    highlights the passage in both reports (see reportCompare.js)
+  - Opens ?file=<url>, a picked file, or a PDF dropped on the viewer
 */
 
 export default function App() {
-  // Ensure PDF file is placed in public/
-  const pdfPath = "/Maersk-Q2-2025-Interim-Report.pdf";
-
-  const containerRef = useRef(null);
-  const pageRefs = useRef({}); // pageNumber -> { pageContainer, canvas, textLayer }
-  const hideTimeoutRef = useRef(null);
-
-  const [numPages, setNumPages] = useState(0);
-  const [activeRef, setActiveRef] = useState(null);
-  const [highlightActive, setHighlightActive] = useState(false);
-  const [pinned, setPinned] = useState(false);
-
-  // Static boxes (kept for overlay fallback if needed)
-  const defaultBoxes = {
-    p3: { topPct: 0.32, leftPct: 0.29, widthPct: 0.56, heightPx: 50, borderRadius: 6, label: "[1]" },
-    p5: { topPct: 0.39, leftPct: 0.29, widthPct: 0.56, heightPx: 50, borderRadius: 6, label: "[2]" },
-    p15: { topPct: 0.47, leftPct: 0.29, widthPct: 0.56, heightPx: 50, borderRadius: 6, label: "[3]" },
+  const viewerRefs = useRef({}); // documentId -> PdfViewer handle
+
+  const [openDocs, setOpenDocs] = useState(() => [sourceFromSearch(window.location.search)]);
+  const [activeDocId, setActiveDocId] = useState(() => openDocs[0].id);
+  const [docInfo, setDocInfo] = useState({}); // documentId -> { numPages, title }
+  const [views, setViews] = useState({}); // documentId -> { scale, rotation }
+  const [resolvedScales, setResolvedScales] = useState({}); // documentId -> numeric scale on screen
+  const [searches, setSearches] = useState({}); // documentId -> { query, options }
+  const [searchStatus, setSearchStatus] = useState({}); // documentId -> { total, current, pending }
+  const [activeCitations, setActiveCitations] = useState({}); // documentId -> highlighted citation id
+  const [pendingCitation, setPendingCitation] = useState(null); // { citation, persistent }
+  const [documentError, setDocumentError] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const [analysis, setAnalysis] = useState(defaultAnalysis);
+  const [analysisError, setAnalysisError] = useState(null);
+  const [citationError, setCitationError] = useState(null);
+  const [citationWarning, setCitationWarning] = useState(null); // quote only approximately found
+  const [annotations, setAnnotations] = useState({}); // documentId -> annotation list
+  const [selections, setSelections] = useState({}); // documentId -> { page, quote } selected text
+  const [annotationColor, setAnnotationColor] = useState(DEFAULT_COLOR);
+  const [drawArea, setDrawArea] = useState(false);
+  const savedAnnotationsRef = useRef({}); // documentId -> list last written to storage
+  const [exporting, setExporting] = useState(false);
+  const [notice, setNotice] = useState(null); // outcome of an export / import
+  const [authoring, setAuthoring] = useState(false);
+  const [authoredIds, setAuthoredIds] = useState([]); // citations created or loaded in authoring mode
+  const [checking, setChecking] = useState(false); // citation report shown
+  const [checkResults, setCheckResults] = useState(null); // see citationCheck.js
+  const [checkRunning, setCheckRunning] = useState(false);
+  const [checkError, setCheckError] = useState(null); // the check as a whole failed
+  const checkRunRef = useRef(0);
+  const linkedHashRef = useRef(window.location.hash); // hash last followed or written
+  const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [currentPages, setCurrentPages] = useState({}); // documentId -> page in the middle of the view
+  const [tableExtraction, setTableExtraction] = useState(null); // { id, document, page, view, region, tables }
+  const [tableRegion, setTableRegion] = useState(false); // next drawn rectangle extracts a table
+  const [askProviderId, setAskProviderId] = useState(ASK_PROVIDERS[0].id);
+  const [askResult, setAskResult] = useState(null); // { question, answer, citations, checks }
+  const [asking, setAsking] = useState(false);
+  const [askError, setAskError] = useState(null);
+  const askRunRef = useRef(0);
+  // high-contrast highlights, on by default when the system asks for more contrast
+  const [highContrast, setHighContrast] = useState(
+    () => !!window.matchMedia && window.matchMedia("(prefers-contrast: more)").matches
+  );
+  const [announcement, setAnnouncement] = useState(""); // text of the screen reader live region
+  const lastCitationRef = useRef(null); // citation id `[` / `]` step from
+  const [comparing, setComparing] = useState(false); // compare mode
+  const [compareDocId, setCompareDocId] = useState(null); // report shown next to the active one
+  const [syncMode, setSyncMode] = useState("section"); // "off" | "page" | "section"
+  const [comparison, setComparison] = useState(null); // { a, b, sections, differences }
+  const [comparisonRunning, setComparisonRunning] = useState(false);
+  const [comparisonError, setComparisonError] = useState(null);
+  const [selectedDifference, setSelectedDifference] = useState(null);
+  const compareRunRef = useRef(0);
+  const syncRef = useRef({ documentId: null, until: 0 }); // viewer the sync scrolled last, and until when
+
+  const activeDoc = openDocs.find((d) => d.id === activeDocId) || null;
+  const docTitle = activeDoc ? docInfo[activeDoc.id]?.title || titleFromMetadata(null, activeDoc) : "No document";
+  const comparedDoc = (comparing && openDocs.find((d) => d.id === compareDocId && d.id !== activeDocId)) || null;
+  const comparedId = comparedDoc ? comparedDoc.id : null;
+  // the comparison of the pair on screen, once it is done
+  const activeComparison =
+    comparison && comparison.a === activeDocId && comparison.b === comparedId ? comparison : null;
+
+  // a malformed analysis contributes no citations; AnalysisPanel shows its errors
+  const citations = useMemo(
+    () => (validateAnalysis(analysis).length === 0 ? analysis.citations : []),
+    [analysis]
+  );
+
+  // citation problems found once each document's page count is known (e.g. page out of range)
+  const pageCounts = useMemo(
+    () => Object.fromEntries(Object.entries(docInfo).map(([id, info]) => [id, info.numPages])),
+    [docInfo]
+  );
+  const citationProblems = useMemo(() => validateCitations(citations, { pageCounts }), [citations, pageCounts]);
+
+  // documents a citation may point at: what is open, then the analysis' registry
+  const resolveDocument = useCallback(
+    (documentId) => {
+      const open = openDocs.find((d) => d.id === documentId);
+      if (open) return open;
+      const listed = (analysis.documents || []).find((d) => d.id === documentId);
+      if (listed) return sourceFromDocument(listed);
+      if (documentId === DEFAULT_SOURCE.id) return DEFAULT_SOURCE;
+      return null;
+    },
+    [openDocs, analysis]
+  );
+
+  // add a document tab (or replace the one with the same id) and switch to it unless `activate` is false
+  const openDocument = useCallback((source, { activate = true } = {}) => {
+    setOpenDocs((docs) =>
+      docs.some((d) => d.id === source.id) ? docs.map((d) => (d.id === source.id ? source : d)) : [...docs, source]
+    );
+    if (activate) setActiveDocId(source.id);
+  }, []);
+
+  // compare with the report chosen before, else the first other open one
+  const toggleCompare = () => {
+    if (!comparing && !openDocs.some((d) => d.id === compareDocId && d.id !== activeDocId)) {
+      setCompareDocId(openDocs.find((d) => d.id !== activeDocId)?.id || null);
+    }
+    setComparing((on) => !on);
   };
-  const [highlightBoxes] = useState(defaultBoxes);
 
-  const BADGES = {
-    p3: { excerpt: "EBITDA of USD 2.3 bn (USD 2.1 bn) driven by volume & operational improvements. (Page 3)" },
-    p5: { excerpt: "EBITDA increased to USD 2.3 bn — revenue growth and cost control across segments. (Page 5)" },
-    p15: { excerpt: "Gain on sale of non-current assets, net: 25 (208) — reported below EBITDA (Page 15)." },
+  // active report on the left, compared one on the right; the rest stay mounted underneath
+  const viewerSlot = (documentId) => {
+    if (!comparedId) return styles.viewerSlot;
+    if (documentId === activeDocId) return { ...styles.viewerSlot, ...styles.viewerSlotLeft };
+    if (documentId === comparedId) return { ...styles.viewerSlot, ...styles.viewerSlotRight };
+    return styles.viewerSlot;
   };
 
-  // clear any existing DOM highlights
-  const clearAllHighlights = useCallback(() => {
+  // switching to the compared report puts the active one in its place
+  const switchDocument = (documentId) => {
+    if (documentId === compareDocId) setCompareDocId(activeDocId);
+    setActiveDocId(documentId);
+  };
+
+  const closeDocument = useCallback(
+    (documentId) => {
+      const index = openDocs.findIndex((d) => d.id === documentId);
+      const rest = openDocs.filter((d) => d.id !== documentId);
+      setOpenDocs(rest);
+      setDocInfo(({ [documentId]: _closed, ...info }) => info);
+      setActiveCitations(({ [documentId]: _closed, ...active }) => active);
+      setViews(({ [documentId]: _closed, ...rest }) => rest);
+      setResolvedScales(({ [documentId]: _closed, ...rest }) => rest);
+      setSearches(({ [documentId]: _closed, ...rest }) => rest);
+      setSearchStatus(({ [documentId]: _closed, ...rest }) => rest);
+      setAnnotations(({ [documentId]: _closed, ...rest }) => rest);
+      setSelections(({ [documentId]: _closed, ...rest }) => rest);
+      if (documentId === activeDocId) {
+        setActiveDocId(rest.length ? rest[Math.min(index, rest.length - 1)].id : null);
+      }
+    },
+    [openDocs, activeDocId]
+  );
+
+  // load an analysis JSON file picked by the user
+  const openAnalysisFile = useCallback(async (file) => {
+    if (!file) return;
     try {
-      const c = containerRef.current;
-      if (!c) return;
-      c.querySelectorAll(".pdf-perfect-highlight").forEach((n) => n.remove());
+      setAnalysis(parseAnalysis(await file.text()));
+      setAnalysisError(null);
     } catch (e) {
-      // ignore
+      setAnalysisError(`${file.name}: ${e.message}`);
     }
   }, []);
 
-  // Render single page into canvas + textLayer
-  const renderPage = useCallback(async (pdf, pageNumber) => {
-    try {
-      const page = await pdf.getPage(pageNumber);
-      const scale = 1.2; // adjust for crispness
-      const viewport = page.getViewport({ scale });
-
-      // create or reuse page container
-      let pageContainer = pageRefs.current[pageNumber]?.pageContainer;
-      if (!pageContainer) {
-        pageContainer = document.createElement("div");
-        pageContainer.className = "pdf-page";
-        pageContainer.style.position = "relative";
-        pageContainer.style.margin = "10px auto";
-        pageContainer.style.width = `${Math.round(viewport.width)}px`;
-        pageContainer.style.height = `${Math.round(viewport.height)}px`;
-        if (containerRef.current) containerRef.current.appendChild(pageContainer);
-        pageRefs.current[pageNumber] = { pageContainer, canvas: null, textLayer: null };
-      } else {
-        pageContainer.style.width = `${Math.round(viewport.width)}px`;
-        pageContainer.style.height = `${Math.round(viewport.height)}px`;
+  // open a PDF picked or dropped by the user
+  // `compare`: open it next to the active document instead of switching to it
+  const openPdfFile = useCallback(
+    async (file, { compare = false } = {}) => {
+      if (!file) return;
+      try {
+        const source = await sourceFromFile(file);
+        openDocument(source, { activate: !compare });
+        if (compare) setCompareDocId(source.id);
+        setDocumentError(null);
+      } catch (e) {
+        setDocumentError(e.message);
       }
+    },
+    [openDocument]
+  );
 
-      // canvas
-      let canvas = pageRefs.current[pageNumber].canvas;
-      if (!canvas) {
-        canvas = document.createElement("canvas");
-        canvas.style.display = "block";
-        pageContainer.appendChild(canvas);
-        pageRefs.current[pageNumber].canvas = canvas;
-      }
-      canvas.width = Math.round(viewport.width);
-      canvas.height = Math.round(viewport.height);
-      canvas.style.width = `${Math.round(viewport.width)}px`;
-      canvas.style.height = `${Math.round(viewport.height)}px`;
+  // Put `link` in the URL hash, as a new history entry or in place of the current one
+  const writeLink = useCallback((link, { replace = false } = {}) => {
+    const hash = formatHash(link);
+    if (hash === window.location.hash) return;
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (replace) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+    linkedHashRef.current = hash;
+  }, []);
 
-      // render page
-      await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  // Say something through the live region; the same message again is still announced
+  const announce = useCallback(
+    (message) => setAnnouncement((prev) => (prev === message ? `${message}\u00a0` : message)),
+    []
+  );
 
-      // text layer (remove old)
-      if (pageRefs.current[pageNumber].textLayer) {
-        pageRefs.current[pageNumber].textLayer.remove();
-      }
+  // citations of the analysis, then those of the current answer
+  const allCitations = useMemo(
+    () => (askResult ? [...citations, ...askResult.citations] : citations),
+    [citations, askResult]
+  );
+
+  // Public handler: switch to the citation's document and highlight its quote there
+  const showAndHighlightText = ({ citationId, persistent = false }) => {
+    const citation = findCitation(allCitations, citationId);
+    if (!citation) {
+      setCitationError(`Unknown citation "${citationId}"`);
+      return;
+    }
+    const problems = validateCitation(citation, { pageCounts });
+    if (problems.length) {
+      setCitationError(`Cannot open ${citationLabel(citation)}: ${problems.join("; ")}`);
+      return;
+    }
+    const doc = resolveDocument(citation.document);
+    if (!doc) {
+      setCitationError(`Cannot open ${citationLabel(citation)}: document "${citation.document}" is not available`);
+      return;
+    }
+    setCitationError(null);
+    setCitationWarning(null);
+    lastCitationRef.current = citation.id;
+    openDocument(doc);
+    setPendingCitation({ citation, persistent });
+    writeLink({ cite: citation.id });
+  };
 
-      const textLayerDiv = document.createElement("div");
-      textLayerDiv.className = "textLayer";
-      textLayerDiv.style.position = "absolute";
-      textLayerDiv.style.left = "0";
-      textLayerDiv.style.top = "0";
-      textLayerDiv.style.width = `${Math.round(viewport.width)}px`;
-      textLayerDiv.style.height = `${Math.round(viewport.height)}px`;
-      textLayerDiv.style.pointerEvents = "auto"; // allow detection
-
-      pageContainer.appendChild(textLayerDiv);
-      pageRefs.current[pageNumber].textLayer = textLayerDiv;
-
-      const textContent = await page.getTextContent();
-      const frag = document.createDocumentFragment();
-
-      for (let i = 0; i < textContent.items.length; i++) {
-        const item = textContent.items[i];
-        const str = item.str || "";
-        if (!str.trim()) continue;
-
-        const span = document.createElement("span");
-        span.className = "textLayerItem";
-        span.textContent = str;
-
-        // transform and font height approx
-        const tx = item.transform;
-        const fontHeight = Math.sqrt(tx[0] * tx[0] + tx[1] * tx[1]) * viewport.scale;
-
-        const [x, y] = viewport.convertToViewportPoint(tx[4], tx[5]);
-        span.style.position = "absolute";
-        span.style.left = `${Math.round(x)}px`;
-        span.style.top = `${Math.round(y - fontHeight)}px`;
-        span.style.fontSize = `${Math.round(fontHeight)}px`;
-        span.style.lineHeight = `${Math.round(fontHeight)}px`;
-        span.style.whiteSpace = "pre";
-        // hide underlying text (we draw highlights over it)
-        span.style.color = "transparent";
-        frag.appendChild(span);
+  // hand the pending citation to its viewer once that viewer is mounted
+  useEffect(() => {
+    if (!pendingCitation) return;
+    const { citation, persistent } = pendingCitation;
+    const viewer = viewerRefs.current[citation.document];
+    if (!viewer) return;
+    setPendingCitation(null);
+    viewer.showAndHighlightText(citation, { persistent }).then((result) => {
+      const label = citationLabel(citation);
+      if (result.error) {
+        setCitationError(`Cannot open ${label}: ${result.error}`);
+        announce(`Cannot open ${label}: ${result.error}`);
+      } else if (result.textError) {
+        // the quote could not be looked for at all: an error, not a near miss
+        setCitationError(`Cannot highlight ${label}: ${result.textError}; showing its approximate area`);
+        announce(`Cannot highlight ${label}: ${result.textError}; showing its approximate area`);
+      } else if (!result.found) {
+        setCitationWarning(`${label}: quote not found on page ${citation.page}; showing its approximate area`);
+        announce(`${label}: quote not found on page ${citation.page}; showing its approximate area`);
+      } else {
+        if (result.method === "fuzzy") {
+          const percent = Math.round(result.confidence * 100);
+          setCitationWarning(`${label} was only approximately found on page ${citation.page} (${percent}% confidence)`);
+        }
+        announce(`${label} highlighted on page ${citation.page}: “${citation.quote}”`);
       }
+    });
+  }, [pendingCitation, openDocs, announce]);
 
-      textLayerDiv.appendChild(frag);
-
-      // measure spans widths
-      const measureCanvas = document.createElement("canvas");
-      const mctx = measureCanvas.getContext("2d");
-      const spans = Array.from(textLayerDiv.querySelectorAll(".textLayerItem"));
-      spans.forEach((s) => {
-        const fs = window.getComputedStyle(s).fontSize || "12px";
-        mctx.font = `${fs} Arial, sans-serif`;
-        const w = mctx.measureText(s.textContent).width;
-        s.style.width = `${Math.ceil(w)}px`;
+  const activeCitationId = activeDoc ? activeCitations[activeDoc.id] || null : null;
+  const activeView = (activeDoc && views[activeDoc.id]) || DEFAULT_VIEW;
+
+  // change the active document's view settings
+  const updateView = useCallback(
+    (change) => {
+      if (!activeDocId) return;
+      setViews((prev) => {
+        const current = prev[activeDocId] || DEFAULT_VIEW;
+        return { ...prev, [activeDocId]: { ...current, ...change(current) } };
       });
-    } catch (err) {
-      // console.error("renderPage err", err);
+    },
+    [activeDocId]
+  );
+  const resolvedScale = activeDoc ? resolvedScales[activeDoc.id] : null;
+  const zoomActiveIn = useCallback(
+    () => updateView((v) => ({ scale: zoomIn(resolvedScale || (typeof v.scale === "number" ? v.scale : 1)) })),
+    [updateView, resolvedScale]
+  );
+  const zoomActiveOut = useCallback(
+    () => updateView((v) => ({ scale: zoomOut(resolvedScale || (typeof v.scale === "number" ? v.scale : 1)) })),
+    [updateView, resolvedScale]
+  );
+
+  const activeSearch = (activeDoc && searches[activeDoc.id]) || EMPTY_SEARCH;
+
+  // run the active document's search shortly after typing stops (viewers ignore repeats)
+  useEffect(() => {
+    if (!activeDocId) return undefined;
+    const timer = setTimeout(() => {
+      viewerRefs.current[activeDocId]?.search(activeSearch.query, activeSearch.options);
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [activeDocId, activeSearch]);
+
+  // searches become links; refining the query replaces the entry instead of adding one per keystroke
+  const lastQueryRef = useRef(activeSearch.query);
+  useEffect(() => {
+    if (activeSearch.query === lastQueryRef.current) return;
+    lastQueryRef.current = activeSearch.query;
+    const searching = Boolean(parseHash(window.location.hash).search);
+    writeLink({ search: activeSearch.query }, { replace: searching || !activeSearch.query });
+  }, [activeSearch.query, writeLink]);
+
+  // Compare mode: scroll the other report of the pair to the page matching `page`. Page reports
+  // of the viewer the sync just scrolled are ignored for a moment, so the two do not push each
+  // other back and forth.
+  const syncPages = (documentId, page = currentPages[documentId] || 1) => {
+    const sync = syncRef.current;
+    if (Date.now() < sync.until && (sync.documentId === documentId || sync.documentId === BOTH)) return;
+    const reverse = documentId !== activeDocId;
+    const other = reverse ? activeDocId : comparedId;
+    const sections = syncMode === "section" && activeComparison ? activeComparison.sections : [];
+    const target = mapPage(page, sections, { reverse, numPages: docInfo[other]?.numPages });
+    if (target === currentPages[other]) return;
+    syncRef.current = { documentId: other, until: Date.now() + SYNC_QUIET_MS };
+    viewerRefs.current[other]?.scrollToPage(target);
+  };
+  const syncPagesRef = useRef(syncPages);
+  syncPagesRef.current = syncPages;
+
+  // read both reports of the pair on screen and compare them
+  const runComparison = useCallback(async () => {
+    const run = ++compareRunRef.current;
+    setSelectedDifference(null);
+    if (!activeDocId || !comparedId) {
+      setComparisonRunning(false);
+      return;
     }
-  }, []);
+    setComparisonRunning(true);
+    setComparisonError(null);
+    try {
+      const [pagesA, pagesB] = await Promise.all(
+        [activeDocId, comparedId].map((id) => viewerRefs.current[id]?.getPageTexts() || [])
+      );
+      if (!pagesA.length || !pagesB.length) throw new Error("a report could not be read");
+      const sections = matchSections(pagesA, pagesB);
+      const differences = compareFigures(pagesA, pagesB, sections);
+      if (run === compareRunRef.current) setComparison({ a: activeDocId, b: comparedId, sections, differences });
+    } catch (e) {
+      if (run === compareRunRef.current) setComparisonError(`The reports could not be compared: ${e.message}`);
+    } finally {
+      if (run === compareRunRef.current) setComparisonRunning(false);
+    }
+  }, [activeDocId, comparedId]);
 
-  // Load PDF and render pages
   useEffect(() => {
-    let cancelled = false;
-    (async () => {
-      try {
-        const loadingTask = pdfjsLib.getDocument(pdfPath);
-        const pdf = await loadingTask.promise;
-        if (cancelled) return;
-        setNumPages(pdf.numPages);
-
-        // clear container
-        if (containerRef.current) containerRef.current.innerHTML = "";
-        pageRefs.current = {};
-
-        // render pages sequentially
-        for (let p = 1; p <= pdf.numPages; p++) {
-          // eslint-disable-next-line no-await-in-loop
-          await renderPage(pdf, p);
-        }
-      } catch (e) {
-        // console.error(e);
-      }
-    })();
+    runComparison();
+  }, [runComparison]);
+
+  // line the compared report up once the comparison is ready or the sync changes
+  useEffect(() => {
+    if (syncMode !== "off" && activeComparison) syncPagesRef.current(activeComparison.a);
+  }, [syncMode, activeComparison]);
+
+  // highlight a difference in both reports, as citations are highlighted; the sync waits
+  // until both have scrolled to it
+  const showDifference = async (difference) => {
+    if (!activeComparison) return;
+    setSelectedDifference(difference.id);
+    const hold = { documentId: BOTH, until: Infinity };
+    syncRef.current = hold;
+    const sides = [
+      [activeComparison.a, difference.a],
+      [activeComparison.b, difference.b],
+    ];
+    try {
+      const results = await Promise.all(
+        sides.map(([documentId, side]) => {
+          const citation = {
+            id: `${difference.id}-${documentId}`,
+            label: `[${difference.id}]`,
+            document: documentId,
+            ...side,
+          };
+          return viewerRefs.current[documentId]?.showAndHighlightText(citation, { persistent: true });
+        })
+      );
+      const failed = results.find((result) => result?.error);
+      setComparisonError(failed ? `Cannot highlight ${difference.label}: ${failed.error}` : null);
+    } catch (e) {
+      setComparisonError(`Cannot highlight ${difference.label}: ${e.message}`);
+    } finally {
+      // scrolling syncs again once both reports have settled, whatever happened
+      if (syncRef.current === hold) syncRef.current = { documentId: BOTH, until: Date.now() + SYNC_QUIET_MS };
+    }
+  };
+
+  // Scrolling keeps a page link current; a citation or highlight link stays until another is followed
+  const trackPage = (documentId, page) => {
+    setCurrentPages((prev) => ({ ...prev, [documentId]: page }));
+    if (comparedId && syncMode !== "off" && (documentId === activeDocId || documentId === comparedId)) {
+      syncPages(documentId, page);
+    }
+    if (documentId !== activeDocId) return;
+    const current = parseHash(window.location.hash);
+    if (!current.cite && !current.hl) writeLink({ page, search: current.search }, { replace: true });
+  };
+
+  // Show what a link points at: citations open their document, the rest apply to the active one
+  const followLink = (link) => {
+    if (link.cite) {
+      showAndHighlightText({ citationId: link.cite, persistent: true });
+      return;
+    }
+    const viewer = activeDocId && viewerRefs.current[activeDocId];
+    if (!viewer) return;
+    if ((link.search || "") !== activeSearch.query) {
+      lastQueryRef.current = link.search || "";
+      setSearches((prev) => ({ ...prev, [activeDocId]: { ...activeSearch, query: link.search || "" } }));
+    }
+    if (link.hl) viewer.highlightArea(link.hl.page, link.hl.rect);
+    else if (link.page) viewer.scrollToPage(link.page);
+  };
+  const followLinkRef = useRef(followLink);
+  followLinkRef.current = followLink;
 
+  // the link the app was opened with, then back/forward and hand-edited hashes
+  useEffect(() => {
+    const onNavigate = () => {
+      if (window.location.hash === linkedHashRef.current) return;
+      linkedHashRef.current = window.location.hash;
+      followLinkRef.current(parseHash(window.location.hash));
+    };
+    followLinkRef.current(parseHash(window.location.hash));
+    window.addEventListener("popstate", onNavigate);
+    window.addEventListener("hashchange", onNavigate);
     return () => {
-      cancelled = true;
-      // cleanup
-      if (containerRef.current) containerRef.current.innerHTML = "";
+      window.removeEventListener("popstate", onNavigate);
+      window.removeEventListener("hashchange", onNavigate);
     };
-  }, [pdfPath, renderPage]);
-
-  // Highlight algorithm: finds matching spans and draws highlight div(s)
-  const highlightText = useCallback(
-    (pageNumber, searchText) => {
-      clearAllHighlights();
-      const pageObj = pageRefs.current[pageNumber];
-      if (!pageObj || !pageObj.textLayer) return false;
-      const { pageContainer, textLayer } = pageObj;
-
-      const q = (searchText || "").replace(/\s+/g, " ").trim().toLowerCase();
-      if (!q) return false;
-
-      const spans = Array.from(textLayer.querySelectorAll(".textLayerItem"));
-      let foundAny = false;
-
-      // 1) direct span match
-      spans.forEach((span) => {
-        const s = (span.textContent || "").replace(/\s+/g, " ").trim().toLowerCase();
-        if (!s) return;
-        if (s.includes(q)) {
-          foundAny = true;
-          const r = span.getBoundingClientRect();
-          const pr = pageContainer.getBoundingClientRect();
-          const hl = document.createElement("div");
-          hl.className = "pdf-perfect-highlight";
-          hl.style.position = "absolute";
-          hl.style.left = `${Math.round(r.left - pr.left)}px`;
-          hl.style.top = `${Math.round(r.top - pr.top)}px`;
-          hl.style.width = `${Math.max(2, Math.round(r.width))}px`;
-          hl.style.height = `${Math.max(2, Math.round(r.height))}px`;
-          hl.style.background = "rgba(255,255,0,0.6)";
-          hl.style.pointerEvents = "none";
-          hl.style.zIndex = 20;
-          pageContainer.appendChild(hl);
-        }
-      });
+  }, []);
 
-      if (foundAny) return true;
-
-      // 2) fuzzy: concatenate span texts with spaces and map offsets
-      let concat = "";
-      const mapping = []; // char idx -> span index
-      spans.forEach((span, idx) => {
-        const txt = (span.textContent || "").replace(/\s+/g, " ").trim();
-        if (!txt) return;
-        if (concat.length > 0) {
-          mapping.push(-1); // space
-          concat += " ";
-        }
-        for (let i = 0; i < txt.length; i++) {
-          mapping.push(idx);
-        }
-        concat += txt;
-      });
+  // copy a link to the selected text, or to what the URL shows now
+  const copyLink = async () => {
+    const selected = activeDocId && viewerRefs.current[activeDocId]?.selectionAnnotation();
+    const hash = selected
+      ? formatHash({ hl: { page: selected.page, rect: boundingRect(selected.rects) } })
+      : window.location.hash;
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotice(selected ? "Link to the selected text copied" : "Link copied");
+    } catch (e) {
+      setNotice(`Copy this link: ${url}`);
+    }
+  };
 
-      const lowerConcat = concat.toLowerCase();
-      const pos = lowerConcat.indexOf(q);
-      if (pos !== -1) {
-        // determine span indices covering the match
-        const startSpan = mapping[Math.max(0, pos)];
-        const endSpan = mapping[Math.max(0, pos + q.length - 1)];
-        if (startSpan != null && endSpan != null && startSpan >= 0 && endSpan >= 0) {
-          const rects = [];
-          for (let si = startSpan; si <= endSpan; si++) {
-            const span = spans[si];
-            if (!span) continue;
-            rects.push(span.getBoundingClientRect());
-          }
-          if (rects.length) {
-            const pr = pageContainer.getBoundingClientRect();
-            const left = Math.min(...rects.map((r) => r.left));
-            const top = Math.min(...rects.map((r) => r.top));
-            const right = Math.max(...rects.map((r) => r.right));
-            const bottom = Math.max(...rects.map((r) => r.bottom));
-            const hl = document.createElement("div");
-            hl.className = "pdf-perfect-highlight";
-            hl.style.position = "absolute";
-            hl.style.left = `${Math.round(left - pr.left)}px`;
-            hl.style.top = `${Math.round(top - pr.top)}px`;
-            hl.style.width = `${Math.round(right - left)}px`;
-            hl.style.height = `${Math.round(bottom - top)}px`;
-            hl.style.background = "rgba(255,255,0,0.6)";
-            hl.style.pointerEvents = "none";
-            hl.style.zIndex = 20;
-            pageContainer.appendChild(hl);
-            foundAny = true;
-          }
-        }
-      }
+  // sidebar: labels of the citations on each page of the active document, and viewer access
+  const citedPages = useMemo(() => {
+    const pages = {};
+    citations
+      .filter((c) => c.document === activeDocId)
+      .forEach((c) => (pages[c.page] = [...(pages[c.page] || []), citationLabel(c)]));
+    return pages;
+  }, [citations, activeDocId]);
+  const renderThumbnail = useCallback(
+    async (page, canvas, width) => Boolean(await viewerRefs.current[activeDocId]?.renderThumbnail(page, canvas, width)),
+    [activeDocId]
+  );
+  const loadOutline = useCallback(
+    async () => (await viewerRefs.current[activeDocId]?.getOutline()) || [],
+    [activeDocId]
+  );
+  const goToPage = useCallback(
+    (page, top = null) => viewerRefs.current[activeDocId]?.scrollToPage(page, { top }),
+    [activeDocId]
+  );
 
-      return foundAny;
-    },
-    [clearAllHighlights]
+  // saved annotations of newly opened documents
+  useEffect(() => {
+    const missing = openDocs.filter((d) => !annotations[d.id]);
+    if (!missing.length) return;
+    const loaded = Object.fromEntries(missing.map((d) => [d.id, loadAnnotations(d.id)]));
+    savedAnnotationsRef.current = { ...savedAnnotationsRef.current, ...loaded };
+    setAnnotations((prev) => ({ ...loaded, ...prev }));
+  }, [openDocs, annotations]);
+
+  // write back every list that changed
+  useEffect(() => {
+    Object.entries(annotations).forEach(([documentId, list]) => {
+      if (savedAnnotationsRef.current[documentId] === list) return;
+      savedAnnotationsRef.current[documentId] = list;
+      if (!saveAnnotations(documentId, list)) setDocumentError("Annotations could not be saved in this browser");
+    });
+  }, [annotations]);
+
+  const updateAnnotations = useCallback((documentId, change) => {
+    setAnnotations((prev) => ({ ...prev, [documentId]: change(prev[documentId] || []) }));
+  }, []);
+
+  const activeAnnotations = useMemo(
+    () => sortAnnotations((activeDoc && annotations[activeDoc.id]) || []),
+    [activeDoc, annotations]
   );
 
-  // Public handler: jump to page and highlight the phrase
-  const showAndHighlightText = ({ refKey, searchTerm, persistent = false }) => {
-    const pageNumber = refKey === "p3" ? 3 : refKey === "p5" ? 5 : 15;
-
-    setActiveRef(refKey);
-    setHighlightActive(true);
-
-    // clear previous highlights
-    clearAllHighlights();
-
-    // scroll to page
-    setTimeout(() => {
-      const pageObj = pageRefs.current[pageNumber];
-      if (pageObj && pageObj.pageContainer && containerRef.current) {
-        // scroll container so the target page is centered
-        const containerRect = containerRef.current.getBoundingClientRect();
-        const pageRect = pageObj.pageContainer.getBoundingClientRect();
-        const offset = pageRect.top - containerRect.top - containerRect.height / 2 + pageRect.height / 2;
-        containerRef.current.scrollBy({ top: offset, behavior: "smooth" });
-      }
-    }, 120);
-
-    // attempt highlight after short delay
-    setTimeout(() => {
-      const ok = highlightText(pageNumber, searchTerm);
-      if (!ok) {
-        // fallback: draw approximate overlay using highlightBoxes (kept simple)
-        // compute approximate top-left inside container
-        const hb = highlightBoxes[refKey];
-        if (hb && pageRefs.current[pageNumber]) {
-          const pageObj = pageRefs.current[pageNumber];
-          const pr = pageObj.pageContainer.getBoundingClientRect();
-          const left = Math.round(pr.left + pr.width * hb.leftPct - containerRef.current.getBoundingClientRect().left);
-          const top = Math.round(pr.top + pr.height * hb.topPct - containerRef.current.getBoundingClientRect().top);
-          const w = Math.round(pr.width * hb.widthPct);
-          const h = hb.heightPx;
-          const hl = document.createElement("div");
-          hl.className = "pdf-perfect-highlight";
-          hl.style.position = "absolute";
-          // position relative to page container
-          hl.style.left = `${Math.round(pr.width * hb.leftPct)}px`;
-          hl.style.top = `${Math.round(pr.height * hb.topPct)}px`;
-          hl.style.width = `${w}px`;
-          hl.style.height = `${h}px`;
-          hl.style.background = "rgba(255,255,0,0.6)";
-          hl.style.pointerEvents = "none";
-          hl.style.zIndex = 20;
-          pageObj.pageContainer.appendChild(hl);
-        }
+  // save the active document's text selection as a highlight
+  const highlightSelection = () => {
+    const marked = activeDocId && viewerRefs.current[activeDocId]?.selectionAnnotation();
+    if (!marked) return;
+    const annotation = createAnnotation({ kind: "highlight", color: annotationColor, ...marked });
+    updateAnnotations(activeDocId, (list) => [...list, annotation]);
+    window.getSelection()?.removeAllRanges();
+  };
+
+  // A document's citation highlights (resolved in its viewer) and annotations as marks,
+  // optionally only those on `pages`; resolved is [{ citation, rects }]
+  const documentMarks = async (documentId, pages = null) => {
+    const viewer = viewerRefs.current[documentId];
+    const onPages = (item) => !pages || pages.includes(item.page);
+    const resolved = [];
+    for (const citation of citations.filter((c) => c.document === documentId && onPages(c))) {
+      // eslint-disable-next-line no-await-in-loop
+      const { rects } = await viewer.resolveCitation(citation);
+      resolved.push({ citation, rects });
+    }
+    const marks = [
+      ...marksFromCitations(resolved),
+      ...marksFromAnnotations((annotations[documentId] || []).filter(onPages)),
+    ];
+    return { marks, resolved };
+  };
+
+  // Export the active document's citation highlights and annotations ("xfdf" or "pdf")
+  const exportMarks = async (format) => {
+    const documentId = activeDocId;
+    const viewer = viewerRefs.current[documentId];
+    if (!viewer || exporting) return;
+    setExporting(true);
+    setNotice(null);
+    try {
+      const { marks } = await documentMarks(documentId);
+      const stem = fileStem(docInfo[documentId]?.title || activeDoc.name);
+      if (format === "xfdf") {
+        const xfdf = buildXfdf(marks, { fileName: activeDoc.name });
+        downloadBlob(new Blob([xfdf], { type: "application/vnd.adobe.xfdf" }), `${stem}.xfdf`);
+      } else {
+        const bytes = await addPdfAnnotations(await viewer.getDocumentData(), marks);
+        downloadBlob(new Blob([bytes], { type: "application/pdf" }), `${stem}-annotated.pdf`);
       }
-    }, 420);
+      setNotice(`Exported ${marks.length} highlight${marks.length === 1 ? "" : "s"}`);
+    } catch (e) {
+      setDocumentError(`Export failed: ${e.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
 
-    if (typeof persistent === "boolean") setPinned(Boolean(persistent));
-    if (hideTimeoutRef.current) {
-      clearTimeout(hideTimeoutRef.current);
-      hideTimeoutRef.current = null;
+  // Print or export ("print", "png", "pdf") pages of the active document as images with the
+  // citation highlights and annotations drawn on, and optionally a footer under each page
+  const exportPages = async ({ pages, format, footer }) => {
+    const documentId = activeDocId;
+    const viewer = viewerRefs.current[documentId];
+    if (!viewer || exporting) return;
+    setExporting(true);
+    setNotice(null);
+    try {
+      const { marks, resolved } = await documentMarks(documentId, pages);
+      const title = docInfo[documentId]?.title || activeDoc.name;
+      const stem = fileStem(title);
+      const images = [];
+      for (const page of pages) {
+        const citationIds = resolved
+          .filter(({ citation, rects }) => citation.page === page && rects.length)
+          .map(({ citation }) => citation.id);
+        // eslint-disable-next-line no-await-in-loop
+        const canvas = await viewer.renderPageImage(page, {
+          marks,
+          footer: footer ? footerText({ title, page, citationIds }) : "",
+        });
+        if (!canvas) throw new Error(`page ${page} could not be rendered`);
+        // eslint-disable-next-line no-await-in-loop
+        const blob = await canvasToPng(canvas);
+        images.push({ page, blob, width: canvas.width, height: canvas.height });
+        // release the large bitmap right away
+        canvas.width = 0;
+        canvas.height = 0;
+      }
+      if (format === "png") {
+        images.forEach(({ page, blob }) => downloadBlob(blob, `${stem}-p${page}.png`));
+      } else if (format === "pdf") {
+        const pngs = await Promise.all(
+          images.map(async (image) => ({ ...image, png: await image.blob.arrayBuffer() }))
+        );
+        const bytes = await imagesToPdf(pngs);
+        downloadBlob(new Blob([bytes], { type: "application/pdf" }), `${stem}-pages.pdf`);
+      } else {
+        await printImages(images.map((image) => image.blob), title);
+      }
+      const count = `${pages.length} page${pages.length === 1 ? "" : "s"}`;
+      setNotice(format === "print" ? `Sent ${count} to the printer` : `Exported ${count}`);
+    } catch (e) {
+      setDocumentError(`${format === "print" ? "Printing" : "Export"} failed: ${e.message}`);
+    } finally {
+      setExporting(false);
     }
-    if (!persistent) {
-      hideTimeoutRef.current = setTimeout(() => {
-        clearAllHighlights();
-        setHighlightActive(false);
-      }, 4500);
+  };
+
+  // Show the highlight annotations stored in the active PDF as viewer annotations
+  const importPdfHighlights = async () => {
+    const documentId = activeDocId;
+    const viewer = viewerRefs.current[documentId];
+    if (!viewer) return;
+    setNotice(null);
+    try {
+      const found = await viewer.readPdfHighlights();
+      const known = new Set((annotations[documentId] || []).map((a) => a.id));
+      const added = found.filter((a) => !known.has(a.id));
+      if (added.length) updateAnnotations(documentId, (list) => [...list, ...added]);
+      setNotice(
+        found.length
+          ? `Imported ${added.length} of ${found.length} highlight annotation${found.length === 1 ? "" : "s"} from the PDF`
+          : "This PDF has no highlight annotations"
+      );
+    } catch (e) {
+      setDocumentError(`Import failed: ${e.message}`);
     }
   };
 
-  // Analysis panel content (exact text you provided), with clickable citations
-  const AnalysisPanel = ({ onCite }) => {
-    const CiteButton = ({ id }) => (
-      <button
-        onClick={() =>
-          onCite({
-            refKey: id,
-            searchTerm:
-              id === "p3"
-                ? "EBITDA of USD 2.3"
-                : id === "p5"
-                ? "EBITDA increased to USD 2.3"
-                : "Gain on sale of non-current assets",
-          })
-        }
-        style={{
-          display: "inline-block",
-          marginLeft: 6,
-          marginRight: 2,
-          background: "#1c965dff",
-          borderRadius: 4,
-          padding: "2px 6px",
-          border: "none",
-          cursor: "pointer",
-          fontWeight: 700,
-          fontSize: 12,
-        }}
-      >
-        {id === "p3" ? "[1]" : id === "p5" ? "[2]" : "[3]"}
-      </button>
-    );
+  const authoredCitations = useMemo(
+    () => analysis.citations.filter((c) => authoredIds.includes(c.id)),
+    [analysis, authoredIds]
+  );
 
-    return (
-      <div style={{ ...styles.panelContent }}>
-        <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 8, color: "#fff" }}>Analysis</div>
+  // authoring: the passage selected in the active document becomes a citation of the analysis
+  const addCitationFromSelection = () => {
+    const selected = activeDocId && viewerRefs.current[activeDocId]?.selectionAnnotation();
+    if (!selected) return;
+    const { page, quote, areas } = selected;
+    const citation = citationFromSelection({ document: activeDocId, page, quote, areas }, analysis.citations);
+    const doc = documentFromSource(activeDoc, docInfo[activeDocId]?.title);
+    setAnalysis((prev) => mergeCitations(prev, [citation], [doc]));
+    setAuthoredIds((ids) => [...ids, citation.id]);
+    window.getSelection()?.removeAllRanges();
+  };
 
-        <div style={{ fontSize: 13, color: "#fff", lineHeight: 1.4, marginBottom: 10 }}>
-          <div>No extraordinary or one-off items affecting EBITDA were reported in Maersk’s Q2 2025 results.</div>
+  // drop an authored citation; later authored entries move up and are relabelled to their new [n]
+  const removeAuthoredCitation = (id) => {
+    setAnalysis((prev) => {
+      const rest = prev.citations.filter((c) => c.id !== id);
+      const relabelled = rest.map((c, i) => (authoredIds.includes(c.id) ? { ...c, label: `[${i + 1}]` } : c));
+      return { ...prev, citations: relabelled };
+    });
+    setAuthoredIds((ids) => ids.filter((x) => x !== id));
+  };
 
-          <div style={{ marginTop: 8 }}>
-            The report explicitly notes that EBITDA improvements stemmed from operational performance—including volume growth,
-            cost control, and margin improvement across Ocean, Logistics &amp; Services, and Terminals segments
-            <span style={{ marginLeft: 6 }} />
-            <CiteButton id="p3" />
-            <CiteButton id="p5" />
-          </div>
+  // send the question and the active document's page texts to the chosen provider
+  const askQuestion = async (question) => {
+    const documentId = activeDocId;
+    const viewer = documentId && viewerRefs.current[documentId];
+    if (!viewer) return;
+    const provider = ASK_PROVIDERS.find((p) => p.id === askProviderId) || ASK_PROVIDERS[0];
+    const run = ++askRunRef.current;
+    setAsking(true);
+    setAskError(null);
+    try {
+      const pages = await viewer.getPageTexts();
+      const document = { id: documentId, title: docInfo[documentId]?.title || titleFromMetadata(null, activeDoc) };
+      const result = await askDocument(provider, { question, document, pages });
+      if (run === askRunRef.current) setAskResult({ question, ...result });
+    } catch (e) {
+      if (run === askRunRef.current) setAskError(`${provider.name}: ${e.message}`);
+    } finally {
+      if (run === askRunRef.current) setAsking(false);
+    }
+  };
 
-          <div style={{ marginTop: 10 }}>
-            Gains or losses from asset sales, which could qualify as extraordinary items, are shown separately under <strong>EBIT</strong> and not included in EBITDA.
-            The gain on sale of non-current assets was USD 25 m in Q2 2025, significantly lower than USD 208 m in Q2 2024, but these affect <strong>EBIT</strong>, not <strong>EBITDA</strong>
-            <span style={{ marginLeft: 6 }} />
-            <CiteButton id="p15" />
-            .
-          </div>
+  // tables of the current page, or of a rectangle drawn on a page (PDF space)
+  const extractTable = async (area = null) => {
+    const documentId = activeDocId;
+    const viewer = documentId && viewerRefs.current[documentId];
+    if (!viewer) return;
+    const page = area ? area.page : currentPages[documentId] || 1;
+    try {
+      const result = await viewer.extractTables(page, area ? area.rects[0] : null);
+      if (!result) return;
+      setTableExtraction({ ...result, id: Date.now(), document: documentId, region: area ? area.rects[0] : null });
+    } catch (e) {
+      setDocumentError(`Table extraction failed: the text of page ${page} could not be read (${e.message})`);
+    }
+  };
 
-          <div style={{ marginTop: 10 }}>
-            Hence, Q2 2025 EBITDA reflects core operating activities without one-off extraordinary adjustments.
-          </div>
-        </div>
+  const copyTable = async (table) => {
+    try {
+      await navigator.clipboard.writeText(tableToTsv(table));
+      setNotice("Table copied; paste it into a spreadsheet");
+    } catch (e) {
+      setNotice("The table could not be copied; download it as CSV instead");
+    }
+  };
 
-        <div style={{ fontWeight: 700, marginTop: 8, color: "#fff" }}>Findings</div>
+  const downloadTable = (table, index, format) => {
+    const { document: documentId, page } = tableExtraction;
+    const stem = `${fileStem(docInfo[documentId]?.title || activeDoc?.name)}-p${page}-table${index + 1}`;
+    if (format === "csv") downloadBlob(new Blob([tableToCsv(table)], { type: "text/csv" }), `${stem}.csv`);
+    else {
+      const json = JSON.stringify(tableToJson(table), null, 2);
+      downloadBlob(new Blob([json], { type: "application/json" }), `${stem}.json`);
+    }
+  };
 
-        <div style={{ marginTop: 8, fontSize: 13, color: "#fff", lineHeight: 1.45 }}>
-          <div>
-            <strong>Page 3 — Highlights Q2 2025</strong>
-          </div>
-          <div style={{ marginLeft: 8 }}>
-            EBITDA increase (USD 2.3 bn vs USD 2.1 bn prior year) attributed to operational improvements; no mention of extraordinary or one-off items.
-            <CiteButton id="p3" />
-          </div>
+  // a cell of the previewed table becomes an authored citation
+  const citeTableCell = (table, row, column) => {
+    const { document: documentId, page, view } = tableExtraction;
+    const citation = citationFromCell({ document: documentId, page, view, table, row, column }, analysis.citations);
+    const source = openDocs.find((d) => d.id === documentId);
+    setAnalysis((prev) => mergeCitations(prev, [citation], [documentFromSource(source, docInfo[documentId]?.title)]));
+    setAuthoredIds((ids) => [...ids, citation.id]);
+    setAuthoring(true);
+    viewerRefs.current[documentId]?.showAndHighlightText(citation, { persistent: true });
+  };
 
-          <div style={{ marginTop: 10 }}>
-            <strong>Page 5 — Review Q2 2025</strong>
-          </div>
-          <div style={{ marginLeft: 8 }}>
-            EBITDA rise driven by higher revenue and cost control across all segments; no extraordinary gains or losses included.
-            <CiteButton id="p5" />
-          </div>
+  const exportAuthoredCitations = () => {
+    const documents = analysis.documents || openDocs.map((d) => documentFromSource(d, docInfo[d.id]?.title));
+    const set = buildCitationSet(authoredCitations, documents);
+    downloadBlob(new Blob([JSON.stringify(set, null, 2)], { type: "application/json" }), "citations.json");
+  };
 
-          <div style={{ marginTop: 10 }}>
-            <strong>Page 15 — Condensed Income Statement</strong>
-          </div>
-          <div style={{ marginLeft: 8 }}>
-            Gain on sale of non-current assets USD 25 m (vs USD 208 m prior year) reported separately below EBITDA; therefore, not part of EBITDA.
-            <CiteButton id="p15" />
-          </div>
-        </div>
+  const loadCitationSet = async (file) => {
+    if (!file) return;
+    try {
+      const { citations: loaded, documents } = parseCitationSet(await file.text());
+      setAnalysis((prev) => mergeCitations(prev, loaded, documents));
+      setAuthoredIds((ids) => [...new Set([...ids, ...loaded.map((c) => c.id)])]);
+      setAnalysisError(null);
+    } catch (e) {
+      setAnalysisError(`${file.name}: ${e.message}`);
+    }
+  };
 
-        <div style={{ marginTop: 12, fontSize: 13, color: "#fff", lineHeight: 1.4 }}>
-          <div style={{ fontWeight: 700, marginBottom: 6 }}>Supporting Evidence</div>
+  // the check reads documents on its own, so it sees picked files that are open and
+  // the analysis' documents without opening them; only a run follows tab changes
+  const resolveDocumentRef = useRef(resolveDocument);
+  resolveDocumentRef.current = resolveDocument;
 
-          <div style={{ marginTop: 6 }}>
-            <strong>[1]</strong> A.P. Moller – Maersk Q2 2025 Interim Report (7 Aug 2025) — Page 3 →{" "}
-            <em style={{ color: "#ddd" }}>
-              “Maersk’s results continued to improve year-on-year ... EBITDA of USD 2.3 bn (USD 2.1 bn) ... driven by volume and other revenue growth in Ocean, margin improvements in Logistics & Services and significant top line growth in Terminals.”
-            </em>
-          </div>
+  const runCitationCheck = useCallback(async () => {
+    const run = (checkRunRef.current += 1);
+    setCheckRunning(true);
+    setCheckError(null);
+    const documents = {}; // documentId -> Promise of the loaded pdf
+    const readPage = async (documentId, page) => {
+      if (!documents[documentId]) {
+        const source = resolveDocumentRef.current(documentId);
+        if (!source) throw new Error(`document "${documentId}" is not available`);
+        documents[documentId] = loadPdf(source).promise.then((pdf) => ({ pdf, pageText: pdfPageText(pdf) }));
+      }
+      return (await documents[documentId]).pageText(page);
+    };
+    try {
+      const results = await verifyCitations(citations, readPage);
+      if (run === checkRunRef.current) setCheckResults(results);
+    } catch (e) {
+      if (run === checkRunRef.current) {
+        setCheckResults(null);
+        setCheckError(`The citations could not be checked: ${e.message}`);
+      }
+    } finally {
+      Object.values(documents).forEach((loaded) => loaded.then(({ pdf }) => pdf.destroy()).catch(() => {}));
+      if (run === checkRunRef.current) setCheckRunning(false);
+    }
+  }, [citations]);
 
-          <div style={{ marginTop: 8 }}>
-            <strong>[2]</strong> A.P. Moller – Maersk Q2 2025 Interim Report (7 Aug 2025) — Page 5 →{" "}
-            <em style={{ color: "#ddd" }}>
-              “EBITDA increased to USD 2.3 bn (USD 2.1 bn) ... driven by higher revenue and cost management ... Ocean’s EBITDA ... slightly increased by USD 36 m ... Logistics & Services contributed significantly with a USD 71 m increase ... Terminals’ EBITDA increased by USD 50 m.”
-            </em>
-          </div>
+  // results belong to one set of citations: re-check while the report is open, else drop them
+  useEffect(() => {
+    if (checking) runCitationCheck();
+    else setCheckResults(null);
+  }, [checking, runCitationCheck]);
 
-          <div style={{ marginTop: 8 }}>
-            <strong>[3]</strong> A.P. Moller – Maersk Q2 2025 Interim Report (7 Aug 2025) — Page 15 →{" "}
-            <em style={{ color: "#ddd" }}>
-              “Gain on sale of non-current assets, etc., net 25 (208) ... Profit before depreciation, amortisation and impairment losses, etc. (EBITDA) 2,298”
-            </em>
-          </div>
-        </div>
-      </div>
-    );
+  const citationChecks = useMemo(
+    () => Object.fromEntries((checkResults || []).map((r) => [r.citation.id, r])),
+    [checkResults]
+  );
+
+  // Ctrl/Cmd +, -, 0 zoom the active document instead of the page
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.key === "+" || e.key === "=") zoomActiveIn();
+      else if (e.key === "-") zoomActiveOut();
+      else if (e.key === "0") updateView(() => ({ scale: DEFAULT_VIEW.scale }));
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [zoomActiveIn, zoomActiveOut, updateView]);
+
+  // `[` and `]` step to the previous / next citation, pinned so it stays while reading
+  const stepCitationRef = useRef(null);
+  stepCitationRef.current = (delta) => {
+    if (!allCitations.length) return;
+    const from = allCitations.findIndex((c) => c.id === (activeCitationId || lastCitationRef.current));
+    const index = from === -1 ? (delta > 0 ? 0 : allCitations.length - 1) : from + delta;
+    if (index < 0 || index >= allCitations.length) {
+      announce(delta > 0 ? "No next citation" : "No previous citation");
+      return;
+    }
+    showAndHighlightText({ citationId: allCitations[index].id, persistent: true });
   };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || (e.key !== "[" && e.key !== "]")) return;
+      const target = e.target;
+      if (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) return;
+      e.preventDefault();
+      stepCitationRef.current(e.key === "]" ? 1 : -1);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
 
   return (
     <div style={styles.app}>
       {/* Header */}
       <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 }}>
-        <h1 style={{ margin: 0, fontSize: 22 }}>Maersk Q2 2025 — PDF Viewer</h1>
+        <h1 style={{ margin: 0, fontSize: 22 }}>{docTitle} — PDF Viewer</h1>
 
         <div style={{ display: "flex", gap: 8 }}>
-          <button style={styles.pillButton} onClick={() => showAndHighlightText({ refKey: "p3", searchTerm: "EBITDA of USD 2.3" })}>
-            [1] Page 3
+          <label style={styles.pillButton}>
+            Open PDF…
+            <input
+              type="file"
+              accept="application/pdf,.pdf"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                openPdfFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <label style={styles.pillButton}>
+            Open analysis…
+            <input
+              type="file"
+              accept="application/json,.json"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                openAnalysisFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <button
+            style={{ ...styles.pillButton, ...(authoring ? styles.pillButtonActive : null) }}
+            aria-pressed={authoring}
+            onClick={() => setAuthoring((on) => !on)}
+          >
+            Author citations
+          </button>
+          <button
+            style={{ ...styles.pillButton, ...(checking ? styles.pillButtonActive : null) }}
+            aria-pressed={checking}
+            onClick={() => setChecking((on) => !on)}
+          >
+            Check citations
           </button>
-          <button style={styles.pillButton} onClick={() => showAndHighlightText({ refKey: "p5", searchTerm: "EBITDA increased to USD 2.3" })}>
-            [2] Page 5
+          <button
+            style={{ ...styles.pillButton, ...(comparing ? styles.pillButtonActive : null) }}
+            aria-pressed={comparing}
+            title="Show a second report next to this one and list the figures that changed"
+            onClick={toggleCompare}
+          >
+            Compare
           </button>
-          <button style={styles.pillButton} onClick={() => showAndHighlightText({ refKey: "p15", searchTerm: "Gain on sale of non-current assets" })}>
-            [3] Page 15
+          <button
+            style={styles.pillButton}
+            disabled={!activeDoc}
+            title="Link to the selected text, or to the current page, citation or search"
+            onClick={copyLink}
+          >
+            Copy link
           </button>
+          <button
+            style={styles.pillButton}
+            disabled={!activeDoc}
+            title="Rebuild the tables on the current page as rows and columns"
+            onClick={() => extractTable()}
+          >
+            Extract table
+          </button>
+          <button
+            style={{ ...styles.pillButton, ...(tableRegion ? styles.pillButtonActive : null) }}
+            aria-pressed={tableRegion}
+            disabled={!activeDoc}
+            title="Draw a rectangle around a table on the page"
+            onClick={() => setTableRegion((on) => !on)}
+          >
+            Table from region
+          </button>
+          {citations.map((c) => {
+            const broken = citationChecks[c.id] && isBroken(citationChecks[c.id]);
+            return (
+              <button
+                key={c.id}
+                style={{ ...styles.pillButton, ...(broken ? styles.pillButtonBroken : null) }}
+                title={broken ? `${citationLabel(c)}: quote not found in the document` : undefined}
+                aria-label={citationDescription(c) + (broken ? ", quote not found in the document" : "")}
+                onClick={() => showAndHighlightText({ citationId: c.id })}
+              >
+                {citationLabel(c)} Page {c.page}
+              </button>
+            );
+          })}
         </div>
       </div>
 
+      {(documentError || analysisError || citationError || citationProblems.length > 0) && (
+        <div role="alert" style={styles.errorBox}>
+          {documentError && <div>{documentError}</div>}
+          {analysisError && <div style={{ whiteSpace: "pre-wrap" }}>{analysisError}</div>}
+          {citationError && <div>{citationError}</div>}
+          {citationProblems.map((msg) => (
+            <div key={msg}>{msg}</div>
+          ))}
+        </div>
+      )}
+      <div role="status" aria-live="polite" style={styles.visuallyHidden}>
+        {announcement}
+      </div>
+      {(citationWarning || notice) && (
+        <div role="status" style={styles.warningBox}>
+          {citationWarning && <div>{citationWarning}</div>}
+          {notice && <div>{notice}</div>}
+        </div>
+      )}
+
       <div style={styles.container}>
         {/* Viewer */}
-        <div style={styles.viewerColumn}>
-          <div style={styles.viewerBox}>
-            <div
-              ref={containerRef}
-              id="pdf-react-container"
-              style={{ width: "100%", height: "100%", overflow: "auto", position: "relative", padding: 8 }}
+        <div
+          style={styles.viewerColumn}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragOver(true);
+          }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragOver(false);
+            const file = Array.from(e.dataTransfer.files || []).find(isPdfFile) || e.dataTransfer.files[0];
+            openPdfFile(file);
+          }}
+        >
+          {/* Document tabs */}
+          <div role="tablist" style={styles.tabs}>
+            {openDocs.map((doc) => (
+              <div key={doc.id} style={{ ...styles.tab, ...(doc.id === activeDocId ? styles.tabActive : null) }}>
+                <button
+                  role="tab"
+                  aria-selected={doc.id === activeDocId}
+                  style={styles.tabLabel}
+                  onClick={() => switchDocument(doc.id)}
+                >
+                  {docInfo[doc.id]?.title || titleFromMetadata(null, doc)}
+                  {doc.id === comparedId && <span style={styles.tabBadge}> (compared)</span>}
+                </button>
+                <button aria-label="Close document" style={styles.tabClose} onClick={() => closeDocument(doc.id)}>
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <ViewerToolbar
+            view={activeView}
+            resolvedScale={resolvedScale}
+            disabled={!activeDoc}
+            sidebarOpen={sidebarOpen}
+            onToggleSidebar={() => setSidebarOpen((open) => !open)}
+            onZoomIn={zoomActiveIn}
+            onZoomOut={zoomActiveOut}
+            onFit={(mode) => updateView(() => ({ scale: mode }))}
+            onRotate={() => updateView((v) => ({ rotation: rotateClockwise(v.rotation) }))}
+            highContrast={highContrast}
+            onToggleHighContrast={() => setHighContrast((on) => !on)}
+          >
+            <PageControls
+              page={activeDoc ? currentPages[activeDoc.id] || 1 : 1}
+              numPages={activeDoc ? docInfo[activeDoc.id]?.numPages || 0 : 0}
+              labels={activeDoc ? docInfo[activeDoc.id]?.pageLabels : null}
+              disabled={!activeDoc}
+              onGoTo={(page) => goToPage(page)}
             />
+            <SearchBar
+              query={activeSearch.query}
+              options={activeSearch.options}
+              status={activeDoc ? searchStatus[activeDoc.id] : null}
+              disabled={!activeDoc}
+              onChange={(next) => activeDocId && setSearches((prev) => ({ ...prev, [activeDocId]: next }))}
+              onNext={() => viewerRefs.current[activeDocId]?.gotoMatch(1)}
+              onPrev={() => viewerRefs.current[activeDocId]?.gotoMatch(-1)}
+            />
+          </ViewerToolbar>
+
+          <div style={styles.viewerRow}>
+            {sidebarOpen && activeDoc && (
+              <DocumentSidebar
+                key={activeDoc.id}
+                numPages={docInfo[activeDoc.id]?.numPages || 0}
+                currentPage={currentPages[activeDoc.id] || 1}
+                citedPages={citedPages}
+                rotation={activeView.rotation}
+                renderThumbnail={renderThumbnail}
+                loadOutline={loadOutline}
+                onGoTo={goToPage}
+              />
+            )}
+            <div style={{ ...styles.viewerBox, ...(dragOver ? styles.viewerBoxDragOver : null) }}>
+              {openDocs.map((doc) => (
+                <div key={doc.id} style={viewerSlot(doc.id)}>
+                  <PdfViewer
+                    ref={(handle) => {
+                      if (handle) viewerRefs.current[doc.id] = handle;
+                      else delete viewerRefs.current[doc.id];
+                    }}
+                    source={doc}
+                    hidden={doc.id !== activeDocId && doc.id !== comparedId}
+                    scale={(views[doc.id] || DEFAULT_VIEW).scale}
+                    rotation={(views[doc.id] || DEFAULT_VIEW).rotation}
+                    onScaleChange={(value) => setResolvedScales((prev) => ({ ...prev, [doc.id]: value }))}
+                    onSearchChange={(status) => setSearchStatus((prev) => ({ ...prev, [doc.id]: status }))}
+                    onLoaded={(info) => setDocInfo((prev) => ({ ...prev, [doc.id]: info }))}
+                    onActiveCitationChange={(id) => setActiveCitations((prev) => ({ ...prev, [doc.id]: id }))}
+                    annotations={annotations[doc.id]}
+                    drawArea={(drawArea || tableRegion) && doc.id === activeDocId}
+                    onSelectionChange={(selection) => setSelections((prev) => ({ ...prev, [doc.id]: selection }))}
+                    onPageChange={(page) => trackPage(doc.id, page)}
+                    onAnnounce={announce}
+                    highContrast={highContrast}
+                    onAreaDrawn={(area) => {
+                      if (tableRegion) {
+                        setTableRegion(false);
+                        extractTable(area);
+                        return;
+                      }
+                      const annotation = createAnnotation({ kind: "area", color: annotationColor, ...area });
+                      updateAnnotations(doc.id, (list) => [...list, annotation]);
+                    }}
+                  />
+                </div>
+              ))}
+              {openDocs.length === 0 && <div style={styles.emptyState}>Open or drop a PDF to start.</div>}
+            </div>
           </div>
         </div>
 
         {/* Panel */}
         <aside style={styles.panel}>
+          {comparing && (
+            <div style={{ ...styles.panelInner, maxHeight: "40vh", marginBottom: 12 }}>
+              <ComparePanel
+                documents={openDocs
+                  .filter((d) => d.id !== activeDocId)
+                  .map((d) => ({ id: d.id, title: docInfo[d.id]?.title || titleFromMetadata(null, d) }))}
+                compareId={comparedId}
+                titles={
+                  comparedDoc && { a: docTitle, b: docInfo[comparedId]?.title || titleFromMetadata(null, comparedDoc) }
+                }
+                syncMode={syncMode}
+                sectionCount={activeComparison ? activeComparison.sections.length : 0}
+                result={activeComparison}
+                running={comparisonRunning}
+                error={comparisonError}
+                selectedId={selectedDifference}
+                onCompareWith={setCompareDocId}
+                onOpenFile={(file) => openPdfFile(file, { compare: true })}
+                onSyncModeChange={setSyncMode}
+                onShow={showDifference}
+              />
+            </div>
+          )}
+          {checking && (
+            <div style={{ ...styles.panelInner, maxHeight: "28vh", marginBottom: 12 }}>
+              <CitationReport
+                results={checkResults}
+                running={checkRunning}
+                error={checkError}
+                onRun={runCitationCheck}
+                onShow={(citationId) => showAndHighlightText({ citationId })}
+              />
+            </div>
+          )}
+          {tableExtraction && (
+            <div style={{ ...styles.panelInner, maxHeight: "60vh", marginBottom: 12 }}>
+              <TablePreview
+                key={tableExtraction.id}
+                extraction={tableExtraction}
+                onCopy={copyTable}
+                onDownload={downloadTable}
+                onCite={citeTableCell}
+                onClose={() => setTableExtraction(null)}
+              />
+            </div>
+          )}
+          {authoring && (
+            <div style={{ ...styles.panelInner, maxHeight: "28vh", marginBottom: 12 }}>
+              <CitationAuthoring
+                citations={authoredCitations}
+                canAdd={Boolean(activeDoc && selections[activeDoc.id])}
+                onAdd={addCitationFromSelection}
+                onShow={(citationId) => showAndHighlightText({ citationId, persistent: true })}
+                onRemove={removeAuthoredCitation}
+                onExport={exportAuthoredCitations}
+                onLoad={loadCitationSet}
+              />
+            </div>
+          )}
+          <div style={{ ...styles.panelInner, maxHeight: "32vh", marginBottom: 12 }}>
+            <AnnotationPanel
+              annotations={activeAnnotations}
+              color={annotationColor}
+              onColorChange={setAnnotationColor}
+              canHighlight={Boolean(activeDoc && selections[activeDoc.id])}
+              onHighlight={highlightSelection}
+              drawArea={drawArea}
+              onDrawAreaChange={setDrawArea}
+              onSelect={(a) => viewerRefs.current[activeDocId]?.showAnnotation(a)}
+              onChange={(id, patch) =>
+                updateAnnotations(activeDocId, (list) => list.map((a) => (a.id === id ? { ...a, ...patch } : a)))
+              }
+              onDelete={(id) => updateAnnotations(activeDocId, (list) => list.filter((a) => a.id !== id))}
+              onExport={exportMarks}
+              onImport={importPdfHighlights}
+              exporting={exporting}
+              disabled={!activeDoc}
+            />
+          </div>
+          <div style={{ ...styles.panelInner, marginBottom: 12 }}>
+            <PrintPanel
+              numPages={activeDoc ? docInfo[activeDoc.id]?.numPages || 0 : 0}
+              currentPage={activeDoc ? currentPages[activeDoc.id] || 1 : 1}
+              exporting={exporting}
+              disabled={!activeDoc || !docInfo[activeDoc.id]}
+              onExport={exportPages}
+            />
+          </div>
+          <div style={{ ...styles.panelInner, maxHeight: "40vh", marginBottom: 12 }}>
+            <AskPanel
+              providers={ASK_PROVIDERS}
+              providerId={askProviderId}
+              onProviderChange={setAskProviderId}
+              result={askResult}
+              asking={asking}
+              error={askError}
+              disabled={!activeDoc}
+              activeCitationId={activeCitationId}
+              onAsk={askQuestion}
+              onCite={({ citationId }) => showAndHighlightText({ citationId })}
+            />
+          </div>
           <div style={styles.panelInner}>
-            <AnalysisPanel onCite={({ refKey, searchTerm }) => showAndHighlightText({ refKey, searchTerm })} />
+            <AnalysisPanel
+              analysis={analysis}
+              activeCitationId={activeCitationId}
+              checks={citationChecks}
+              onCite={({ citationId }) => showAndHighlightText({ citationId })}
+            />
           </div>
         </aside>
       </div>
@@ -498,6 +1225,8 @@ export default function App() {
   );
 }
 
+const EMPTY_SEARCH = { query: "", options: { caseSensitive: false, wholeWord: false } };
+
 /* Updated Styles */
 const styles = {
   app: {
@@ -516,10 +1245,27 @@ const styles = {
     flex: 2,
     minWidth: 640,
   },
-  viewerBox: {
-    position: "relative",
+  viewerRow: {
+    display: "flex",
+    gap: 8,
     height: "78vh",
     minHeight: 560,
+  },
+  viewerSlot: {
+    position: "absolute",
+    inset: 0,
+  },
+  viewerSlotLeft: {
+    right: "50%",
+    borderRight: "1px solid #d1d5db",
+  },
+  viewerSlotRight: {
+    left: "50%",
+  },
+  viewerBox: {
+    position: "relative",
+    flex: 1,
+    minWidth: 0,
     background: "#ffffff",
     borderRadius: 12,
     border: "1px solid #d1d5db",
@@ -527,6 +1273,56 @@ const styles = {
     boxSizing: "border-box",
     overflow: "hidden",
   },
+  tabs: {
+    display: "flex",
+    gap: 4,
+    marginBottom: 6,
+    overflowX: "auto",
+  },
+  tab: {
+    display: "flex",
+    alignItems: "center",
+    background: "#e5e7eb",
+    borderRadius: 8,
+    maxWidth: 260,
+  },
+  tabActive: {
+    background: "#3b82f6",
+    color: "#fff",
+  },
+  tabLabel: {
+    background: "none",
+    border: "none",
+    color: "inherit",
+    padding: "6px 4px 6px 10px",
+    cursor: "pointer",
+    fontWeight: 600,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+  tabBadge: {
+    opacity: 0.7,
+    fontSize: 12,
+  },
+  tabClose: {
+    background: "none",
+    border: "none",
+    color: "inherit",
+    padding: "6px 8px",
+    cursor: "pointer",
+  },
+  emptyState: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    height: "100%",
+    color: "#6b7280",
+  },
+  viewerBoxDragOver: {
+    border: "2px dashed #3b82f6",
+    background: "#eff6ff",
+  },
   panel: {
     flex: 1,
     minWidth: 360,
@@ -542,12 +1338,6 @@ const styles = {
     color: "#f9fafb",
     boxShadow: "0 4px 12px rgba(0,0,0,0.1)",
   },
-  panelContent: {
-    whiteSpace: "pre-wrap",
-    color: "#f9fafb",
-    fontSize: 14,
-    lineHeight: 1.5,
-  },
   pillButton: {
     background: "#3b82f6", // bright blue
     color: "#fff",
@@ -559,6 +1349,44 @@ const styles = {
     boxShadow: "0 2px 6px rgba(0,0,0,0.12)",
     transition: "all 0.2s ease",
   },
+  errorBox: {
+    background: "#fef2f2",
+    color: "#991b1b",
+    border: "1px solid #fecaca",
+    borderRadius: 8,
+    padding: "8px 12px",
+    marginBottom: 12,
+    fontSize: 13,
+  },
+  // read by screen readers, not shown
+  visuallyHidden: {
+    position: "absolute",
+    width: 1,
+    height: 1,
+    margin: -1,
+    padding: 0,
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+    border: 0,
+  },
+  warningBox: {
+    background: "#fffbeb",
+    color: "#92400e",
+    border: "1px solid #fde68a",
+    borderRadius: 8,
+    padding: "8px 12px",
+    marginBottom: 12,
+    fontSize: 13,
+  },
+  pillButtonActive: {
+    background: "#1d4ed8",
+    boxShadow: "inset 0 0 0 2px #bfdbfe",
+  },
+  pillButtonBroken: {
+    background: "#dc2626",
+    textDecoration: "line-through",
+  },
   pillButtonHover: {
     background: "#2563eb",
     boxShadow: "0 4px 10px rgba(0,0,0,0.15)",
@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+import { InlineText } from "./AnalysisPanel";
+import { citationLabel } from "./citations";
+import { isBroken } from "./citationCheck";
+
+/*
+  AskPanel
+  - Question box for the active document; the parent sends the question and
+    the page texts to the chosen provider (see askDocument.js)
+  - Renders the answer with [n] citation buttons like the analysis, plus the
+    list of quoted sources
+  - Quotes the document does not contain are flagged, approximate ones noted
+*/
+
+export default function AskPanel({
+  providers,
+  providerId,
+  onProviderChange,
+  result = null, // { question, answer, citations, checks }
+  asking = false,
+  error = null,
+  disabled = false,
+  activeCitationId = null,
+  onAsk,
+  onCite,
+}) {
+  const [question, setQuestion] = useState("");
+  const canAsk = !disabled && !asking && question.trim().length > 0;
+  const unfound = result ? result.citations.filter((c) => isBroken(result.checks[c.id])) : [];
+
+  return (
+    <div style={styles.panelContent}>
+      <div style={styles.heading}>Ask the document</div>
+      <form
+        style={styles.form}
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (canAsk) onAsk(question.trim());
+        }}
+      >
+        <input
+          type="text"
+          style={styles.input}
+          value={question}
+          placeholder={disabled ? "Open a document first" : "e.g. What drove EBITDA this quarter?"}
+          aria-label="Question about the document"
+          disabled={disabled}
+          onChange={(e) => setQuestion(e.target.value)}
+        />
+        {providers.length > 1 && (
+          <select
+            style={styles.toolButton}
+            aria-label="Answer provider"
+            value={providerId}
+            onChange={(e) => onProviderChange(e.target.value)}
+          >
+            {providers.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <button type="submit" style={styles.toolButton} disabled={!canAsk}>
+          {asking ? "Asking…" : "Ask"}
+        </button>
+      </form>
+
+      {asking && (
+        <div role="status" style={styles.muted}>
+          Reading the document…
+        </div>
+      )}
+      {error && (
+        <div role="alert" style={styles.error}>
+          {error}
+        </div>
+      )}
+
+      {result && !asking && (
+        <div aria-live="polite">
+          <div style={styles.question}>{result.question}</div>
+          <div style={styles.answer}>
+            <InlineText
+              text={result.answer}
+              citations={result.citations}
+              activeCitationId={activeCitationId}
+              checks={result.checks}
+              onCite={onCite}
+            />
+          </div>
+          {unfound.length > 0 && (
+            <div role="alert" style={styles.error}>
+              Not found in the document: {unfound.map((c) => `${citationLabel(c)} page ${c.page}`).join(", ")}
+            </div>
+          )}
+          {result.citations.length > 0 && (
+            <ul style={styles.sources}>
+              {result.citations.map((c) => {
+                const check = result.checks[c.id];
+                return (
+                  <li key={c.id} style={styles.source}>
+                    <strong>{citationLabel(c)}</strong> Page {c.page} — “{c.quote}”
+                    {isBroken(check) && <span style={styles.badBadge}> not found</span>}
+                    {check.status === "fuzzy" && (
+                      <span style={styles.fuzzyBadge}> approximate ({Math.round(check.confidence * 100)}%)</span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panelContent: {
+    color: "#f9fafb",
+    fontSize: 13,
+    lineHeight: 1.4,
+  },
+  heading: {
+    fontWeight: 700,
+    fontSize: 16,
+    marginBottom: 8,
+    color: "#fff",
+  },
+  form: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 6,
+    marginBottom: 8,
+  },
+  input: {
+    flex: "1 1 160px",
+    minWidth: 0,
+    background: "#111827",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "4px 8px",
+    fontSize: 13,
+  },
+  toolButton: {
+    background: "#374151",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "3px 8px",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  muted: {
+    color: "#9ca3af",
+  },
+  error: {
+    color: "#fca5a5",
+    marginTop: 6,
+  },
+  question: {
+    color: "#9ca3af",
+    fontStyle: "italic",
+    marginBottom: 4,
+  },
+  answer: {
+    whiteSpace: "pre-wrap",
+    color: "#fff",
+  },
+  sources: {
+    listStyle: "none",
+    margin: "8px 0 0",
+    padding: 0,
+    color: "#d1d5db",
+    fontSize: 12,
+  },
+  source: {
+    borderTop: "1px solid #374151",
+    padding: "4px 0",
+  },
+  badBadge: {
+    color: "#fca5a5",
+    fontWeight: 700,
+  },
+  fuzzyBadge: {
+    color: "#fbbf24",
+  },
+};
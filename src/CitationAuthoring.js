@@ -0,0 +1,130 @@
+import React from "react";
+import { citationLabel } from "./citations";
+
+/*
+  CitationAuthoring
+  - "Add citation" turns the text selected in the viewer into a citation entry
+  - Lists the authored citations; each can be shown in the document or removed
+  - Export / load the authored set as JSON (see citationSet.js)
+  - Stateless: the parent adds the entries to the analysis
+*/
+
+export default function CitationAuthoring({ citations, canAdd = false, onAdd, onShow, onRemove, onExport, onLoad }) {
+  return (
+    <div style={styles.panelContent}>
+      <div style={styles.heading}>Citation authoring</div>
+      <div role="toolbar" aria-label="Citation authoring" style={styles.tools}>
+        <button
+          style={styles.toolButton}
+          disabled={!canAdd}
+          title="Select a passage in the document first"
+          onClick={onAdd}
+        >
+          Add citation
+        </button>
+        <button style={styles.toolButton} disabled={!citations.length} onClick={onExport}>
+          Export JSON
+        </button>
+        <label style={styles.toolButton}>
+          Load citations…
+          <input
+            type="file"
+            accept="application/json,.json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              onLoad(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+
+      {citations.length === 0 ? (
+        <div style={styles.empty}>Select a passage in the document and choose “Add citation”.</div>
+      ) : (
+        <ul style={styles.list}>
+          {citations.map((c) => (
+            <li key={c.id} style={styles.item}>
+              <button style={styles.itemLink} title={c.quote} onClick={() => onShow(c.id)}>
+                <strong>{citationLabel(c)}</strong> Page {c.page} — “{c.quote}”
+              </button>
+              <button
+                style={styles.removeButton}
+                aria-label={`Remove citation ${citationLabel(c)}`}
+                onClick={() => onRemove(c.id)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panelContent: {
+    color: "#f9fafb",
+    fontSize: 13,
+    lineHeight: 1.4,
+  },
+  heading: {
+    fontWeight: 700,
+    fontSize: 16,
+    marginBottom: 8,
+    color: "#fff",
+  },
+  tools: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 10,
+  },
+  toolButton: {
+    background: "#374151",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "3px 8px",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  empty: {
+    color: "#9ca3af",
+  },
+  list: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+  },
+  item: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    borderTop: "1px solid #374151",
+    padding: "6px 0",
+  },
+  itemLink: {
+    flex: 1,
+    minWidth: 0,
+    background: "none",
+    border: "none",
+    color: "#e5e7eb",
+    textAlign: "left",
+    cursor: "pointer",
+    padding: 0,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+  removeButton: {
+    background: "none",
+    border: "none",
+    color: "#9ca3af",
+    cursor: "pointer",
+    fontSize: 16,
+    lineHeight: 1,
+  },
+};
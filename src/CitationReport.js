@@ -0,0 +1,149 @@
+import React from "react";
+import { citationLabel } from "./citations";
+import { verificationSummary } from "./citationCheck";
+
+/*
+  CitationReport
+  - Lists every citation of the analysis with how its quote was found in the
+    document (see citationCheck.js): exact, fuzzy, not found or error
+  - Clicking an entry shows the citation; "Check again" re-runs the check
+  - A check that fails as a whole (e.g. the document cannot be loaded) shows its error
+  - Stateless: the parent runs the check and passes the results
+*/
+
+const STATUS_TEXT = { exact: "Exact", fuzzy: "Fuzzy", "not-found": "Not found", error: "Error" };
+
+function ResultItem({ result, onShow }) {
+  const { citation, status, method, confidence, error } = result;
+  const detail =
+    status === "error" ? error : status === "not-found" ? "" : `${method}, ${Math.round(confidence * 100)}%`;
+  return (
+    <li style={styles.item}>
+      <span style={{ ...styles.status, ...STATUS_STYLES[status] }}>{STATUS_TEXT[status]}</span>
+      <button style={styles.itemLink} title={citation.quote} onClick={() => onShow(citation.id)}>
+        <strong>{citationLabel(citation)}</strong> Page {citation.page} — “{citation.quote}”
+      </button>
+      {detail && <span style={styles.detail}>{detail}</span>}
+    </li>
+  );
+}
+
+export default function CitationReport({ results, running = false, error = null, onRun, onShow }) {
+  const summary = results ? verificationSummary(results) : null;
+  return (
+    <div style={styles.panelContent}>
+      <div style={styles.heading}>Citation check</div>
+      <div role="toolbar" aria-label="Citation check" style={styles.tools}>
+        <button style={styles.toolButton} disabled={running} onClick={onRun}>
+          {running ? "Checking…" : "Check again"}
+        </button>
+        {summary && !running && (
+          <span role="status" style={summary.broken ? styles.summaryBroken : styles.summary}>
+            {summary.total} citations: {summary.exact} exact, {summary.fuzzy} fuzzy, {summary.broken} broken
+          </span>
+        )}
+      </div>
+
+      {error && !running && (
+        <div role="alert" style={styles.error}>
+          {error}
+        </div>
+      )}
+      {results && results.length === 0 && <div style={styles.empty}>The analysis has no citations.</div>}
+      {results && results.length > 0 && (
+        <ul style={styles.list}>
+          {results.map((r) => (
+            <ResultItem key={r.citation.id} result={r} onShow={onShow} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const STATUS_STYLES = {
+  exact: { background: "#166534", color: "#dcfce7" },
+  fuzzy: { background: "#92400e", color: "#fef3c7" },
+  "not-found": { background: "#991b1b", color: "#fee2e2" },
+  error: { background: "#991b1b", color: "#fee2e2" },
+};
+
+const styles = {
+  panelContent: {
+    color: "#f9fafb",
+    fontSize: 13,
+    lineHeight: 1.4,
+  },
+  heading: {
+    fontWeight: 700,
+    fontSize: 16,
+    marginBottom: 8,
+    color: "#fff",
+  },
+  tools: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 10,
+  },
+  toolButton: {
+    background: "#374151",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "3px 8px",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  summary: {
+    color: "#d1d5db",
+  },
+  summaryBroken: {
+    color: "#fca5a5",
+    fontWeight: 600,
+  },
+  empty: {
+    color: "#9ca3af",
+  },
+  error: {
+    color: "#fca5a5",
+  },
+  list: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+  },
+  item: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    borderTop: "1px solid #374151",
+    padding: "6px 0",
+  },
+  status: {
+    flex: "none",
+    borderRadius: 4,
+    padding: "0 6px",
+    fontSize: 11,
+    fontWeight: 700,
+  },
+  itemLink: {
+    flex: 1,
+    minWidth: 0,
+    background: "none",
+    border: "none",
+    color: "#e5e7eb",
+    textAlign: "left",
+    cursor: "pointer",
+    padding: 0,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+  detail: {
+    flex: "none",
+    color: "#9ca3af",
+    fontSize: 11,
+  },
+};
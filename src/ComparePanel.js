@@ -0,0 +1,240 @@
+import React from "react";
+
+/*
+  ComparePanel
+  - Picks the report shown next to the active one (an open tab, or a PDF opened here)
+  - Scroll sync: off, by page number, or by matched section heading (see reportCompare.js)
+  - Lists the figures that differ between matched passages; clicking one highlights
+    the passage in both reports
+  - Stateless: the parent reads both reports and compares them
+*/
+
+const SYNC_MODES = [
+  { id: "off", name: "No sync" },
+  { id: "page", name: "Sync by page" },
+  { id: "section", name: "Sync by section" },
+];
+const SHOWN_CHANGES = 3; // figures listed per difference, the rest are counted
+
+function DifferenceItem({ difference, selected, onShow }) {
+  const { label, a, b, changes } = difference;
+  const more = changes.length - SHOWN_CHANGES;
+  return (
+    <li style={styles.item}>
+      <button
+        style={{ ...styles.itemLink, ...(selected ? styles.itemSelected : null) }}
+        aria-current={selected || undefined}
+        title={`${a.quote}\n${b.quote}`}
+        onClick={() => onShow(difference)}
+      >
+        <span style={styles.label}>
+          {label}{" "}
+          <span style={styles.pages}>
+            (p. {a.page} / p. {b.page})
+          </span>
+        </span>
+        <span style={styles.changes}>
+          {changes.slice(0, SHOWN_CHANGES).map((c) => (
+            <span key={c.index} style={styles.change}>
+              {c.a} <span style={styles.versus}>vs</span> {c.b}
+            </span>
+          ))}
+          {more > 0 && <span style={styles.pages}>+{more} more</span>}
+        </span>
+      </button>
+    </li>
+  );
+}
+
+export default function ComparePanel({
+  documents, // [{ id, title }] that can go next to the active document
+  compareId = null,
+  titles, // { a, b } of the reports on the left and right
+  syncMode,
+  sectionCount = 0,
+  result = null, // { differences } of reportCompare.compareFigures
+  running = false,
+  error = null,
+  selectedId = null,
+  onCompareWith,
+  onOpenFile,
+  onSyncModeChange,
+  onShow,
+}) {
+  return (
+    <div style={styles.panelContent}>
+      <div style={styles.heading}>Compare reports</div>
+      <div style={styles.tools}>
+        <select
+          style={styles.select}
+          aria-label="Report to compare with"
+          value={compareId || ""}
+          onChange={(e) => onCompareWith(e.target.value || null)}
+        >
+          <option value="">{documents.length ? "Compare with…" : "Open a second report"}</option>
+          {documents.map((d) => (
+            <option key={d.id} value={d.id}>
+              {d.title}
+            </option>
+          ))}
+        </select>
+        <label style={styles.toolButton}>
+          Open PDF…
+          <input
+            type="file"
+            accept="application/pdf,.pdf"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              onOpenFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        <select
+          style={styles.toolButton}
+          aria-label="Scroll sync"
+          value={syncMode}
+          disabled={!compareId}
+          onChange={(e) => onSyncModeChange(e.target.value)}
+        >
+          {SYNC_MODES.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.name}
+              {m.id === "section" && compareId && !running ? ` (${sectionCount} matched)` : ""}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {compareId && titles && (
+        <div style={styles.muted}>
+          Left: {titles.a} · Right: {titles.b}
+        </div>
+      )}
+      {running && (
+        <div role="status" style={styles.muted}>
+          Comparing the reports…
+        </div>
+      )}
+      {error && (
+        <div role="alert" style={styles.error}>
+          {error}
+        </div>
+      )}
+      {result && !running && (
+        <>
+          <div role="status" style={styles.summary}>
+            {result.differences.length
+              ? `${result.differences.length} passage${result.differences.length === 1 ? "" : "s"} with different figures`
+              : "No differing figures in matched passages"}
+          </div>
+          <ul style={styles.list}>
+            {result.differences.map((d) => (
+              <DifferenceItem key={d.id} difference={d} selected={d.id === selectedId} onShow={onShow} />
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panelContent: {
+    color: "#f9fafb",
+    fontSize: 13,
+    lineHeight: 1.4,
+  },
+  heading: {
+    fontWeight: 700,
+    fontSize: 16,
+    marginBottom: 8,
+    color: "#fff",
+  },
+  tools: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 8,
+  },
+  select: {
+    flex: "1 1 140px",
+    minWidth: 0,
+    background: "#111827",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "3px 6px",
+    fontSize: 12,
+  },
+  toolButton: {
+    background: "#374151",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "3px 8px",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  muted: {
+    color: "#9ca3af",
+    fontSize: 12,
+    marginBottom: 6,
+  },
+  error: {
+    color: "#fca5a5",
+  },
+  summary: {
+    color: "#d1d5db",
+    marginBottom: 4,
+  },
+  list: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+  },
+  item: {
+    borderTop: "1px solid #374151",
+  },
+  itemLink: {
+    display: "block",
+    width: "100%",
+    background: "none",
+    border: "none",
+    borderRadius: 4,
+    color: "#e5e7eb",
+    textAlign: "left",
+    cursor: "pointer",
+    padding: "5px 4px",
+    fontSize: 12,
+  },
+  itemSelected: {
+    background: "#1f2937",
+    boxShadow: "inset 3px 0 0 #facc15",
+  },
+  label: {
+    display: "block",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+  pages: {
+    color: "#9ca3af",
+    fontSize: 11,
+  },
+  changes: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 8,
+    marginTop: 2,
+  },
+  change: {
+    color: "#fde68a",
+    fontVariantNumeric: "tabular-nums",
+  },
+  versus: {
+    color: "#9ca3af",
+    fontSize: 11,
+  },
+};
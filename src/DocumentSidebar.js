@@ -0,0 +1,262 @@
+import React, { useEffect, useRef, useState } from "react";
+
+/*
+  DocumentSidebar
+  - Two tabs for the active document: page thumbnails and the PDF's outline
+  - Thumbnails are drawn at low resolution as they scroll into view
+    (renderThumbnail comes from the viewer); pages with citations get a badge
+  - The current page is highlighted and kept in view as the document scrolls
+  - Outline entries jump to their destination's page and position
+  - Mount one per document (key it by document id)
+*/
+
+const THUMBNAIL_WIDTH = 112;
+const PLACEHOLDER_HEIGHT = Math.round(THUMBNAIL_WIDTH * 1.414); // A4 until the page is drawn
+
+function Thumbnail({ pageNumber, current, badge, rotation, root, renderThumbnail, onSelect }) {
+  const itemRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [drawn, setDrawn] = useState(false);
+
+  // draw once the thumbnail comes near the visible part of the list
+  useEffect(() => {
+    let cancelled = false;
+    const draw = () =>
+      renderThumbnail(pageNumber, canvasRef.current, THUMBNAIL_WIDTH).then((ok) => !cancelled && setDrawn(ok));
+    if (typeof IntersectionObserver === "undefined") {
+      draw();
+      return () => {
+        cancelled = true;
+      };
+    }
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((e) => e.isIntersecting)) return;
+        observer.disconnect();
+        draw();
+      },
+      { root: root.current, rootMargin: "200px 0px" }
+    );
+    observer.observe(itemRef.current);
+    return () => {
+      cancelled = true;
+      observer.disconnect();
+    };
+  }, [pageNumber, rotation, root, renderThumbnail]);
+
+  useEffect(() => {
+    if (current) itemRef.current?.scrollIntoView?.({ block: "nearest" });
+  }, [current]);
+
+  return (
+    <li ref={itemRef} style={styles.thumbnailItem}>
+      <button
+        style={{ ...styles.thumbnailButton, ...(current ? styles.thumbnailCurrent : null) }}
+        aria-label={`Page ${pageNumber}${badge ? `, cited by ${badge.join(" ")}` : ""}`}
+        aria-current={current ? "page" : undefined}
+        onClick={() => onSelect(pageNumber)}
+      >
+        <canvas
+          ref={canvasRef}
+          style={drawn ? styles.canvas : { ...styles.canvas, height: PLACEHOLDER_HEIGHT }}
+          aria-hidden="true"
+        />
+        {badge && (
+          <span style={styles.badge} title={`Cited by ${badge.join(" ")}`}>
+            {badge.length}
+          </span>
+        )}
+      </button>
+      <div style={styles.pageNumber}>{pageNumber}</div>
+    </li>
+  );
+}
+
+function OutlineItems({ items, onGoTo }) {
+  return (
+    <ul style={styles.outlineList}>
+      {items.map((item, i) => (
+        <li key={i}>
+          <button
+            style={{
+              ...styles.outlineButton,
+              fontWeight: item.bold ? 700 : 400,
+              fontStyle: item.italic ? "italic" : "normal",
+            }}
+            disabled={!item.page}
+            title={item.page ? `Page ${item.page}` : "No destination in this document"}
+            onClick={() => onGoTo(item.page, item.top)}
+          >
+            {item.title}
+          </button>
+          {item.items.length > 0 && <OutlineItems items={item.items} onGoTo={onGoTo} />}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function DocumentSidebar({
+  numPages = 0,
+  currentPage = 1,
+  citedPages = {},
+  rotation = 0,
+  renderThumbnail,
+  loadOutline,
+  onGoTo,
+}) {
+  const [tab, setTab] = useState("thumbnails");
+  const [outline, setOutline] = useState(null); // null until loaded
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (tab !== "outline" || outline) return undefined;
+    let cancelled = false;
+    loadOutline().then((items) => !cancelled && setOutline(items));
+    return () => {
+      cancelled = true;
+    };
+  }, [tab, outline, loadOutline]);
+
+  const tabButton = (name, label) => (
+    <button
+      role="tab"
+      aria-selected={tab === name}
+      style={{ ...styles.tab, ...(tab === name ? styles.tabActive : null) }}
+      onClick={() => setTab(name)}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <nav aria-label="Document navigation" style={styles.sidebar}>
+      <div role="tablist" style={styles.tabs}>
+        {tabButton("thumbnails", "Pages")}
+        {tabButton("outline", "Outline")}
+      </div>
+      <div ref={listRef} role="tabpanel" style={styles.content}>
+        {tab === "thumbnails" && (
+          <ul style={styles.thumbnailList}>
+            {Array.from({ length: numPages }, (_, i) => i + 1).map((p) => (
+              <Thumbnail
+                key={p}
+                pageNumber={p}
+                current={p === currentPage}
+                badge={citedPages[p]}
+                rotation={rotation}
+                root={listRef}
+                renderThumbnail={renderThumbnail}
+                onSelect={(page) => onGoTo(page, null)}
+              />
+            ))}
+          </ul>
+        )}
+        {tab === "outline" && outline === null && <div style={styles.empty}>Loading outline…</div>}
+        {tab === "outline" && outline && outline.length === 0 && (
+          <div style={styles.empty}>This document has no outline.</div>
+        )}
+        {tab === "outline" && outline && outline.length > 0 && <OutlineItems items={outline} onGoTo={onGoTo} />}
+      </div>
+    </nav>
+  );
+}
+
+const styles = {
+  sidebar: {
+    display: "flex",
+    flexDirection: "column",
+    width: 168,
+    flex: "none",
+    background: "#f9fafb",
+    border: "1px solid #d1d5db",
+    borderRadius: 12,
+    overflow: "hidden",
+    fontSize: 12,
+  },
+  tabs: {
+    display: "flex",
+    borderBottom: "1px solid #d1d5db",
+  },
+  tab: {
+    flex: 1,
+    background: "none",
+    border: "none",
+    padding: "6px 0",
+    cursor: "pointer",
+    fontWeight: 600,
+    color: "#4b5563",
+  },
+  tabActive: {
+    color: "#1d4ed8",
+    boxShadow: "inset 0 -2px 0 #3b82f6",
+  },
+  content: {
+    flex: 1,
+    overflowY: "auto",
+    padding: 8,
+  },
+  thumbnailList: {
+    listStyle: "none",
+    margin: 0,
+    padding: 0,
+  },
+  thumbnailItem: {
+    textAlign: "center",
+    marginBottom: 8,
+  },
+  thumbnailButton: {
+    position: "relative",
+    display: "inline-block",
+    padding: 2,
+    background: "#fff",
+    border: "2px solid transparent",
+    borderRadius: 4,
+    cursor: "pointer",
+    lineHeight: 0,
+  },
+  thumbnailCurrent: {
+    borderColor: "#3b82f6",
+  },
+  canvas: {
+    display: "block",
+    width: THUMBNAIL_WIDTH,
+    boxShadow: "0 0 0 1px #e5e7eb",
+  },
+  badge: {
+    position: "absolute",
+    top: -4,
+    right: -4,
+    minWidth: 16,
+    height: 16,
+    lineHeight: "16px",
+    borderRadius: 8,
+    background: "#1c965d",
+    color: "#fff",
+    fontSize: 10,
+    fontWeight: 700,
+  },
+  pageNumber: {
+    marginTop: 2,
+    color: "#4b5563",
+  },
+  outlineList: {
+    listStyle: "none",
+    margin: 0,
+    paddingLeft: 10,
+  },
+  outlineButton: {
+    display: "block",
+    width: "100%",
+    background: "none",
+    border: "none",
+    padding: "3px 0",
+    textAlign: "left",
+    cursor: "pointer",
+    color: "#111827",
+  },
+  empty: {
+    color: "#6b7280",
+    padding: 4,
+  },
+};
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from "react";
+import { pageLabel, parsePageInput } from "./pageNavigation";
+
+/*
+  PageControls
+  - "Page N of M" for the active document, following the scroll position
+  - The page box jumps on Enter; it takes a page label (e.g. "iii") or a number
+  - First / previous / next / last buttons
+  - Stateless apart from the text being typed: the parent owns the current page
+*/
+
+export default function PageControls({ page, numPages, labels = null, onGoTo, disabled = false }) {
+  const current = pageLabel(page, labels);
+  const [draft, setDraft] = useState(current);
+  const [invalid, setInvalid] = useState(false);
+
+  // show the current page whenever it changes under the box
+  useEffect(() => {
+    setDraft(current);
+    setInvalid(false);
+  }, [current]);
+
+  const jump = () => {
+    const target = parsePageInput(draft, numPages, labels);
+    setInvalid(!target);
+    if (target) onGoTo(target);
+  };
+  const reset = () => {
+    setDraft(current);
+    setInvalid(false);
+  };
+
+  const off = disabled || !numPages;
+  const step = (target, label, text, isDisabled) => (
+    <button
+      style={styles.button}
+      disabled={off || isDisabled}
+      aria-label={label}
+      title={label}
+      onClick={() => onGoTo(target)}
+    >
+      {text}
+    </button>
+  );
+
+  return (
+    <div role="group" aria-label="Page navigation" style={styles.group}>
+      {step(1, "First page", "⇤", page <= 1)}
+      {step(page - 1, "Previous page", "‹", page <= 1)}
+      <label style={styles.label}>
+        Page
+        <input
+          value={off ? "" : draft}
+          disabled={off}
+          aria-label="Go to page"
+          aria-invalid={invalid || undefined}
+          style={{ ...styles.input, ...(invalid ? styles.inputInvalid : null) }}
+          onChange={(e) => setDraft(e.target.value)}
+          onFocus={(e) => e.target.select()}
+          onBlur={reset}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") jump();
+            else if (e.key === "Escape") reset();
+          }}
+        />
+      </label>
+      <span style={styles.count} aria-live="polite">
+        {off ? "" : labels && current !== String(page) ? `(${page} of ${numPages})` : `of ${numPages}`}
+      </span>
+      {step(page + 1, "Next page", "›", page >= numPages)}
+      {step(numPages, "Last page", "⇥", page >= numPages)}
+    </div>
+  );
+}
+
+const styles = {
+  group: {
+    display: "flex",
+    alignItems: "center",
+    gap: 4,
+  },
+  button: {
+    background: "#fff",
+    border: "1px solid #d1d5db",
+    borderRadius: 6,
+    padding: "4px 8px",
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+  label: {
+    display: "flex",
+    alignItems: "center",
+    gap: 4,
+  },
+  input: {
+    width: 44,
+    padding: "3px 4px",
+    border: "1px solid #d1d5db",
+    borderRadius: 6,
+    textAlign: "center",
+    fontSize: 13,
+  },
+  inputInvalid: {
+    borderColor: "#dc2626",
+  },
+  count: {
+    minWidth: 48,
+    fontVariantNumeric: "tabular-nums",
+    whiteSpace: "nowrap",
+  },
+};
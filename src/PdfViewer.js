@@ -0,0 +1,1581 @@
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useRef, useState } from "react";
+import { titleFromMetadata } from "./pdfSource";
+import { loadPdf } from "./pdfDocument";
+import { DEFAULT_VIEW, resolveScale } from "./viewSettings";
+import { buildPageText, findMatches } from "./textSearch";
+import {
+  createTextMeasurer,
+  fromPageFractions,
+  fromPdfRect,
+  itemBox,
+  rangeRects,
+  rectsOverlap,
+  toPageFractions,
+  toPdfRect,
+} from "./textGeometry";
+import { matchQuote } from "./quoteMatcher";
+import { citationDescription, citationMatchOptions } from "./citations";
+import { ANNOTATION_COLORS } from "./annotations";
+import { annotationsFromPdf } from "./pdfAnnotations";
+import { resolveOutline } from "./outline";
+import { pageInView } from "./pageNavigation";
+import { extractTables as tablesFromText } from "./tableExtraction";
+import { selectedText } from "./textCopy";
+import { EXPORT_DPI, FOOTER_HEIGHT, drawFooter, drawMarks } from "./pageExport";
+import { PASSWORD_INCORRECT, isCancellation, loadErrorMessage } from "./pdfErrors";
+import {
+  exposePageText,
+  focusMark,
+  labelPage,
+  pageKeyTarget,
+  pageRegionLabel,
+  releaseMarkFocus,
+} from "./pageAccessibility";
+
+/*
+  PdfViewer
+  - One scrollable column of pages (canvas + textLayer) for a single document
+  - Every page gets a placeholder sized from its viewport; canvases are only
+    drawn near the visible area and released again far off-screen
+  - Zoom / fit / rotation come in as props; changes re-lay out the pages,
+    keep the reading position and redraw the active highlight
+  - Full-document search over every page's text content, drawn on pages as
+    they render (handle: search, gotoMatch)
+  - User annotations (prop) drawn from PDF coordinates on every render; text
+    selections and rectangles drawn in `drawArea` mode are reported upwards
+    (handle: selectionAnnotation, showAnnotation)
+  - Text layer spans are scaled to the real glyph run and rotated with the text;
+    copying rebuilds spaces and line breaks from the item positions
+  - Export/import support: resolveCitation (citation rects in PDF space),
+    getDocumentData, readPdfHighlights
+  - Reports the current page while scrolling (onPageChange) and the page labels
+    on load; PageUp / PageDown / Home / End step through pages while it has focus
+  - Deep links: scrollToPage and highlightArea (a PDF-space rectangle)
+  - Sidebar support: renderThumbnail (small canvas of a page), getOutline
+  - Print / export: renderPageImage draws a page at print resolution with marks and a footer
+  - Loading progress, password prompt (pdf.js onPassword), error and empty states over the
+    pages; a page that fails to draw shows its error with a Retry button, and a citation on
+    a page whose text cannot be read says so (textError) instead of quietly using its box
+  - getPageTexts: every page's text (for asking questions about the document, comparing reports)
+  - extractTables: tables rebuilt from a page's text, optionally within a region;
+    a citation of a table cell only matches its value inside the cell's area
+  - Owns its own highlights, pin/hide timer and scroll position, so several
+    viewers can stay mounted side by side (one per open tab, two shown in compare mode)
+  - Accessibility (see pageAccessibility.js): pages are regions labelled "Page n of N"
+    that read as their text layer, a shown highlight takes focus with a description of
+    the citation, page keys are announced (onAnnounce), and `highContrast` switches
+    highlights to a stronger, outlined theme
+  - Parent drives it through the ref handle: showAndHighlightText(citation)
+*/
+
+const RENDER_MARGIN = "100% 0px"; // draw pages within one viewport height of the visible area
+const KEEP_MARGIN = "400% 0px"; // release canvases further away than this
+const PAGE_GAP = 10; // px of margin above and below every page
+
+// empty, correctly sized container a page is later drawn into
+function createPageContainer(pageNumber, numPages, viewport) {
+  const pageContainer = document.createElement("div");
+  pageContainer.className = "pdf-page";
+  pageContainer.dataset.pageNumber = String(pageNumber);
+  labelPage(pageContainer, pageNumber, numPages);
+  pageContainer.style.position = "relative";
+  pageContainer.style.margin = `${PAGE_GAP}px auto`;
+  pageContainer.style.background = "#fff";
+  pageContainer.style.boxShadow = "0 0 0 1px #e5e7eb";
+  sizePageContainer(pageContainer, viewport);
+  return pageContainer;
+}
+
+// absolutely positioned overlay (citation or search highlight) inside a page container
+function appendHighlight(pageContainer, rect, { className, background, zIndex, borderRadius = 0, boxShadow = null }) {
+  const hl = document.createElement("div");
+  hl.className = className;
+  hl.style.position = "absolute";
+  hl.style.left = `${Math.round(rect.left)}px`;
+  hl.style.top = `${Math.round(rect.top)}px`;
+  hl.style.width = `${Math.max(2, Math.round(rect.width))}px`;
+  hl.style.height = `${Math.max(2, Math.round(rect.height))}px`;
+  hl.style.borderRadius = `${borderRadius}px`;
+  hl.style.background = background;
+  if (boxShadow) hl.style.boxShadow = boxShadow;
+  hl.style.pointerEvents = "none";
+  hl.style.zIndex = zIndex;
+  pageContainer.appendChild(hl);
+  return hl;
+}
+
+// message over a page that could not be drawn; its button is handled by the container's click
+function showPageError(pageContainer, pageNumber, message) {
+  pageContainer.querySelector(".pdf-page-error")?.remove();
+  const box = document.createElement("div");
+  box.className = "pdf-page-error";
+  box.style.cssText =
+    "position:absolute;inset:0;display:flex;flex-direction:column;align-items:center;justify-content:center;" +
+    "gap:8px;padding:16px;text-align:center;background:#fef2f2;color:#991b1b;font:13px sans-serif;z-index:30";
+  const text = document.createElement("div");
+  text.textContent = `Page ${pageNumber} could not be displayed: ${message}`;
+  const retry = document.createElement("button");
+  retry.type = "button";
+  retry.textContent = "Retry";
+  retry.dataset.retryPage = String(pageNumber);
+  retry.style.cssText = "padding:4px 12px;border:1px solid #991b1b;border-radius:6px;background:#fff;cursor:pointer";
+  box.append(text, retry);
+  pageContainer.appendChild(box);
+}
+
+const CITATION_HIGHLIGHT = { className: "pdf-perfect-highlight", background: "rgba(255,255,0,0.6)", zIndex: 20 };
+const SEARCH_HIGHLIGHT = { className: "pdf-search-highlight", background: "rgba(250,204,21,0.4)", zIndex: 15 };
+const SEARCH_CURRENT = { className: "pdf-search-highlight current", background: "rgba(249,115,22,0.55)", zIndex: 16 };
+// the high-contrast theme uses stronger fills with a dark ring (outlines stay free for focus)
+const HIGHLIGHT_THEMES = {
+  standard: { citation: CITATION_HIGHLIGHT, search: SEARCH_HIGHLIGHT, current: SEARCH_CURRENT },
+  highContrast: {
+    citation: { ...CITATION_HIGHLIGHT, background: "rgba(255,0,255,0.35)", boxShadow: "0 0 0 3px #000" },
+    search: { ...SEARCH_HIGHLIGHT, background: "rgba(0,191,255,0.35)", boxShadow: "0 0 0 1px #000" },
+    current: { ...SEARCH_CURRENT, background: "rgba(255,140,0,0.5)", boxShadow: "0 0 0 3px #000" },
+  },
+};
+const AREA_DRAFT = { className: "pdf-area-draft", background: "rgba(59,130,246,0.15)", zIndex: 25 };
+const EMPTY_LIST = [];
+const MIN_AREA_SIZE = 4; // px; smaller drags are treated as clicks
+
+// user annotation overlay: translucent text highlight or outlined area
+function appendAnnotation(pageContainer, rect, annotation) {
+  const color = ANNOTATION_COLORS[annotation.color] || ANNOTATION_COLORS.yellow;
+  const area = annotation.kind === "area";
+  const hl = appendHighlight(pageContainer, rect, {
+    className: "pdf-annotation",
+    background: area ? "transparent" : color,
+    zIndex: 10,
+  });
+  hl.dataset.annotationId = annotation.id;
+  if (area) hl.style.boxShadow = `inset 0 0 0 2px ${color}`;
+  else hl.style.mixBlendMode = "multiply";
+  return hl;
+}
+
+// { page, item, within } for a selection boundary inside a text layer span
+function textLayerPosition(node, offset) {
+  let span = null;
+  let within = 0;
+  if (node.nodeType === 3) {
+    span = node.parentElement?.closest(".textLayerItem");
+    within = offset;
+  } else if (node.classList?.contains("textLayerItem")) {
+    span = node;
+    within = offset > 0 ? span.textContent.length : 0;
+  } else if (node.childNodes) {
+    // boundary between spans of the text layer div
+    const at = node.childNodes[offset];
+    const before = node.childNodes[offset - 1];
+    if (at?.classList?.contains("textLayerItem")) span = at;
+    else if (before?.classList?.contains("textLayerItem")) {
+      span = before;
+      within = before.textContent.length;
+    }
+  }
+  const pageEl = span?.closest(".pdf-page");
+  if (!pageEl) return null;
+  return { page: Number(pageEl.dataset.pageNumber), item: Number(span.dataset.itemIndex), within };
+}
+
+function sizePageContainer(pageContainer, viewport) {
+  pageContainer.style.width = `${Math.round(viewport.width)}px`;
+  pageContainer.style.height = `${Math.round(viewport.height)}px`;
+}
+
+const PdfViewer = forwardRef(function PdfViewer(
+  {
+    source,
+    hidden = false,
+    scale = DEFAULT_VIEW.scale,
+    rotation = DEFAULT_VIEW.rotation,
+    onLoaded,
+    onActiveCitationChange,
+    onScaleChange,
+    onSearchChange,
+    annotations = EMPTY_LIST,
+    drawArea = false,
+    onSelectionChange,
+    onAreaDrawn,
+    onPageChange,
+    onAnnounce,
+    highContrast = false,
+  },
+  ref
+) {
+  const containerRef = useRef(null);
+  const pageRefs = useRef({}); // pageNumber -> { page, pageContainer, canvas, textLayer, rendered, rendering }
+  const pageWaitersRef = useRef({}); // pageNumber -> [resolve]
+  const loadRef = useRef({ pdf: null, job: null }); // current document and its load job
+  const numPagesRef = useRef(0);
+  const hideTimeoutRef = useRef(null);
+  // highlight redrawn after zoom/rotate: a citation, or { page, rects } in PDF space
+  const activeHighlightRef = useRef(null);
+  const currentPageRef = useRef(0); // page in the middle of the view, as last reported
+  const pageTextRef = useRef({}); // pageNumber -> { text, offsets } from getTextContent
+  // current search: matches are { page, start, end } in page text, current is an index or -1
+  const searchRef = useRef({ query: "", options: {}, matches: [], current: -1, pending: false });
+  const measureRef = useRef(null); // lazily created canvas text measurer
+  const annotationsRef = useRef(annotations);
+  annotationsRef.current = annotations;
+  const selectionRef = useRef(null); // { page, start, end, quote } of the current text selection
+  // requested scale/rotation plus the numeric scale pages are laid out at
+  const viewRef = useRef({ scale, rotation, resolved: typeof scale === "number" ? scale : DEFAULT_VIEW.scale });
+  // loading | password | error | empty | ready, shown over the pages until ready
+  const [status, setStatus] = useState({ state: "loading", progress: null });
+  const [attempt, setAttempt] = useState(0); // bumped by "Try again" to reload the document
+  const passwordRef = useRef(null); // { submit(password), cancel() } while pdf.js asks for one
+  const themeRef = useRef(HIGHLIGHT_THEMES.standard);
+  themeRef.current = highContrast ? HIGHLIGHT_THEMES.highContrast : HIGHLIGHT_THEMES.standard;
+
+  // keep latest callbacks without re-running the load effect
+  const callbacksRef = useRef({});
+  callbacksRef.current = {
+    onLoaded,
+    onActiveCitationChange,
+    onScaleChange,
+    onSearchChange,
+    onSelectionChange,
+    onAreaDrawn,
+    onPageChange,
+    onAnnounce,
+  };
+
+  // viewport of a page at the current view; the extra rotation adds to the page's own
+  const pageViewport = useCallback((page) => {
+    const { resolved, rotation: extra } = viewRef.current;
+    return page.getViewport({ scale: resolved, rotation: (page.rotate + extra) % 360 });
+  }, []);
+
+  // pick the numeric scale for the current view (fit modes depend on the container size)
+  const resolveViewScale = useCallback((page) => {
+    const container = containerRef.current;
+    const { scale: requested, rotation: extra } = viewRef.current;
+    const unscaled = page ? page.getViewport({ scale: 1, rotation: (page.rotate + extra) % 360 }) : null;
+    const resolved = resolveScale(
+      requested,
+      unscaled && { width: unscaled.width, height: unscaled.height },
+      container && { width: container.clientWidth, height: container.clientHeight }
+    );
+    if (resolved !== viewRef.current.resolved || !viewRef.current.reported) {
+      viewRef.current.resolved = resolved;
+      viewRef.current.reported = true;
+      callbacksRef.current.onScaleChange?.(resolved);
+    }
+    return resolved;
+  }, []);
+
+  // resolve everyone waiting for a page placeholder (ok = false when it will never exist)
+  const settlePage = useCallback((pageNumber, ok) => {
+    const waiters = pageWaitersRef.current[pageNumber] || [];
+    delete pageWaitersRef.current[pageNumber];
+    waiters.forEach((resolve) => resolve(ok));
+  }, []);
+
+  // resolves true once the page has a placeholder, false if the document has no such page
+  const whenPagePlaced = useCallback((pageNumber) => {
+    if (pageRefs.current[pageNumber]) return Promise.resolve(true);
+    if (loadRef.current.failed) return Promise.resolve(false);
+    if (numPagesRef.current && (pageNumber < 1 || pageNumber > numPagesRef.current)) return Promise.resolve(false);
+    return new Promise((resolve) => {
+      (pageWaitersRef.current[pageNumber] = pageWaitersRef.current[pageNumber] || []).push(resolve);
+    });
+  }, []);
+
+  // clear any existing DOM highlights
+  const clearAllHighlights = useCallback(() => {
+    try {
+      const c = containerRef.current;
+      if (!c) return;
+      // a focused highlight hands focus back to the pages before it goes
+      releaseMarkFocus(c);
+      c.querySelectorAll(".pdf-perfect-highlight").forEach((n) => n.remove());
+    } catch (e) {
+      // ignore
+    }
+  }, []);
+
+  // page text for searching, fetched without rendering the page
+  const getPageText = useCallback(async (pageNumber) => {
+    if (pageTextRef.current[pageNumber]) return pageTextRef.current[pageNumber];
+    const entry = pageRefs.current[pageNumber];
+    if (!entry) return null;
+    const textContent = await entry.page.getTextContent();
+    const pageText = buildPageText(textContent.items);
+    if (pageRefs.current[pageNumber] === entry) pageTextRef.current[pageNumber] = pageText;
+    return pageText;
+  }, []);
+
+  // Rectangles (relative to the page container) covering exactly the characters [start, end)
+  const rectsForRange = useCallback((pageNumber, start, end) => {
+    const entry = pageRefs.current[pageNumber];
+    if (!entry || !entry.rendered || !entry.layout) return [];
+    if (!measureRef.current) measureRef.current = createTextMeasurer();
+    return rangeRects(entry.layout, start, end, measureRef.current);
+  }, []);
+
+  // Draw every search match on a rendered page; the current match gets its own colour
+  const drawSearchHighlights = useCallback(
+    (pageNumber) => {
+      const entry = pageRefs.current[pageNumber];
+      if (!entry) return;
+      entry.pageContainer.querySelectorAll(".pdf-search-highlight").forEach((n) => n.remove());
+      if (!entry.rendered) return;
+      const { matches, current } = searchRef.current;
+      matches.forEach((match, index) => {
+        if (match.page !== pageNumber) return;
+        const style = index === current ? themeRef.current.current : themeRef.current.search;
+        rectsForRange(pageNumber, match.start, match.end).forEach((r) =>
+          appendHighlight(entry.pageContainer, r, style)
+        );
+      });
+    },
+    [rectsForRange]
+  );
+
+  // Draw the user's annotations on a rendered page at the current view
+  const drawAnnotations = useCallback(
+    (pageNumber) => {
+      const entry = pageRefs.current[pageNumber];
+      if (!entry) return;
+      entry.pageContainer.querySelectorAll(".pdf-annotation").forEach((n) => n.remove());
+      if (!entry.rendered) return;
+      const viewport = pageViewport(entry.page);
+      annotationsRef.current.forEach((annotation) => {
+        if (annotation.page !== pageNumber) return;
+        annotation.rects.forEach((r) => appendAnnotation(entry.pageContainer, fromPdfRect(viewport, r), annotation));
+      });
+    },
+    [pageViewport]
+  );
+
+  // Render single page into canvas + textLayer
+  // `job` ({ cancelled, tasks }) belongs to the document load; once cancelled nothing more is drawn
+  // Resolves true when the page was drawn; the placeholder must already exist
+  const renderPage = useCallback(async (pdf, pageNumber, job) => {
+    try {
+      const entry = pageRefs.current[pageNumber];
+      if (!entry) return false;
+      const page = entry.page || (await pdf.getPage(pageNumber));
+      if (job?.cancelled) return false;
+      const viewport = pageViewport(page);
+      const viewKey = `${viewport.scale}:${viewport.rotation}`;
+
+      const { pageContainer } = entry;
+      sizePageContainer(pageContainer, viewport);
+      pageContainer.querySelector(".pdf-page-error")?.remove();
+      entry.error = null;
+
+      // canvas
+      let canvas = entry.canvas;
+      if (!canvas) {
+        canvas = document.createElement("canvas");
+        canvas.style.display = "block";
+        exposePageText(canvas, pageNumber, false);
+        pageContainer.prepend(canvas);
+        entry.canvas = canvas;
+      }
+      // backing store at device resolution, CSS size at layout resolution
+      const outputScale = window.devicePixelRatio || 1;
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      canvas.style.width = `${Math.round(viewport.width)}px`;
+      canvas.style.height = `${Math.round(viewport.height)}px`;
+
+      // render page
+      const renderTask = page.render({
+        canvasContext: canvas.getContext("2d"),
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null,
+      });
+      job?.tasks.add(renderTask);
+      try {
+        await renderTask.promise;
+      } finally {
+        job?.tasks.delete(renderTask);
+      }
+      if (job?.cancelled) return false;
+
+      // text layer (remove old)
+      if (entry.textLayer) {
+        entry.textLayer.remove();
+      }
+
+      const textLayerDiv = document.createElement("div");
+      textLayerDiv.className = "textLayer";
+      textLayerDiv.style.position = "absolute";
+      textLayerDiv.style.left = "0";
+      textLayerDiv.style.top = "0";
+      textLayerDiv.style.width = `${Math.round(viewport.width)}px`;
+      textLayerDiv.style.height = `${Math.round(viewport.height)}px`;
+      textLayerDiv.style.pointerEvents = "auto"; // allow detection
+
+      pageContainer.appendChild(textLayerDiv);
+      entry.textLayer = textLayerDiv;
+
+      // a page whose text cannot be read is still shown; citations on it report why they
+      // cannot be matched (see locateText)
+      let textContent;
+      try {
+        textContent = await page.getTextContent();
+      } catch (err) {
+        if (job?.cancelled || isCancellation(err)) return false;
+        textContent = null;
+        entry.textError = err?.message || String(err);
+      }
+      if (job?.cancelled) return false;
+      exposePageText(canvas, pageNumber, Boolean(textContent?.items.some((item) => item.str?.trim())));
+      if (!textContent) {
+        entry.layout = null;
+        entry.rendered = true;
+        entry.viewKey = viewKey;
+        drawAnnotations(pageNumber);
+        return true;
+      }
+      entry.textError = null;
+      const pageText = buildPageText(textContent.items);
+      pageTextRef.current[pageNumber] = pageText;
+
+      // item geometry from the PDF's own font metrics (used for spans and highlights)
+      const { items, styles: fontStyles } = textContent;
+      const boxes = items.map((item) => itemBox(item, viewport, fontStyles[item.fontName]));
+      const fonts = items.map((item) => fontStyles[item.fontName]?.fontFamily || "sans-serif");
+      entry.layout = { items, boxes, fonts, offsets: pageText.offsets };
+
+      // spans are stretched to the real run width and turned with the text, so selections
+      // follow the glyphs drawn on the canvas
+      if (!measureRef.current) measureRef.current = createTextMeasurer();
+      const frag = document.createDocumentFragment();
+      for (let i = 0; i < items.length; i++) {
+        const str = items[i].str || "";
+        if (!str.trim()) continue;
+        const box = boxes[i];
+
+        const span = document.createElement("span");
+        span.className = "textLayerItem";
+        span.dataset.itemIndex = String(i);
+        span.textContent = str;
+        span.style.position = "absolute";
+        span.style.left = `${box.left}px`;
+        span.style.top = `${box.top}px`;
+        span.style.fontSize = `${box.height}px`;
+        span.style.lineHeight = `${box.height}px`;
+        span.style.fontFamily = fonts[i];
+        span.style.whiteSpace = "pre";
+        span.style.transformOrigin = "0% 0%";
+        // the measurer works at 100px
+        const natural = (measureRef.current(str, fonts[i]) * box.height) / 100;
+        const transforms = [];
+        if (box.angle) transforms.push(`rotate(${box.angle}rad)`);
+        if (natural > 0 && box.width > 0) transforms.push(`scaleX(${box.width / natural})`);
+        span.style.transform = transforms.join(" ");
+        // hide underlying text (we draw highlights over it)
+        span.style.color = "transparent";
+        frag.appendChild(span);
+      }
+
+      textLayerDiv.appendChild(frag);
+
+      entry.rendered = true;
+      entry.viewKey = viewKey;
+      drawSearchHighlights(pageNumber);
+      drawAnnotations(pageNumber);
+      return true;
+    } catch (err) {
+      if (job?.cancelled || isCancellation(err)) return false;
+      const entry = pageRefs.current[pageNumber];
+      if (entry) {
+        entry.error = err?.message || String(err);
+        showPageError(entry.pageContainer, pageNumber, entry.error);
+      }
+      return false;
+    }
+  }, [pageViewport, drawSearchHighlights, drawAnnotations]);
+
+  // Draw a page on demand (once, even when asked repeatedly), waiting for the document if needed
+  const ensurePageRendered = useCallback(
+    async (pageNumber) => {
+      if (!(await whenPagePlaced(pageNumber))) return false;
+      const entry = pageRefs.current[pageNumber];
+      if (!entry) return false;
+      // a draw started before a zoom/rotate finishes first, then is redone at the new view
+      while (entry.rendering) {
+        // eslint-disable-next-line no-await-in-loop
+        await entry.rendering;
+      }
+      const { resolved, rotation: extra } = viewRef.current;
+      if (entry.rendered && entry.viewKey === `${resolved}:${(entry.page.rotate + extra) % 360}`) return true;
+      const { pdf, job } = loadRef.current;
+      entry.rendering = renderPage(pdf, pageNumber, job).finally(() => {
+        entry.rendering = null;
+      });
+      return entry.rendering;
+    },
+    [renderPage, whenPagePlaced]
+  );
+
+  // Drop a far off-screen page's canvas and text layer; its placeholder keeps the size
+  const releasePage = useCallback((pageNumber) => {
+    const entry = pageRefs.current[pageNumber];
+    if (!entry || !entry.rendered || entry.rendering) return;
+    if (entry.canvas) {
+      // zero-size first so the browser frees the backing store right away
+      entry.canvas.width = 0;
+      entry.canvas.height = 0;
+      entry.canvas.remove();
+      entry.canvas = null;
+    }
+    if (entry.textLayer) {
+      entry.textLayer.remove();
+      entry.textLayer = null;
+    }
+    entry.pageContainer.querySelectorAll(".pdf-annotation").forEach((n) => n.remove());
+    entry.rendered = false;
+    entry.page?.cleanup();
+  }, []);
+
+  // Load PDF and render pages (re-runs whenever the source changes)
+  useEffect(() => {
+    const job = { cancelled: false, tasks: new Set() };
+    const container = containerRef.current;
+    const pageWaiters = pageWaitersRef.current;
+
+    // reset everything tied to the previous document
+    if (container) container.innerHTML = "";
+    pageRefs.current = {};
+    loadRef.current = { pdf: null, job };
+    activeHighlightRef.current = null;
+    currentPageRef.current = 0;
+    pageTextRef.current = {};
+    selectionRef.current = null;
+    searchRef.current = { query: "", options: {}, matches: [], current: -1, pending: false };
+    callbacksRef.current.onSearchChange?.(null);
+    numPagesRef.current = 0;
+    if (hideTimeoutRef.current) {
+      clearTimeout(hideTimeoutRef.current);
+      hideTimeoutRef.current = null;
+    }
+    callbacksRef.current.onActiveCitationChange?.(null);
+    setStatus({ state: "loading", progress: null });
+    passwordRef.current = null;
+
+    // the document cannot be shown: pages asked for will never come
+    const fail = (message) => {
+      loadRef.current = { pdf: null, job, failed: true };
+      Object.keys(pageWaiters).forEach((p) => settlePage(Number(p), false));
+      passwordRef.current = null;
+      setStatus({ state: "error", message });
+    };
+
+    // draw pages as they approach the viewport, release them once far away
+    const pageNumberOf = (el) => Number(el.dataset.pageNumber);
+    const canObserve = typeof IntersectionObserver !== "undefined";
+    const renderObserver = canObserve
+      ? new IntersectionObserver(
+          (entries) => entries.forEach((e) => e.isIntersecting && ensurePageRendered(pageNumberOf(e.target))),
+          { root: container, rootMargin: RENDER_MARGIN }
+        )
+      : null;
+    const keepObserver = canObserve
+      ? new IntersectionObserver(
+          (entries) => entries.forEach((e) => !e.isIntersecting && releasePage(pageNumberOf(e.target))),
+          { root: container, rootMargin: KEEP_MARGIN }
+        )
+      : null;
+
+    let loadingTask = null;
+    (async () => {
+      try {
+        loadingTask = loadPdf(source);
+        let shown = null; // last whole percent reported
+        loadingTask.onProgress = ({ loaded, total }) => {
+          const progress = total ? Math.min(1, loaded / total) : null;
+          const percent = progress === null ? null : Math.floor(progress * 100);
+          if (job.cancelled || percent === shown) return;
+          shown = percent;
+          setStatus((prev) => (prev.state === "loading" ? { state: "loading", progress } : prev));
+        };
+        // encrypted documents: ask, and ask again after a wrong password
+        loadingTask.onPassword = (updatePassword, reason) => {
+          if (job.cancelled) return;
+          passwordRef.current = {
+            submit: (password) => {
+              setStatus({ state: "loading", progress: null });
+              updatePassword(password);
+            },
+            cancel: () => {
+              job.declined = true;
+              fail(loadErrorMessage({ name: "PasswordException" }, source));
+              loadingTask.destroy();
+            },
+          };
+          setStatus({ state: "password", incorrect: reason === PASSWORD_INCORRECT });
+        };
+        const pdf = await loadingTask.promise;
+        if (job.cancelled) return;
+        passwordRef.current = null;
+        loadRef.current = { pdf, job };
+        numPagesRef.current = pdf.numPages;
+        // waiters for pages past the end will never be served
+        Object.keys(pageWaiters).forEach((p) => {
+          if (Number(p) > pdf.numPages) settlePage(Number(p), false);
+        });
+
+        const metadata = await pdf.getMetadata().catch(() => null);
+        const pageLabels = await pdf.getPageLabels().catch(() => null);
+        if (job.cancelled) return;
+        callbacksRef.current.onLoaded?.({
+          numPages: pdf.numPages,
+          title: titleFromMetadata(metadata, source),
+          pageLabels,
+        });
+        setStatus({ state: pdf.numPages ? "ready" : "empty" });
+
+        // placeholders sized from each page's own viewport
+        for (let p = 1; p <= pdf.numPages; p++) {
+          // eslint-disable-next-line no-await-in-loop
+          const page = await pdf.getPage(p);
+          if (job.cancelled) return;
+          if (p === 1) resolveViewScale(page);
+          const pageContainer = createPageContainer(p, pdf.numPages, pageViewport(page));
+          container.appendChild(pageContainer);
+          pageRefs.current[p] = { page, pageContainer, canvas: null, textLayer: null, rendered: false, rendering: null };
+          settlePage(p, true);
+          renderObserver?.observe(pageContainer);
+          keepObserver?.observe(pageContainer);
+        }
+
+        // no IntersectionObserver (old browsers, tests): draw everything in order
+        if (!canObserve) {
+          for (let p = 1; p <= pdf.numPages; p++) {
+            if (job.cancelled) return;
+            // eslint-disable-next-line no-await-in-loop
+            await ensurePageRendered(p);
+          }
+        }
+      } catch (e) {
+        if (job.cancelled || job.declined) return;
+        fail(loadErrorMessage(e, source));
+      }
+    })();
+
+    return () => {
+      // cancel in-flight work for this document
+      job.cancelled = true;
+      renderObserver?.disconnect();
+      keepObserver?.disconnect();
+      job.tasks.forEach((task) => task.cancel());
+      if (loadingTask) loadingTask.destroy();
+      if (container) container.innerHTML = "";
+      Object.keys(pageWaiters).forEach((p) => settlePage(Number(p), false));
+    };
+  }, [source, attempt, ensurePageRendered, releasePage, settlePage, pageViewport, resolveViewScale]);
+
+  // Highlight algorithm: finds the phrase in the page text (see quoteMatcher) and draws one box per line fragment.
+  // Rectangles of a phrase on a rendered page plus how it was matched: { rects, found, method, confidence },
+  // with `textError` when the page's text could not be read or searched (rather than a plain miss)
+  const locateText = useCallback(
+    (pageNumber, searchText, options) => {
+      const pageObj = pageRefs.current[pageNumber];
+      const missed = { rects: [], found: false, method: "none", confidence: 0 };
+      if (!pageObj || !pageObj.rendered) return missed;
+      if (!pageTextRef.current[pageNumber]) {
+        const reason = pageObj.textError ? ` (${pageObj.textError})` : "";
+        return { ...missed, textError: `the text of page ${pageNumber} could not be read${reason}` };
+      }
+      const { text } = pageTextRef.current[pageNumber];
+      let result;
+      try {
+        result = matchQuote(text, searchText, options);
+      } catch (e) {
+        return { ...missed, textError: `the quote could not be searched for on page ${pageNumber} (${e.message})` };
+      }
+      const rects = result.matches.flatMap((m) => rectsForRange(pageNumber, m.start, m.end));
+      const found = rects.length > 0;
+      return { rects, found, method: found ? result.method : "none", confidence: found ? result.confidence : 0 };
+    },
+    [rectsForRange]
+  );
+
+  // Where to draw a citation whose quote was not found (relative to the page container):
+  // the areas recorded when it was authored, else its fallback box
+  const fallbackRects = useCallback(
+    (citation) => {
+      const pageObj = pageRefs.current[citation.page];
+      if (!pageObj) return [];
+      if (citation.areas && citation.areas.length) {
+        const viewport = pageViewport(pageObj.page);
+        return citation.areas.map((area) => fromPdfRect(viewport, fromPageFractions(area, pageObj.page.view)));
+      }
+      const hb = citation.box;
+      if (!hb) return [];
+      const pr = pageObj.pageContainer.getBoundingClientRect();
+      return [{ left: pr.width * hb.leftPct, top: pr.height * hb.topPct, width: pr.width * hb.widthPct, height: hb.heightPx }];
+    },
+    [pageViewport]
+  );
+
+  // A citation's quote on its rendered page; a table cell's value only counts inside the cell
+  const locateCitation = useCallback(
+    (citation) => {
+      const located = locateText(citation.page, citation.quote, citationMatchOptions(citation));
+      if (!citation.cell || !located.found) return located;
+      const cells = fallbackRects(citation);
+      const rects = located.rects.filter((r) => cells.some((cell) => rectsOverlap(r, cell)));
+      return rects.length ? { ...located, rects } : { rects: [], found: false, method: "none", confidence: 0 };
+    },
+    [fallbackRects, locateText]
+  );
+
+  // Highlight a citation on its (rendered) page: matched text first, else its fallback rectangles
+  const drawCitationHighlight = useCallback(
+    (citation) => {
+      clearAllHighlights();
+      const { rects, ...match } = locateCitation(citation);
+      const pageObj = pageRefs.current[citation.page];
+      if (!pageObj) return match;
+      rects.forEach((r) => appendHighlight(pageObj.pageContainer, r, themeRef.current.citation));
+      if (!match.found) {
+        const borderRadius = citation.box?.borderRadius || 0;
+        fallbackRects(citation).forEach((rect) =>
+          appendHighlight(pageObj.pageContainer, rect, { ...themeRef.current.citation, borderRadius })
+        );
+      }
+      return match;
+    },
+    [clearAllHighlights, fallbackRects, locateCitation]
+  );
+
+  // Draw the active highlight (citation or PDF-space rectangles) on its rendered page
+  const drawActiveHighlight = useCallback(
+    (active) => {
+      if (!active.rects) return drawCitationHighlight(active);
+      const entry = pageRefs.current[active.page];
+      const viewport = pageViewport(entry.page);
+      active.rects.forEach((r) =>
+        appendHighlight(entry.pageContainer, fromPdfRect(viewport, r), themeRef.current.citation)
+      );
+      return { found: true, method: "area", confidence: 1 };
+    },
+    [drawCitationHighlight, pageViewport]
+  );
+
+  // Make the first drawn highlight focusable and move focus to it, so screen readers land on
+  // the passage; a hidden viewer (background tab) leaves focus where it is
+  const focusHighlight = useCallback(
+    (pageNumber, label) => {
+      const entry = pageRefs.current[pageNumber];
+      const hl = entry?.pageContainer.querySelector(".pdf-perfect-highlight");
+      if (hl) focusMark(hl, label, { focus: !hidden });
+    },
+    [hidden]
+  );
+
+  // Where a citation's highlight goes, in PDF user space, without drawing it:
+  // { rects, found, method, confidence } or { rects: [], error }
+  const resolveCitation = useCallback(
+    async (citation) => {
+      if (!(await ensurePageRendered(citation.page))) {
+        return { rects: [], found: false, error: `page ${citation.page} could not be rendered` };
+      }
+      const { rects, ...match } = locateCitation(citation);
+      const onPage = match.found ? rects : fallbackRects(citation);
+      const viewport = pageViewport(pageRefs.current[citation.page].page);
+      return { ...match, rects: onPage.map((r) => toPdfRect(viewport, r)) };
+    },
+    [ensurePageRendered, fallbackRects, locateCitation, pageViewport]
+  );
+
+  // Jump to the citation's page and highlight its quote, waiting for the page if needed
+  const showAndHighlightText = useCallback(
+    async (citation, { persistent = false } = {}) => {
+      const pageNumber = citation.page;
+      callbacksRef.current.onActiveCitationChange?.(citation.id);
+
+      // clear previous highlights
+      clearAllHighlights();
+      if (hideTimeoutRef.current) {
+        clearTimeout(hideTimeoutRef.current);
+        hideTimeoutRef.current = null;
+      }
+
+      // render on demand: the page may be far from anything drawn so far
+      const ready = await ensurePageRendered(pageNumber);
+      if (!ready) {
+        callbacksRef.current.onActiveCitationChange?.(null);
+        const entry = pageRefs.current[pageNumber];
+        let error = `page ${pageNumber} does not exist (document has ${numPagesRef.current} pages)`;
+        if (entry) error = `page ${pageNumber} could not be rendered${entry.error ? ` (${entry.error})` : ""}`;
+        else if (loadRef.current.failed) error = "the document could not be opened";
+        return { found: false, error };
+      }
+
+      // scroll container so the target page is centered
+      const pageObj = pageRefs.current[pageNumber];
+      if (pageObj && containerRef.current) {
+        const containerRect = containerRef.current.getBoundingClientRect();
+        const pageRect = pageObj.pageContainer.getBoundingClientRect();
+        const offset = pageRect.top - containerRect.top - containerRect.height / 2 + pageRect.height / 2;
+        containerRef.current.scrollBy({ top: offset, behavior: "smooth" });
+      }
+
+      const match = drawCitationHighlight(citation);
+      activeHighlightRef.current = citation;
+      focusHighlight(
+        pageNumber,
+        citationDescription(citation) + (match.found ? "" : " (quote not found, approximate area shown)")
+      );
+
+      // unpinned highlights fade after a few seconds
+      if (!persistent) {
+        hideTimeoutRef.current = setTimeout(() => {
+          hideTimeoutRef.current = null;
+          activeHighlightRef.current = null;
+          clearAllHighlights();
+          callbacksRef.current.onActiveCitationChange?.(null);
+        }, 4500);
+      }
+      return match;
+    },
+    [clearAllHighlights, drawCitationHighlight, ensurePageRendered, focusHighlight]
+  );
+
+  // Re-lay out every page for the current view, keeping the page under the top edge in place
+  const applyView = useCallback(async () => {
+    const container = containerRef.current;
+    const entries = Object.entries(pageRefs.current).map(([p, entry]) => [Number(p), entry]);
+    if (!container || !entries.length) return;
+
+    // reading position: page at the top edge and how far into it we are
+    const top = container.scrollTop;
+    const [anchorPage, anchorEntry] =
+      entries.find(([, e]) => e.pageContainer.offsetTop + e.pageContainer.offsetHeight > top) || entries[0];
+    const anchorFraction = (top - anchorEntry.pageContainer.offsetTop) / (anchorEntry.pageContainer.offsetHeight || 1);
+
+    resolveViewScale(anchorEntry.page);
+    clearAllHighlights();
+    container.querySelectorAll(".pdf-search-highlight").forEach((n) => n.remove());
+    entries.forEach(([, entry]) => {
+      const viewport = pageViewport(entry.page);
+      sizePageContainer(entry.pageContainer, viewport);
+      // stretch the old bitmap until the page is redrawn
+      if (entry.canvas) {
+        entry.canvas.style.width = `${Math.round(viewport.width)}px`;
+        entry.canvas.style.height = `${Math.round(viewport.height)}px`;
+      }
+    });
+
+    const anchorContainer = pageRefs.current[anchorPage].pageContainer;
+    container.scrollTop = anchorContainer.offsetTop + anchorFraction * anchorContainer.offsetHeight;
+
+    // redraw pages near the viewport, drop the rest
+    const viewTop = container.scrollTop - container.clientHeight;
+    const viewBottom = container.scrollTop + 2 * container.clientHeight;
+    entries.forEach(([p, entry]) => {
+      const { offsetTop, offsetHeight } = entry.pageContainer;
+      if (offsetTop + offsetHeight > viewTop && offsetTop < viewBottom) ensurePageRendered(p);
+      else releasePage(p);
+    });
+
+    // active highlight at the new geometry
+    const active = activeHighlightRef.current;
+    if (active && (await ensurePageRendered(active.page)) && activeHighlightRef.current === active) {
+      clearAllHighlights();
+      drawActiveHighlight(active);
+    }
+  }, [clearAllHighlights, drawActiveHighlight, ensurePageRendered, pageViewport, releasePage, resolveViewScale]);
+
+  useEffect(() => {
+    viewRef.current.scale = scale;
+    viewRef.current.rotation = rotation;
+    applyView();
+  }, [scale, rotation, applyView]);
+
+  // fit modes follow the viewer size: window resizes, and the parent resizing the
+  // viewer (side by side in compare mode)
+  useEffect(() => {
+    const container = containerRef.current;
+    if (typeof scale === "number" || !container) return undefined;
+    let frame = null;
+    let size = `${container.clientWidth}x${container.clientHeight}`;
+    const onResize = () => {
+      const next = `${container.clientWidth}x${container.clientHeight}`;
+      if (next === size) return;
+      size = next;
+      if (frame) cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        applyView();
+      });
+    };
+    const observer = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(onResize);
+    if (observer) observer.observe(container);
+    window.addEventListener("resize", onResize);
+    return () => {
+      if (observer) observer.disconnect();
+      window.removeEventListener("resize", onResize);
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, [scale, applyView]);
+
+  const reportSearch = useCallback(() => {
+    const { query, matches, current, pending } = searchRef.current;
+    callbacksRef.current.onSearchChange?.(query ? { total: matches.length, current, pending } : null);
+  }, []);
+
+  // Make match `index` current: render its page, recolour, and scroll it to the middle
+  const showMatch = useCallback(
+    async (index) => {
+      const state = searchRef.current;
+      const match = state.matches[index];
+      if (!match) return;
+      const previous = state.matches[state.current];
+      state.current = index;
+      if (previous && previous.page !== match.page) drawSearchHighlights(previous.page);
+      if (!(await ensurePageRendered(match.page)) || searchRef.current !== state) return;
+      drawSearchHighlights(match.page);
+
+      const container = containerRef.current;
+      const [rect] = rectsForRange(match.page, match.start, match.end);
+      const entry = pageRefs.current[match.page];
+      if (container && rect && entry) {
+        const y = entry.pageContainer.offsetTop + rect.top + rect.height / 2;
+        container.scrollTo({ top: y - container.clientHeight / 2, behavior: "smooth" });
+      }
+    },
+    [drawSearchHighlights, ensurePageRendered, rectsForRange]
+  );
+
+  // Search every page (rendered or not); the first match becomes current as soon as it is found
+  const search = useCallback(
+    async (query, options = {}) => {
+      const prev = searchRef.current;
+      const q = (query || "").trim();
+      if (q === prev.query && options.caseSensitive === prev.options.caseSensitive && options.wholeWord === prev.options.wholeWord) {
+        return;
+      }
+      const state = { query: q, options, matches: [], current: -1, pending: Boolean(q) };
+      searchRef.current = state;
+      containerRef.current?.querySelectorAll(".pdf-search-highlight").forEach((n) => n.remove());
+      reportSearch();
+      if (!q) return;
+
+      try {
+        const loaded = await whenPagePlaced(1);
+        for (let p = 1; loaded && p <= numPagesRef.current; p++) {
+          // a page whose text cannot be read has no matches; the rest are still searched
+          // eslint-disable-next-line no-await-in-loop
+          const pageText = (await whenPagePlaced(p)) ? await getPageText(p).catch(() => null) : null;
+          if (searchRef.current !== state) return;
+          if (!pageText) continue;
+          const found = findMatches(pageText.text, q, options).map((m) => ({ page: p, ...m }));
+          if (!found.length) continue;
+          state.matches.push(...found);
+          if (state.current < 0) showMatch(0);
+          else drawSearchHighlights(p);
+          reportSearch();
+        }
+      } finally {
+        state.pending = false;
+        if (searchRef.current === state) reportSearch();
+      }
+    },
+    [drawSearchHighlights, getPageText, reportSearch, showMatch, whenPagePlaced]
+  );
+
+  // step through matches, wrapping around at either end
+  const gotoMatch = useCallback(
+    async (delta) => {
+      const { matches, current } = searchRef.current;
+      if (!matches.length) return;
+      const shown = showMatch((current + delta + matches.length) % matches.length);
+      reportSearch();
+      await shown;
+    },
+    [showMatch, reportSearch]
+  );
+
+  // annotations changed (added, recoloured, deleted): redraw them on every drawn page
+  useEffect(() => {
+    Object.keys(pageRefs.current).forEach((p) => drawAnnotations(Number(p)));
+  }, [annotations, drawAnnotations]);
+
+  // follow the text selection inside this viewer; reported as its quote (or null)
+  useEffect(() => {
+    const onSelectionChange = () => {
+      const container = containerRef.current;
+      const selection = window.getSelection();
+      let next = null;
+      if (container && selection && !selection.isCollapsed && selection.rangeCount) {
+        const range = selection.getRangeAt(0);
+        const from = container.contains(range.startContainer) && textLayerPosition(range.startContainer, range.startOffset);
+        const to = container.contains(range.endContainer) && textLayerPosition(range.endContainer, range.endOffset);
+        const pageText = from && pageTextRef.current[from.page];
+        // selections spanning pages are cut at the end of the first page
+        if (pageText) {
+          const start = pageText.offsets[from.item] + from.within;
+          const end = to && to.page === from.page ? pageText.offsets[to.item] + to.within : pageText.text.length;
+          const quote = pageText.text.slice(start, end).replace(/\s+/g, " ").trim();
+          if (quote) next = { page: from.page, start, end, quote };
+        }
+      }
+      const prev = selectionRef.current;
+      if (prev === next || (prev && next && prev.page === next.page && prev.start === next.start && prev.end === next.end)) return;
+      selectionRef.current = next;
+      callbacksRef.current.onSelectionChange?.(next && { page: next.page, quote: next.quote });
+    };
+    document.addEventListener("selectionchange", onSelectionChange);
+    return () => document.removeEventListener("selectionchange", onSelectionChange);
+  }, []);
+
+  // copy the selection as the text reads (see textCopy.js), not as the spans run together;
+  // a selection over several pages is copied page by page
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const onCopy = (e) => {
+      const selection = window.getSelection();
+      if (!selection || selection.isCollapsed || !selection.rangeCount) return;
+      const range = selection.getRangeAt(0);
+      const from = textLayerPosition(range.startContainer, range.startOffset);
+      const to = textLayerPosition(range.endContainer, range.endOffset);
+      if (!from || (to && to.page < from.page)) return;
+      // an end outside the text layer (e.g. dragged past the text) takes the rest of the page
+      const lastPage = to ? to.page : from.page;
+      const pages = [];
+      for (let p = from.page; p <= lastPage; p++) {
+        const layout = pageRefs.current[p]?.layout;
+        if (!layout) continue;
+        const start = p === from.page ? { item: from.item, within: from.within } : null;
+        const end = to && p === to.page ? { item: to.item, within: to.within } : null;
+        const text = selectedText(layout.items, start, end);
+        if (text) pages.push(text);
+      }
+      if (!pages.length) return;
+      e.clipboardData.setData("text/plain", pages.join("\n\n"));
+      e.preventDefault();
+    };
+    container.addEventListener("copy", onCopy);
+    return () => container.removeEventListener("copy", onCopy);
+  }, []);
+
+  // The current text selection as { page, quote, rects, areas } or null; rects are in PDF user
+  // space, areas the same rectangles as fractions of the page (see citations.js)
+  const selectionAnnotation = useCallback(() => {
+    const selection = selectionRef.current;
+    const entry = selection && pageRefs.current[selection.page];
+    if (!entry || !entry.rendered) return null;
+    const viewport = pageViewport(entry.page);
+    const rects = rectsForRange(selection.page, selection.start, selection.end).map((r) => toPdfRect(viewport, r));
+    if (!rects.length) return null;
+    const areas = rects.map((r) => toPageFractions(r, entry.page.view));
+    return { page: selection.page, quote: selection.quote, rects, areas };
+  }, [pageViewport, rectsForRange]);
+
+  // drawArea mode: drag out a rectangle on a page
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!drawArea || !container) return undefined;
+    let stopDrag = null;
+    const onMouseDown = (e) => {
+      const pageEl = e.button === 0 && e.target.closest?.(".pdf-page");
+      const entry = pageEl && pageRefs.current[Number(pageEl.dataset.pageNumber)];
+      if (!entry) return;
+      e.preventDefault();
+      const bounds = pageEl.getBoundingClientRect();
+      const clampX = (x) => Math.min(bounds.width, Math.max(0, x - bounds.left));
+      const clampY = (y) => Math.min(bounds.height, Math.max(0, y - bounds.top));
+      const x0 = clampX(e.clientX);
+      const y0 = clampY(e.clientY);
+      let rect = { left: x0, top: y0, width: 0, height: 0 };
+      const draft = appendHighlight(pageEl, rect, AREA_DRAFT);
+      draft.style.outline = "1px dashed #2563eb";
+
+      const onMove = (ev) => {
+        const x = clampX(ev.clientX);
+        const y = clampY(ev.clientY);
+        rect = { left: Math.min(x0, x), top: Math.min(y0, y), width: Math.abs(x - x0), height: Math.abs(y - y0) };
+        Object.assign(draft.style, {
+          left: `${rect.left}px`,
+          top: `${rect.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+        });
+      };
+      const onUp = (ev) => {
+        onMove(ev);
+        stopDrag();
+        if (rect.width < MIN_AREA_SIZE || rect.height < MIN_AREA_SIZE) return;
+        const page = Number(pageEl.dataset.pageNumber);
+        callbacksRef.current.onAreaDrawn?.({ page, rects: [toPdfRect(pageViewport(entry.page), rect)] });
+      };
+      stopDrag = () => {
+        window.removeEventListener("mousemove", onMove);
+        window.removeEventListener("mouseup", onUp);
+        draft.remove();
+        stopDrag = null;
+      };
+      window.addEventListener("mousemove", onMove);
+      window.addEventListener("mouseup", onUp);
+    };
+    container.addEventListener("mousedown", onMouseDown);
+    return () => {
+      container.removeEventListener("mousedown", onMouseDown);
+      if (stopDrag) stopDrag();
+    };
+  }, [drawArea, pageViewport]);
+
+  // Scroll an annotation into the middle of the viewer
+  const showAnnotation = useCallback(
+    async (annotation) => {
+      if (!(await ensurePageRendered(annotation.page))) return false;
+      const entry = pageRefs.current[annotation.page];
+      const container = containerRef.current;
+      if (!entry || !container) return false;
+      const rect = fromPdfRect(pageViewport(entry.page), annotation.rects[0]);
+      const y = entry.pageContainer.offsetTop + rect.top + rect.height / 2;
+      container.scrollTo({ top: y - container.clientHeight / 2, behavior: "smooth" });
+      return true;
+    },
+    [ensurePageRendered, pageViewport]
+  );
+
+  // Scroll so the top of the page (or the PDF-space y `top` on it) is at the top of the view
+  const scrollToPage = useCallback(
+    async (pageNumber, { top = null } = {}) => {
+      if (!(await whenPagePlaced(pageNumber))) return false;
+      const entry = pageRefs.current[pageNumber];
+      const container = containerRef.current;
+      if (!entry || !container) return false;
+      const offset =
+        top == null ? -PAGE_GAP : pageViewport(entry.page).convertToViewportPoint(entry.page.view[0], top)[1];
+      container.scrollTo({ top: entry.pageContainer.offsetTop + Math.max(-PAGE_GAP, offset) });
+      return true;
+    },
+    [pageViewport, whenPagePlaced]
+  );
+
+  // Draw a page `width` px wide into `canvas` at the current rotation; resolves false if it cannot
+  const renderThumbnail = useCallback(
+    async (pageNumber, canvas, width) => {
+      if (!(await whenPagePlaced(pageNumber))) return false;
+      const entry = pageRefs.current[pageNumber];
+      if (!entry || !canvas) return false;
+      const rotation = (entry.page.rotate + viewRef.current.rotation) % 360;
+      const unscaled = entry.page.getViewport({ scale: 1, rotation });
+      const viewport = entry.page.getViewport({ scale: width / unscaled.width, rotation });
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height);
+      try {
+        await entry.page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+    [whenPagePlaced]
+  );
+
+  /*
+    A page drawn for print or export at `dpi`, in the current rotation, with `marks`
+    (PDF space, see pdfAnnotations.js) painted on and an optional `footer` line in a
+    band underneath; resolves to a canvas, or null if the page cannot be drawn
+  */
+  const renderPageImage = useCallback(
+    async (pageNumber, { dpi = EXPORT_DPI, marks = [], footer = "" } = {}) => {
+      if (!(await whenPagePlaced(pageNumber))) return null;
+      const entry = pageRefs.current[pageNumber];
+      if (!entry) return null;
+      const rotation = (entry.page.rotate + viewRef.current.rotation) % 360;
+      const viewport = entry.page.getViewport({ scale: dpi / 72, rotation });
+      const band = footer ? Math.round(FOOTER_HEIGHT * viewport.scale) : 0;
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height) + band;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      try {
+        await entry.page.render({ canvasContext: ctx, viewport }).promise;
+      } catch (e) {
+        return null;
+      }
+      drawMarks(
+        ctx,
+        viewport,
+        marks.filter((m) => m.page === pageNumber)
+      );
+      if (footer) drawFooter(ctx, footer, { top: Math.floor(viewport.height), width: canvas.width, height: band });
+      return canvas;
+    },
+    [whenPagePlaced]
+  );
+
+  // the document's outline with destinations resolved to pages (see outline.js)
+  const getOutline = useCallback(async () => {
+    if (!(await whenPagePlaced(1))) return [];
+    const { pdf } = loadRef.current;
+    return pdf ? resolveOutline(pdf).catch(() => []) : [];
+  }, [whenPagePlaced]);
+
+  // the text of every page, [{ page, text }] (empty for pages whose text cannot be read)
+  const getPageTexts = useCallback(async () => {
+    const texts = [];
+    const loaded = await whenPagePlaced(1);
+    for (let p = 1; loaded && p <= numPagesRef.current; p++) {
+      // eslint-disable-next-line no-await-in-loop
+      const pageText = (await whenPagePlaced(p)) ? await getPageText(p).catch(() => null) : null;
+      texts.push({ page: p, text: pageText ? pageText.text : "" });
+    }
+    return texts;
+  }, [getPageText, whenPagePlaced]);
+
+  // Tables on a page, rebuilt from its positioned text (see tableExtraction.js); `region` is a
+  // PDF rectangle to limit them to. Resolves { page, view, tables } or null; rejects when the text cannot be read.
+  const extractTables = useCallback(
+    async (pageNumber, region = null) => {
+      if (!(await whenPagePlaced(pageNumber))) return null;
+      const entry = pageRefs.current[pageNumber];
+      const textContent = await entry.page.getTextContent();
+      return { page: pageNumber, view: entry.page.view, tables: tablesFromText(textContent.items, { region }) };
+    },
+    [whenPagePlaced]
+  );
+
+  // Highlight a rectangle given in PDF user space (deep links) and centre it; stays until replaced
+  const highlightArea = useCallback(
+    async (pageNumber, pdfRect) => {
+      clearAllHighlights();
+      if (hideTimeoutRef.current) {
+        clearTimeout(hideTimeoutRef.current);
+        hideTimeoutRef.current = null;
+      }
+      callbacksRef.current.onActiveCitationChange?.(null);
+      if (!(await ensurePageRendered(pageNumber))) return false;
+      const entry = pageRefs.current[pageNumber];
+      const container = containerRef.current;
+      if (!entry || !container) return false;
+      const active = { page: pageNumber, rects: [pdfRect] };
+      activeHighlightRef.current = active;
+      drawActiveHighlight(active);
+      focusHighlight(pageNumber, `Highlighted area on page ${pageNumber}`);
+      const rect = fromPdfRect(pageViewport(entry.page), pdfRect);
+      const y = entry.pageContainer.offsetTop + rect.top + rect.height / 2;
+      container.scrollTo({ top: y - container.clientHeight / 2, behavior: "smooth" });
+      return true;
+    },
+    [clearAllHighlights, drawActiveHighlight, ensurePageRendered, focusHighlight, pageViewport]
+  );
+
+  // report the current page (see pageNavigation.pageInView) as the user scrolls
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    let frame = null;
+    const reportPage = () => {
+      frame = null;
+      const pages = Object.entries(pageRefs.current).map(([p, e]) => ({
+        pageNumber: Number(p),
+        top: e.pageContainer.offsetTop,
+        height: e.pageContainer.offsetHeight,
+      }));
+      const pageNumber = pageInView(pages, container.scrollTop, container.clientHeight, container.scrollHeight);
+      if (!pageNumber || pageNumber === currentPageRef.current) return;
+      currentPageRef.current = pageNumber;
+      callbacksRef.current.onPageChange?.(pageNumber);
+    };
+    const onScroll = () => {
+      if (!frame) frame = requestAnimationFrame(reportPage);
+    };
+    container.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      container.removeEventListener("scroll", onScroll);
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  // page keys while the viewer has focus; other keys keep their default scrolling
+  const onKeyDown = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const pageNumber = pageKeyTarget(e.key, currentPageRef.current || 1, numPagesRef.current);
+    if (pageNumber === null) return;
+    e.preventDefault();
+    scrollToPage(pageNumber);
+    callbacksRef.current.onAnnounce?.(pageRegionLabel(pageNumber, numPagesRef.current));
+  };
+
+  // bytes of the loaded PDF (for exporting an annotated copy)
+  const getDocumentData = useCallback(async () => {
+    const { pdf } = loadRef.current;
+    return pdf ? pdf.getData() : null;
+  }, []);
+
+  // Highlight annotations stored in the PDF itself, as viewer annotations
+  const readPdfHighlights = useCallback(async () => {
+    const found = [];
+    const loaded = await whenPagePlaced(1);
+    for (let p = 1; loaded && p <= numPagesRef.current; p++) {
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await whenPagePlaced(p))) continue;
+      // eslint-disable-next-line no-await-in-loop
+      const pdfAnnotations = await pageRefs.current[p].page.getAnnotations().catch(() => []);
+      found.push(...annotationsFromPdf(pdfAnnotations, p));
+    }
+    return found;
+  }, [whenPagePlaced]);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      showAndHighlightText,
+      clearAllHighlights,
+      search,
+      gotoMatch,
+      selectionAnnotation,
+      showAnnotation,
+      resolveCitation,
+      getDocumentData,
+      readPdfHighlights,
+      scrollToPage,
+      highlightArea,
+      renderThumbnail,
+      renderPageImage,
+      getOutline,
+      extractTables,
+      getPageTexts,
+    }),
+    [
+      showAndHighlightText,
+      clearAllHighlights,
+      search,
+      gotoMatch,
+      selectionAnnotation,
+      showAnnotation,
+      resolveCitation,
+      getDocumentData,
+      readPdfHighlights,
+      scrollToPage,
+      highlightArea,
+      renderThumbnail,
+      renderPageImage,
+      getOutline,
+      extractTables,
+      getPageTexts,
+    ]
+  );
+
+  // redraw search and active highlights in the new theme
+  useEffect(() => {
+    Object.entries(pageRefs.current).forEach(([p, entry]) => entry.rendered && drawSearchHighlights(Number(p)));
+    const active = activeHighlightRef.current;
+    if (active && pageRefs.current[active.page]?.rendered) {
+      clearAllHighlights();
+      drawActiveHighlight(active);
+    }
+  }, [highContrast, clearAllHighlights, drawActiveHighlight, drawSearchHighlights]);
+
+  useEffect(() => () => hideTimeoutRef.current && clearTimeout(hideTimeoutRef.current), []);
+
+  // "Retry" on a page that failed to draw (see showPageError)
+  const onClick = (e) => {
+    const retry = e.target.closest?.("[data-retry-page]");
+    if (retry) ensurePageRendered(Number(retry.dataset.retryPage));
+  };
+
+  return (
+    <div aria-hidden={hidden || undefined} style={{ ...styles.frame, ...(hidden ? styles.hidden : null) }}>
+      <div
+        ref={containerRef}
+        className="pdf-react-container"
+        tabIndex={hidden ? -1 : 0}
+        aria-label="Document pages"
+        aria-busy={status.state === "loading" || undefined}
+        onKeyDown={onKeyDown}
+        onClick={onClick}
+        style={{ ...styles.container, ...(drawArea ? styles.drawing : null) }}
+      />
+      {status.state !== "ready" && (
+        <ViewerStatus
+          status={status}
+          name={source?.name}
+          onPassword={(password) => passwordRef.current?.submit(password)}
+          onCancelPassword={() => passwordRef.current?.cancel()}
+          onRetry={() => setAttempt((n) => n + 1)}
+        />
+      )}
+    </div>
+  );
+});
+
+export default PdfViewer;
+
+// Loading progress, password prompt, error and empty states, over the pages
+function ViewerStatus({ status, name, onPassword, onCancelPassword, onRetry }) {
+  const [password, setPassword] = useState("");
+  const { state, progress } = status;
+  if (state === "password") {
+    return (
+      <div style={styles.status}>
+        <form
+          style={styles.statusBox}
+          onSubmit={(e) => {
+            e.preventDefault();
+            onPassword(password);
+            setPassword("");
+          }}
+        >
+          <div style={styles.statusTitle}>{name || "This document"} is password-protected</div>
+          {status.incorrect && (
+            <div role="alert" style={styles.statusError}>
+              Incorrect password, try again.
+            </div>
+          )}
+          <input
+            type="password"
+            autoFocus
+            style={styles.statusInput}
+            value={password}
+            aria-label="Document password"
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <div style={styles.statusButtons}>
+            <button type="submit" style={styles.statusButton} disabled={!password}>
+              Open
+            </button>
+            <button type="button" style={styles.statusButton} onClick={onCancelPassword}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+  if (state === "error") {
+    return (
+      <div style={styles.status}>
+        <div role="alert" style={styles.statusBox}>
+          <div style={styles.statusTitle}>The document could not be shown</div>
+          <div style={styles.statusError}>{status.message}</div>
+          <div style={styles.statusButtons}>
+            <button type="button" style={styles.statusButton} onClick={onRetry}>
+              Try again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+  if (state === "empty") {
+    return (
+      <div style={styles.status}>
+        <div role="status" style={styles.statusBox}>
+          {name || "This document"} has no pages.
+        </div>
+      </div>
+    );
+  }
+  const percent = progress === null || progress === undefined ? null : Math.round(progress * 100);
+  return (
+    <div style={styles.status}>
+      <div role="status" style={styles.statusBox}>
+        <div>Loading {name || "document"}…</div>
+        <div
+          role="progressbar"
+          aria-label="Loading progress"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={percent ?? undefined}
+          style={styles.progressTrack}
+        >
+          <div style={{ ...styles.progressBar, width: percent === null ? "30%" : `${percent}%` }} />
+        </div>
+        {percent !== null && <div style={styles.muted}>{percent}%</div>}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  // stacked inside the viewer box; hidden viewers keep layout so scroll and highlights survive
+  frame: {
+    position: "absolute",
+    inset: 0,
+  },
+  container: {
+    position: "absolute",
+    inset: 0,
+    overflow: "auto",
+    padding: 8,
+  },
+  drawing: {
+    cursor: "crosshair",
+    userSelect: "none",
+  },
+  hidden: {
+    visibility: "hidden",
+    pointerEvents: "none",
+  },
+  status: {
+    position: "absolute",
+    inset: 0,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    background: "#f9fafb",
+    zIndex: 40,
+  },
+  statusBox: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    gap: 8,
+    maxWidth: 420,
+    padding: 20,
+    textAlign: "center",
+    color: "#374151",
+    fontSize: 14,
+  },
+  statusTitle: {
+    fontWeight: 700,
+    color: "#111827",
+  },
+  statusError: {
+    color: "#b91c1c",
+  },
+  statusInput: {
+    width: 220,
+    padding: "6px 8px",
+    border: "1px solid #d1d5db",
+    borderRadius: 6,
+    fontSize: 14,
+  },
+  statusButtons: {
+    display: "flex",
+    gap: 8,
+  },
+  statusButton: {
+    background: "#3b82f6",
+    color: "#fff",
+    border: "none",
+    borderRadius: 6,
+    padding: "6px 14px",
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+  progressTrack: {
+    width: 220,
+    height: 6,
+    background: "#e5e7eb",
+    borderRadius: 3,
+    overflow: "hidden",
+  },
+  progressBar: {
+    height: "100%",
+    background: "#3b82f6",
+  },
+  muted: {
+    color: "#6b7280",
+    fontSize: 12,
+  },
+};
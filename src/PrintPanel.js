@@ -0,0 +1,126 @@
+import React, { useState } from "react";
+import { parsePages } from "./pageExport";
+
+/*
+  PrintPanel
+  - Pages to print or export: empty for the current page, "1-3, 7" or "all"
+  - Print, PNG (one file per page) or PDF, with citation highlights and
+    annotations burned in (see pageExport.js); the parent renders the pages
+  - Optional footer with the document name, page number and citation ids
+*/
+
+export default function PrintPanel({ numPages, currentPage, exporting = false, disabled = false, onExport }) {
+  const [pages, setPages] = useState("");
+  const [footer, setFooter] = useState(true);
+  const [error, setError] = useState(null);
+
+  const run = (format) => {
+    try {
+      onExport({ pages: parsePages(pages, numPages, currentPage), format, footer });
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div style={styles.panelContent}>
+      <div style={styles.heading}>Print and export pages</div>
+      <div style={styles.tools}>
+        <input
+          type="text"
+          style={styles.input}
+          value={pages}
+          placeholder={`Current page (${currentPage}), or e.g. 1-3, 7, all`}
+          aria-label="Pages to print or export"
+          aria-invalid={error ? true : undefined}
+          disabled={disabled}
+          onChange={(e) => {
+            setPages(e.target.value);
+            setError(null);
+          }}
+        />
+        <label style={styles.checkLabel}>
+          <input type="checkbox" checked={footer} disabled={disabled} onChange={(e) => setFooter(e.target.checked)} />
+          Footer
+        </label>
+      </div>
+      <div role="toolbar" aria-label="Print and export pages" style={styles.tools}>
+        <button style={styles.toolButton} disabled={disabled || exporting} onClick={() => run("print")}>
+          Print
+        </button>
+        <button
+          style={styles.toolButton}
+          disabled={disabled || exporting}
+          title="One PNG image per page"
+          onClick={() => run("png")}
+        >
+          PNG
+        </button>
+        <button
+          style={styles.toolButton}
+          disabled={disabled || exporting}
+          title="The pages as images in a new PDF"
+          onClick={() => run("pdf")}
+        >
+          {exporting ? "Exporting…" : "PDF"}
+        </button>
+      </div>
+      {error && (
+        <div role="alert" style={styles.error}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panelContent: {
+    color: "#f9fafb",
+    fontSize: 13,
+    lineHeight: 1.4,
+  },
+  heading: {
+    fontWeight: 700,
+    fontSize: 16,
+    marginBottom: 8,
+    color: "#fff",
+  },
+  tools: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 8,
+  },
+  input: {
+    flex: "1 1 160px",
+    minWidth: 0,
+    background: "#111827",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "4px 8px",
+    fontSize: 13,
+  },
+  checkLabel: {
+    display: "flex",
+    alignItems: "center",
+    gap: 4,
+    fontSize: 12,
+    color: "#d1d5db",
+  },
+  toolButton: {
+    background: "#374151",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "3px 8px",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  error: {
+    color: "#fca5a5",
+  },
+};
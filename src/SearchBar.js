@@ -0,0 +1,97 @@
+import React from "react";
+import { matchCounterLabel } from "./textSearch";
+
+/*
+  SearchBar
+  - Query box with case-sensitive / whole-word toggles and a match counter
+  - Enter / Shift+Enter step to the next / previous match
+*/
+
+export default function SearchBar({ query, options, status, onChange, onNext, onPrev, disabled = false }) {
+  const hasMatches = Boolean(status && status.total);
+  const toggle = (key) => onChange({ query, options: { ...options, [key]: !options[key] } });
+
+  return (
+    <div role="search" style={styles.bar}>
+      <input
+        type="search"
+        value={query}
+        placeholder="Search document"
+        aria-label="Search document"
+        disabled={disabled}
+        style={styles.input}
+        onChange={(e) => onChange({ query: e.target.value, options })}
+        onKeyDown={(e) => {
+          if (e.key !== "Enter") return;
+          e.preventDefault();
+          if (e.shiftKey) onPrev();
+          else onNext();
+        }}
+      />
+      <button
+        style={{ ...styles.toggle, ...(options.caseSensitive ? styles.toggleOn : null) }}
+        aria-pressed={Boolean(options.caseSensitive)}
+        title="Match case"
+        disabled={disabled}
+        onClick={() => toggle("caseSensitive")}
+      >
+        Aa
+      </button>
+      <button
+        style={{ ...styles.toggle, ...(options.wholeWord ? styles.toggleOn : null) }}
+        aria-pressed={Boolean(options.wholeWord)}
+        title="Whole words"
+        disabled={disabled}
+        onClick={() => toggle("wholeWord")}
+      >
+        W
+      </button>
+      {query.trim() && (
+        <span aria-live="polite" style={styles.counter}>
+          {matchCounterLabel(status || { pending: true })}
+        </span>
+      )}
+      <button style={styles.toggle} aria-label="Previous match" disabled={!hasMatches} onClick={onPrev}>
+        ↑
+      </button>
+      <button style={styles.toggle} aria-label="Next match" disabled={!hasMatches} onClick={onNext}>
+        ↓
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  bar: {
+    display: "flex",
+    alignItems: "center",
+    gap: 4,
+    marginLeft: "auto",
+    fontSize: 13,
+  },
+  input: {
+    width: 180,
+    padding: "4px 8px",
+    border: "1px solid #d1d5db",
+    borderRadius: 6,
+    fontSize: 13,
+  },
+  toggle: {
+    background: "#fff",
+    border: "1px solid #d1d5db",
+    borderRadius: 6,
+    padding: "4px 8px",
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+  toggleOn: {
+    background: "#dbeafe",
+    borderColor: "#3b82f6",
+  },
+  counter: {
+    minWidth: 70,
+    textAlign: "center",
+    color: "#4b5563",
+    fontVariantNumeric: "tabular-nums",
+  },
+};
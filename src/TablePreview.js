@@ -0,0 +1,215 @@
+import React, { useState } from "react";
+import { cellReference } from "./tableExtraction";
+
+/*
+  TablePreview
+  - Grid of the tables extracted from a page or a drawn region (see
+    tableExtraction.js); header rows shaded, figure columns right-aligned
+  - Copy (tab-separated, pastes into a spreadsheet), download as CSV or JSON
+  - Selecting a cell shows its row and column; "Cite cell" turns it into a citation
+  - Mount one per extraction (key it) so the selected table and cell reset
+*/
+
+export default function TablePreview({ extraction, onCopy, onDownload, onCite, onClose }) {
+  const [index, setIndex] = useState(0);
+  const [selected, setSelected] = useState(null); // { row, column }
+  const { page, region, tables } = extraction;
+  const table = tables[index];
+  const source = region ? `Selected region on page ${page}` : `Page ${page}`;
+
+  const selectedCell = table && selected && table.rows[selected.row][selected.column];
+  const reference = selectedCell && cellReference(table, selected.row, selected.column);
+
+  return (
+    <div style={styles.panelContent}>
+      <div style={styles.headingRow}>
+        <div style={styles.heading}>Table extraction</div>
+        <button style={styles.closeButton} aria-label="Close table preview" onClick={onClose}>
+          ×
+        </button>
+      </div>
+      <div style={styles.source}>
+        {source}
+        {table && table.caption ? ` — ${table.caption}` : ""}
+      </div>
+
+      {!table ? (
+        <div style={styles.empty}>No table found. Try drawing a region around just the table.</div>
+      ) : (
+        <>
+          <div role="toolbar" aria-label="Table extraction" style={styles.tools}>
+            {tables.length > 1 && (
+              <select
+                style={styles.toolButton}
+                aria-label="Table"
+                value={index}
+                onChange={(e) => {
+                  setIndex(Number(e.target.value));
+                  setSelected(null);
+                }}
+              >
+                {tables.map((t, i) => (
+                  <option key={i} value={i}>
+                    Table {i + 1} of {tables.length}
+                    {t.caption ? ` — ${t.caption}` : ""}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button style={styles.toolButton} onClick={() => onCopy(table)}>
+              Copy
+            </button>
+            <button style={styles.toolButton} onClick={() => onDownload(table, index, "csv")}>
+              CSV
+            </button>
+            <button style={styles.toolButton} onClick={() => onDownload(table, index, "json")}>
+              JSON
+            </button>
+            <button
+              style={styles.toolButton}
+              disabled={!selectedCell}
+              title="Select a cell in the grid first"
+              onClick={() => onCite(table, selected.row, selected.column)}
+            >
+              Cite cell
+            </button>
+          </div>
+
+          <div style={styles.gridBox}>
+            <table style={styles.grid} aria-label={table.caption || `Table ${index + 1}`}>
+              <tbody>
+                {table.rows.map((row, r) => (
+                  <tr key={r}>
+                    {row.map((cell, c) => {
+                      const header = r < table.headerRows;
+                      const isSelected = selected && selected.row === r && selected.column === c;
+                      const Cell = header ? "th" : "td";
+                      return (
+                        <Cell
+                          key={c}
+                          style={{
+                            ...styles.cell,
+                            ...(header ? styles.headerCell : null),
+                            ...(table.columns[c].numeric ? styles.numericCell : null),
+                            ...(isSelected ? styles.selectedCell : null),
+                          }}
+                          tabIndex={cell && !header ? 0 : undefined}
+                          onClick={() => cell && !header && setSelected({ row: r, column: c })}
+                          onKeyDown={(e) => {
+                            if (cell && !header && (e.key === "Enter" || e.key === " ")) {
+                              e.preventDefault();
+                              setSelected({ row: r, column: c });
+                            }
+                          }}
+                        >
+                          {cell ? cell.text : ""}
+                        </Cell>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {reference && (
+            <div role="status" style={styles.selection}>
+              {reference.row || "(no row label)"} · {reference.column || "(no column header)"} ={" "}
+              <strong>{selectedCell.text}</strong>
+              {reference.value !== null && reference.value !== Number(selectedCell.text) && ` (${reference.value})`}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panelContent: {
+    color: "#f9fafb",
+    fontSize: 13,
+    lineHeight: 1.4,
+  },
+  headingRow: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  heading: {
+    fontWeight: 700,
+    fontSize: 16,
+    color: "#fff",
+  },
+  closeButton: {
+    background: "none",
+    border: "none",
+    color: "#9ca3af",
+    cursor: "pointer",
+    fontSize: 18,
+    lineHeight: 1,
+  },
+  source: {
+    color: "#9ca3af",
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  tools: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 8,
+  },
+  toolButton: {
+    background: "#374151",
+    color: "#f9fafb",
+    border: "1px solid #4b5563",
+    borderRadius: 6,
+    padding: "3px 8px",
+    cursor: "pointer",
+    fontSize: 12,
+    maxWidth: "100%",
+  },
+  empty: {
+    color: "#9ca3af",
+  },
+  gridBox: {
+    overflow: "auto",
+    maxHeight: "40vh",
+    border: "1px solid #374151",
+    borderRadius: 6,
+  },
+  grid: {
+    borderCollapse: "collapse",
+    fontSize: 11,
+    width: "100%",
+  },
+  cell: {
+    border: "1px solid #374151",
+    padding: "2px 5px",
+    color: "#e5e7eb",
+    textAlign: "left",
+    verticalAlign: "top",
+    cursor: "pointer",
+  },
+  headerCell: {
+    background: "#1f2937",
+    color: "#fff",
+    fontWeight: 600,
+    cursor: "default",
+  },
+  numericCell: {
+    textAlign: "right",
+    whiteSpace: "nowrap",
+    fontVariantNumeric: "tabular-nums",
+  },
+  selectedCell: {
+    outline: "2px solid #3b82f6",
+    outlineOffset: -2,
+  },
+  selection: {
+    marginTop: 8,
+    color: "#e5e7eb",
+  },
+};
@@ -0,0 +1,108 @@
+import React from "react";
+import { FIT_PAGE, FIT_WIDTH } from "./viewSettings";
+
+/*
+  ViewerToolbar
+  - Sidebar toggle, zoom, fit and rotation controls for the active document,
+    plus the high-contrast highlight switch
+  - Stateless: the parent owns the view settings and applies the changes
+  - `children` are placed at the end of the row (e.g. the search box)
+*/
+
+export default function ViewerToolbar({
+  view,
+  resolvedScale,
+  onZoomIn,
+  onZoomOut,
+  onFit,
+  onRotate,
+  sidebarOpen = false,
+  onToggleSidebar,
+  highContrast = false,
+  onToggleHighContrast,
+  disabled = false,
+  children,
+}) {
+  const percent = Math.round((resolvedScale || view.scale || 1) * 100);
+  return (
+    <div role="toolbar" aria-label="Viewer controls" style={styles.toolbar}>
+      {onToggleSidebar && (
+        <button
+          style={{ ...styles.button, ...(sidebarOpen ? styles.buttonActive : null) }}
+          onClick={onToggleSidebar}
+          aria-pressed={sidebarOpen}
+          title="Page thumbnails and outline"
+        >
+          Sidebar
+        </button>
+      )}
+      <button style={styles.button} onClick={onZoomOut} disabled={disabled} title="Zoom out (Ctrl -)" aria-label="Zoom out">
+        −
+      </button>
+      <span style={styles.zoomValue} aria-live="polite">
+        {percent}%
+      </span>
+      <button style={styles.button} onClick={onZoomIn} disabled={disabled} title="Zoom in (Ctrl +)" aria-label="Zoom in">
+        +
+      </button>
+      <button
+        style={{ ...styles.button, ...(view.scale === FIT_WIDTH ? styles.buttonActive : null) }}
+        onClick={() => onFit(FIT_WIDTH)}
+        disabled={disabled}
+        aria-pressed={view.scale === FIT_WIDTH}
+      >
+        Fit width
+      </button>
+      <button
+        style={{ ...styles.button, ...(view.scale === FIT_PAGE ? styles.buttonActive : null) }}
+        onClick={() => onFit(FIT_PAGE)}
+        disabled={disabled}
+        aria-pressed={view.scale === FIT_PAGE}
+      >
+        Fit page
+      </button>
+      <button style={styles.button} onClick={onRotate} disabled={disabled} title="Rotate 90° clockwise" aria-label="Rotate">
+        ⟳ {view.rotation}°
+      </button>
+      {onToggleHighContrast && (
+        <button
+          style={{ ...styles.button, ...(highContrast ? styles.buttonActive : null) }}
+          onClick={onToggleHighContrast}
+          aria-pressed={highContrast}
+          title="Stronger, outlined highlight colours"
+        >
+          High contrast
+        </button>
+      )}
+      {children}
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 6,
+    fontSize: 13,
+  },
+  button: {
+    background: "#fff",
+    border: "1px solid #d1d5db",
+    borderRadius: 6,
+    padding: "4px 10px",
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+  buttonActive: {
+    background: "#dbeafe",
+    borderColor: "#3b82f6",
+  },
+  zoomValue: {
+    minWidth: 44,
+    textAlign: "center",
+    fontVariantNumeric: "tabular-nums",
+  },
+};
@@ -0,0 +1,156 @@
+import { validateCitations } from "./citations";
+
+/*
+  Analysis format (JSON, one file per filing — see README "Analysis format")
+  - documents: [{ id, url, title? }]  filings the citations point into (optional)
+  - citations: citation entries (see citations.js)
+  - sections:  [{ heading, paragraphs: [string] }]
+  - findings:  [{ page, heading, items: [string] }]   grouped by page
+  - evidence:  [{ citation: <citation id>, source, quote }]
+
+  Paragraph and finding strings support two inline forms:
+    [n]       cites the n-th entry of `citations` (1-based)
+    **text**  bold
+*/
+
+export const ANALYSIS_VERSION = 1;
+
+export class AnalysisValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid analysis:\n- ${errors.join("\n- ")}`);
+    this.name = "AnalysisValidationError";
+    this.errors = errors;
+  }
+}
+
+const INLINE_RE = /\[(\d+)\]|\*\*(.+?)\*\*/g;
+
+// Split an analysis string into text / strong / cite tokens.
+export function parseInline(text) {
+  const tokens = [];
+  let last = 0;
+  let m;
+  INLINE_RE.lastIndex = 0;
+  while ((m = INLINE_RE.exec(text)) !== null) {
+    if (m.index > last) tokens.push({ type: "text", value: text.slice(last, m.index) });
+    if (m[1] != null) tokens.push({ type: "cite", index: Number(m[1]) });
+    else tokens.push({ type: "strong", value: m[2] });
+    last = INLINE_RE.lastIndex;
+  }
+  if (last < text.length) tokens.push({ type: "text", value: text.slice(last) });
+  return tokens;
+}
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+
+function checkInline(text, where, numCitations, errors) {
+  if (!isNonEmptyString(text)) {
+    errors.push(`${where}: must be a non-empty string`);
+    return;
+  }
+  parseInline(text).forEach((t) => {
+    if (t.type === "cite" && (t.index < 1 || t.index > numCitations)) {
+      errors.push(`${where}: citation marker [${t.index}] has no matching citation (analysis has ${numCitations})`);
+    }
+  });
+}
+
+// Returns a list of human-readable problems; empty when the analysis is well-formed.
+export function validateAnalysis(analysis) {
+  if (!analysis || typeof analysis !== "object" || Array.isArray(analysis)) {
+    return ["analysis must be a JSON object"];
+  }
+  const errors = [];
+  if (analysis.version != null && analysis.version !== ANALYSIS_VERSION) {
+    errors.push(`unsupported version ${analysis.version} (expected ${ANALYSIS_VERSION})`);
+  }
+
+  const citations = analysis.citations;
+  errors.push(...validateCitations(citations));
+
+  if (analysis.documents != null) {
+    if (!Array.isArray(analysis.documents)) {
+      errors.push("documents must be an array");
+    } else {
+      const docIds = new Set();
+      analysis.documents.forEach((doc, i) => {
+        const where = `documents[${i}]`;
+        if (!doc || !isNonEmptyString(doc.id)) errors.push(`${where}: missing id`);
+        else if (docIds.has(doc.id)) errors.push(`${where}: duplicate id "${doc.id}"`);
+        if (!doc || !isNonEmptyString(doc.url)) errors.push(`${where}: missing url`);
+        if (doc && doc.id) docIds.add(doc.id);
+      });
+      (Array.isArray(citations) ? citations : []).forEach((c) => {
+        if (c && c.document && !docIds.has(c.document)) {
+          errors.push(`citation "${c.id}": document "${c.document}" is not listed in documents`);
+        }
+      });
+    }
+  }
+
+  const numCitations = Array.isArray(citations) ? citations.length : 0;
+  const citationIds = new Set(Array.isArray(citations) ? citations.map((c) => c && c.id) : []);
+
+  if (!Array.isArray(analysis.sections)) {
+    errors.push("sections must be an array");
+  } else {
+    analysis.sections.forEach((section, i) => {
+      const where = `sections[${i}]`;
+      if (!section || !isNonEmptyString(section.heading)) errors.push(`${where}: missing heading`);
+      if (!section || !Array.isArray(section.paragraphs)) {
+        errors.push(`${where}: paragraphs must be an array`);
+        return;
+      }
+      section.paragraphs.forEach((p, j) => checkInline(p, `${where}.paragraphs[${j}]`, numCitations, errors));
+    });
+  }
+
+  if (analysis.findings != null) {
+    if (!Array.isArray(analysis.findings)) {
+      errors.push("findings must be an array");
+    } else {
+      analysis.findings.forEach((group, i) => {
+        const where = `findings[${i}]`;
+        if (!group || !Number.isInteger(group.page) || group.page < 1) errors.push(`${where}: page must be a positive integer`);
+        if (!group || !isNonEmptyString(group.heading)) errors.push(`${where}: missing heading`);
+        if (!group || !Array.isArray(group.items)) {
+          errors.push(`${where}: items must be an array`);
+          return;
+        }
+        group.items.forEach((item, j) => checkInline(item, `${where}.items[${j}]`, numCitations, errors));
+      });
+    }
+  }
+
+  if (analysis.evidence != null) {
+    if (!Array.isArray(analysis.evidence)) {
+      errors.push("evidence must be an array");
+    } else {
+      analysis.evidence.forEach((ev, i) => {
+        const where = `evidence[${i}]`;
+        if (!ev || !citationIds.has(ev.citation)) errors.push(`${where}: unknown citation "${ev && ev.citation}"`);
+        if (!ev || !isNonEmptyString(ev.quote)) errors.push(`${where}: missing quote`);
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Validate and return the analysis, or throw AnalysisValidationError.
+export function loadAnalysis(analysis) {
+  const errors = validateAnalysis(analysis);
+  if (errors.length) throw new AnalysisValidationError(errors);
+  return analysis;
+}
+
+// Parse a JSON string (e.g. from a picked file) into a validated analysis.
+export function parseAnalysis(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new AnalysisValidationError([`not valid JSON: ${e.message}`]);
+  }
+  return loadAnalysis(data);
+}
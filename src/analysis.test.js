@@ -0,0 +1,43 @@
+import { AnalysisValidationError, loadAnalysis, parseAnalysis, parseInline, validateAnalysis } from "./analysis";
+import maersk from "./analyses/maersk-q2-2025.json";
+
+test("bundled analysis is valid", () => {
+  expect(validateAnalysis(maersk)).toEqual([]);
+});
+
+test("parses citation markers and bold text", () => {
+  expect(parseInline("under **EBIT**, not EBITDA [3].")).toEqual([
+    { type: "text", value: "under " },
+    { type: "strong", value: "EBIT" },
+    { type: "text", value: ", not EBITDA " },
+    { type: "cite", index: 3 },
+    { type: "text", value: "." },
+  ]);
+});
+
+test("rejects markers without a citation and unknown evidence", () => {
+  const bad = {
+    ...maersk,
+    sections: [{ heading: "Analysis", paragraphs: ["See [4]"] }],
+    evidence: [{ citation: "p99", quote: "x" }],
+  };
+  expect(() => loadAnalysis(bad)).toThrow(AnalysisValidationError);
+  expect(validateAnalysis(bad)).toEqual([
+    "sections[0].paragraphs[0]: citation marker [4] has no matching citation (analysis has 3)",
+    'evidence[0]: unknown citation "p99"',
+  ]);
+});
+
+test("reports invalid JSON clearly", () => {
+  expect(() => parseAnalysis("{ nope")).toThrow(/not valid JSON/);
+  expect(() => parseAnalysis("[]")).toThrow(/analysis must be a JSON object/);
+});
+
+test("citations must name a listed document", () => {
+  const bad = { ...maersk, documents: [{ id: "maersk-q2-2024", url: "/q2-2024.pdf" }] };
+  expect(validateAnalysis(bad)).toEqual([
+    'citation "p3": document "maersk-q2-2025" is not listed in documents',
+    'citation "p5": document "maersk-q2-2025" is not listed in documents',
+    'citation "p15": document "maersk-q2-2025" is not listed in documents',
+  ]);
+});
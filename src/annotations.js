@@ -0,0 +1,94 @@
+/*
+  User annotations
+  - highlight: text selected in the text layer, with the quote it covers
+  - area:      rectangle drawn over a chart or table
+  Rectangles are kept in PDF user space ([x1, y1, x2, y2], origin bottom-left),
+  so they do not depend on zoom or rotation (see textGeometry.toPdfRect).
+
+  Shape:
+    {
+      id:      "a-lx3k9-1",
+      kind:    "highlight" | "area",
+      page:    15,                           // 1-based page number
+      rects:   [[x1, y1, x2, y2], ...],      // one per line fragment for highlights
+      quote:   "Gain on sale of ...",        // highlights only
+      color:   "yellow",                     // key of ANNOTATION_COLORS
+      note:    "",
+      created: "2025-08-07T10:00:00.000Z"
+    }
+
+  Annotations are stored per document in localStorage.
+*/
+
+export const ANNOTATION_COLORS = {
+  yellow: "#fde047",
+  green: "#86efac",
+  blue: "#93c5fd",
+  pink: "#f9a8d4",
+};
+export const DEFAULT_COLOR = "yellow";
+
+const STORAGE_PREFIX = "pdf-annotations:";
+
+let sequence = 0;
+const newAnnotationId = () => `a-${Date.now().toString(36)}-${(sequence += 1)}`;
+
+export function createAnnotation({ kind, page, rects, quote, color = DEFAULT_COLOR, note = "" }) {
+  const annotation = { id: newAnnotationId(), kind, page, rects, color, note, created: new Date().toISOString() };
+  if (kind === "highlight") annotation.quote = quote || "";
+  return annotation;
+}
+
+const isRect = (r) => Array.isArray(r) && r.length === 4 && r.every((v) => typeof v === "number" && Number.isFinite(v));
+
+// Returns a list of human-readable problems with a single annotation.
+export function validateAnnotation(annotation) {
+  if (!annotation || typeof annotation !== "object") return ["annotation must be an object"];
+  const errors = [];
+  const name = annotation.id ? `annotation "${annotation.id}"` : "annotation";
+  if (!annotation.id || typeof annotation.id !== "string") errors.push(`${name}: missing id`);
+  if (annotation.kind !== "highlight" && annotation.kind !== "area") errors.push(`${name}: kind must be highlight or area`);
+  if (!Number.isInteger(annotation.page) || annotation.page < 1) errors.push(`${name}: page must be a positive integer`);
+  if (!Array.isArray(annotation.rects) || !annotation.rects.length || !annotation.rects.every(isRect)) {
+    errors.push(`${name}: rects must be a non-empty list of [x1, y1, x2, y2]`);
+  }
+  if (annotation.color && !ANNOTATION_COLORS[annotation.color]) errors.push(`${name}: unknown color "${annotation.color}"`);
+  return errors;
+}
+
+const defaultStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Saved annotations of a document; unreadable or invalid entries are dropped.
+export function loadAnnotations(documentId, storage = defaultStorage()) {
+  if (!storage || !documentId) return [];
+  try {
+    const list = JSON.parse(storage.getItem(STORAGE_PREFIX + documentId) || "[]");
+    return Array.isArray(list) ? list.filter((a) => validateAnnotation(a).length === 0) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Returns false when the browser refused to store them (private mode, quota).
+export function saveAnnotations(documentId, annotations, storage = defaultStorage()) {
+  if (!storage || !documentId) return false;
+  try {
+    if (annotations.length) storage.setItem(STORAGE_PREFIX + documentId, JSON.stringify(annotations));
+    else storage.removeItem(STORAGE_PREFIX + documentId);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// reading order for the sidebar: by page, then top to bottom
+export function sortAnnotations(annotations) {
+  const top = (a) => Math.max(...a.rects.map((r) => Math.max(r[1], r[3])));
+  return [...annotations].sort((a, b) => a.page - b.page || top(b) - top(a));
+}
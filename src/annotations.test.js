@@ -0,0 +1,80 @@
+import { createAnnotation, loadAnnotations, saveAnnotations, sortAnnotations, validateAnnotation } from "./annotations";
+
+// in-memory stand-in for localStorage
+const memoryStorage = () => {
+  const data = {};
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete data[key];
+    },
+    data,
+  };
+};
+
+const highlight = () =>
+  createAnnotation({
+    kind: "highlight",
+    page: 15,
+    rects: [[70, 400, 250, 410]],
+    quote: "Gain on sale",
+    color: "green",
+  });
+
+test("new annotations are valid and get unique ids", () => {
+  const a = highlight();
+  const b = createAnnotation({ kind: "area", page: 3, rects: [[10, 10, 200, 120]] });
+  expect(validateAnnotation(a)).toEqual([]);
+  expect(validateAnnotation(b)).toEqual([]);
+  expect(a.id).not.toBe(b.id);
+  expect(b).toMatchObject({ color: "yellow", note: "" });
+  expect(b).not.toHaveProperty("quote");
+});
+
+test("malformed annotations are reported", () => {
+  expect(validateAnnotation({ id: "x", kind: "circle", page: 0, rects: [[1, 2, 3]], color: "red" })).toEqual([
+    'annotation "x": kind must be highlight or area',
+    'annotation "x": page must be a positive integer',
+    'annotation "x": rects must be a non-empty list of [x1, y1, x2, y2]',
+    'annotation "x": unknown color "red"',
+  ]);
+});
+
+test("annotations round-trip through storage per document", () => {
+  const storage = memoryStorage();
+  const list = [highlight()];
+  expect(saveAnnotations("doc-a", list, storage)).toBe(true);
+  expect(loadAnnotations("doc-a", storage)).toEqual(list);
+  expect(loadAnnotations("doc-b", storage)).toEqual([]);
+
+  saveAnnotations("doc-a", [], storage);
+  expect(storage.data).toEqual({});
+});
+
+test("unreadable or invalid stored entries are dropped", () => {
+  const storage = memoryStorage();
+  storage.setItem("pdf-annotations:doc", "{not json");
+  expect(loadAnnotations("doc", storage)).toEqual([]);
+  storage.setItem("pdf-annotations:doc", JSON.stringify([highlight(), { id: "bad" }]));
+  expect(loadAnnotations("doc", storage)).toHaveLength(1);
+});
+
+test("a refusing storage reports failure", () => {
+  const full = {
+    setItem: () => {
+      throw new Error("QuotaExceededError");
+    },
+    removeItem: () => {},
+  };
+  expect(saveAnnotations("doc", [highlight()], full)).toBe(false);
+});
+
+test("sidebar order is by page, then top to bottom", () => {
+  const low = createAnnotation({ kind: "area", page: 2, rects: [[0, 100, 50, 150]] });
+  const high = createAnnotation({ kind: "area", page: 2, rects: [[0, 600, 50, 700]] });
+  const first = createAnnotation({ kind: "area", page: 1, rects: [[0, 10, 50, 20]] });
+  expect(sortAnnotations([low, high, first]).map((a) => a.id)).toEqual([first.id, high.id, low.id]);
+});
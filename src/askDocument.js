@@ -0,0 +1,149 @@
+import { verifyCitation } from "./citationCheck";
+
+/*
+  Ask the document
+  A provider answers a question from the text of a document's pages:
+    provider.ask({ question, document: { id, title }, pages: [{ page, text }] })
+      -> { answer: "Revenue was USD 13.1bn [1]", citations: [{ page, quote }] }
+  `[n]` in the answer refers to the n-th returned citation, as in analyses
+  (see analysis.js). Providers:
+  - localProvider: offline and extractive, answers with the sentences that
+    share the most words with the question
+  - httpProvider(url): POSTs the same request as JSON to a server (a local mock
+    or a model behind an API) and expects the same response back
+  Returned quotes are checked against the page texts that were sent, so a quote
+  the document does not contain is flagged instead of trusted.
+*/
+
+const MAX_CITATIONS = 3;
+const MAX_QUOTE = 240; // characters; longer sentences are cut at a word boundary
+
+const STOPWORDS = new Set(
+  (
+    "the and for are was were what which who whom how why when where did does has have had with from that this " +
+    "these those its their there than then into onto about over under been being will would could should can " +
+    "per any all our out not but you your they them also more most much many some such very"
+  ).split(" ")
+);
+
+// lower-case words of the question worth looking for, shortened to a crude stem
+const questionTerms = (question) => [
+  ...new Set(
+    (question.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter((w) => (w.length > 2 || /\d/.test(w)) && !STOPWORDS.has(w))
+      .map((w) => w.slice(0, 6))
+  ),
+];
+
+// mostly figures: a table or a list of contents rather than prose
+const isTabular = (sentence) => {
+  const words = sentence.split(" ");
+  return words.filter((w) => /\d/.test(w)).length > words.length / 5;
+};
+
+// sentences of a page's text, with line-end hyphenation and breaks undone; initials
+// ("A.P. Moller") do not end a sentence
+function sentences(text) {
+  return text
+    .replace(/(\p{L})-\n(\p{L})/gu, "$1$2")
+    .split(/(?<=[^\p{Lu}.][.!?])\s+(?=[\p{Lu}\d"“])|\n\s*\n/u)
+    .map((s) => s.replace(/\s+/g, " ").trim())
+    .filter((s) => s.length >= 20 && /[.!?]$/.test(s) && !isTabular(s));
+}
+
+const shortenQuote = (sentence) => {
+  if (sentence.length <= MAX_QUOTE) return sentence;
+  const cut = sentence.slice(0, MAX_QUOTE);
+  return cut.slice(0, cut.lastIndexOf(" ")).replace(/[\s,;:]+$/, "");
+};
+
+export const localProvider = {
+  id: "local",
+  name: "Local (offline)",
+  async ask({ question, pages }) {
+    const terms = questionTerms(question);
+    const candidates = pages.flatMap(({ page, text }) =>
+      sentences(text || "").map((sentence, order) => {
+        const words = sentence.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        return { page, sentence, order, found: terms.filter((t) => words.some((w) => w.startsWith(t))) };
+      })
+    );
+    // words that occur in fewer sentences say more about what was asked
+    const weight = Object.fromEntries(
+      terms.map((t) => [
+        t,
+        Math.log((candidates.length + 1) / (candidates.filter((c) => c.found.includes(t)).length + 1)) + 1,
+      ])
+    );
+    const best = candidates
+      .map((c) => ({ ...c, score: c.found.reduce((sum, t) => sum + weight[t], 0) }))
+      .filter((c) => c.score > 0)
+      .sort((a, b) => b.score - a.score || a.page - b.page || a.order - b.order)
+      .slice(0, MAX_CITATIONS)
+      .sort((a, b) => a.page - b.page || a.order - b.order);
+    if (!best.length) return { answer: "No passage in the document matches the question.", citations: [] };
+    return {
+      answer: best.map((b, i) => `${shortenQuote(b.sentence)} [${i + 1}]`).join("\n"),
+      citations: best.map((b) => ({ page: b.page, quote: shortenQuote(b.sentence) })),
+    };
+  },
+};
+
+export function httpProvider(url) {
+  return {
+    id: `http:${url}`,
+    name: `Server (${url})`,
+    async ask(request) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(request),
+      });
+      if (!response.ok) throw new Error(`${url} answered HTTP ${response.status}`);
+      return response.json();
+    },
+  };
+}
+
+// The configured providers: always the local one, plus a server when REACT_APP_ASK_URL is set
+export function configuredProviders(url = process.env.REACT_APP_ASK_URL) {
+  return url ? [httpProvider(url), localProvider] : [localProvider];
+}
+
+// Checks a provider response; throws an Error listing what is wrong with it
+export function parseAnswer(response, numPages) {
+  if (!response || typeof response !== "object") throw new Error("answer must be a JSON object");
+  const errors = [];
+  if (typeof response.answer !== "string" || !response.answer.trim()) errors.push("answer must be a non-empty string");
+  if (!Array.isArray(response.citations)) errors.push("citations must be an array");
+  else {
+    response.citations.forEach((c, i) => {
+      if (!c || !Number.isInteger(c.page) || c.page < 1 || c.page > numPages) {
+        errors.push(`citation ${i + 1}: page must be between 1 and ${numPages}`);
+      }
+      if (!c || typeof c.quote !== "string" || !c.quote.trim()) errors.push(`citation ${i + 1}: missing quote`);
+    });
+  }
+  if (errors.length) throw new Error(errors.join("; "));
+  return response;
+}
+
+/*
+  Ask `provider` about a document and check the answer's quotes:
+    { answer, citations: [citation entries], checks: { citationId: result } }
+  Citations get ids "ask-<n>" and labels "[n]" matching the answer's markers;
+  checks are citationCheck results against the page texts that were sent.
+*/
+export async function askDocument(provider, { question, document, pages }) {
+  const response = parseAnswer(await provider.ask({ question, document, pages }), pages.length);
+  const citations = response.citations.map(({ page, quote }, i) => ({
+    id: `ask-${i + 1}`,
+    document: document.id,
+    page,
+    quote,
+    label: `[${i + 1}]`,
+  }));
+  const pageText = Object.fromEntries(pages.map(({ page, text }) => [page, text]));
+  const checks = Object.fromEntries(citations.map((c) => [c.id, verifyCitation(c, pageText[c.page] ?? null)]));
+  return { answer: response.answer, citations, checks };
+}
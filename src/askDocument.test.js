@@ -0,0 +1,85 @@
+import { askDocument, configuredProviders, httpProvider, localProvider, parseAnswer } from "./askDocument";
+
+const document = { id: "report", title: "Interim Report Q2 2025" };
+const pages = [
+  { page: 1, text: "Interim Report Q2 2025\nHighlights\n" },
+  {
+    page: 2,
+    text:
+      "Revenue increased to USD 13.1bn (USD 12.8bn) driven by higher\nvolumes. EBITDA increased to USD 2.3bn " +
+      "(USD 2.1bn), with im-\nproved results in Ocean.\n\nFree cash flow was USD 0.3bn.",
+  },
+  { page: 3, text: "Guidance for 2025 is an underlying EBITDA of USD 8.0-9.5bn.\n" },
+];
+
+test("the local provider answers with the best matching sentences, in page order", async () => {
+  const { answer, citations } = await localProvider.ask({ question: "How did EBITDA develop?", document, pages });
+  expect(citations).toEqual([
+    { page: 2, quote: "EBITDA increased to USD 2.3bn (USD 2.1bn), with improved results in Ocean." },
+    { page: 3, quote: "Guidance for 2025 is an underlying EBITDA of USD 8.0-9.5bn." },
+  ]);
+  expect(answer).toBe(`${citations[0].quote} [1]\n${citations[1].quote} [2]`);
+
+  const none = await localProvider.ask({ question: "What about dividends?", document, pages });
+  expect(none.citations).toEqual([]);
+});
+
+test("answers are checked and their quotes verified against the pages sent", async () => {
+  const provider = {
+    ask: async () => ({
+      answer: "Revenue grew [1] while volumes fell [2].",
+      citations: [
+        { page: 2, quote: "Revenue increased to USD 13.1bn" },
+        { page: 2, quote: "Container volumes fell sharply in Asia" },
+      ],
+    }),
+  };
+  const result = await askDocument(provider, { question: "Revenue?", document, pages });
+  expect(result.answer).toBe("Revenue grew [1] while volumes fell [2].");
+  expect(result.citations).toEqual([
+    { id: "ask-1", document: "report", page: 2, quote: "Revenue increased to USD 13.1bn", label: "[1]" },
+    { id: "ask-2", document: "report", page: 2, quote: "Container volumes fell sharply in Asia", label: "[2]" },
+  ]);
+  expect(result.checks["ask-1"].status).toBe("exact");
+  expect(result.checks["ask-2"].status).toBe("not-found");
+});
+
+test("malformed answers are rejected", () => {
+  expect(() => parseAnswer(null, 3)).toThrow("answer must be a JSON object");
+  expect(() => parseAnswer({ answer: "", citations: [{ page: 9, quote: "" }] }, 3)).toThrow(
+    "answer must be a non-empty string; citation 1: page must be between 1 and 3; citation 1: missing quote"
+  );
+  expect(() => parseAnswer({ answer: "Yes" }, 3)).toThrow("citations must be an array");
+});
+
+test("the server provider posts the request as JSON", async () => {
+  const calls = [];
+  global.fetch = jest.fn(async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    return url.endsWith("/down")
+      ? { ok: false, status: 503 }
+      : { ok: true, json: async () => ({ answer: "Yes [1]", citations: [{ page: 3, quote: "Guidance for 2025" }] }) };
+  });
+  try {
+    const result = await askDocument(httpProvider("http://localhost:8787/ask"), {
+      question: "Guidance?",
+      document,
+      pages,
+    });
+    expect(calls[0]).toEqual({ url: "http://localhost:8787/ask", body: { question: "Guidance?", document, pages } });
+    expect(result.checks["ask-1"].status).toBe("exact");
+    await expect(httpProvider("http://localhost:8787/down").ask({})).rejects.toThrow(
+      "http://localhost:8787/down answered HTTP 503"
+    );
+  } finally {
+    delete global.fetch;
+  }
+});
+
+test("a configured server comes first, the local provider is always there", () => {
+  expect(configuredProviders(undefined).map((p) => p.id)).toEqual(["local"]);
+  expect(configuredProviders("http://localhost:8787/ask").map((p) => p.id)).toEqual([
+    "http:http://localhost:8787/ask",
+    "local",
+  ]);
+});
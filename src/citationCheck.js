@@ -0,0 +1,93 @@
+import { buildPageText } from "./textSearch";
+import { matchQuote } from "./quoteMatcher";
+import { citationLabel, citationMatchOptions } from "./citations";
+
+/*
+  Citation check
+  Resolves every citation of an analysis against its document's text, without
+  a viewer, and reports how each quote was found:
+    {
+      citation,              // the citation entry
+      status:     "exact" | "fuzzy" | "not-found" | "error",
+      method:     "exact" | "normalized" | "compact" | "numeric" | "fuzzy" | null,
+      confidence: 0.93,      // 0 when not found
+      error:      "page 30 does not exist"   // status "error" only
+    }
+  Only a quote found as it is (whitespace and case aside) counts as exact. Any
+  other match is fuzzy with its method and confidence: typography, spacing and
+  hyphenation (normalized, compact) as well as figures and wording (numeric,
+  fuzzy), see quoteMatcher.js.
+
+  The check runs in the browser (CitationReport) and in Node, so the test
+  suite fails as soon as a bundled analysis no longer matches its PDF.
+*/
+
+export const isBroken = (result) => result.status === "not-found" || result.status === "error";
+
+// Page text reader for a pdf.js document: resolves to null past the last page.
+export function pdfPageText(pdf) {
+  return async (pageNumber) => {
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pdf.numPages) return null;
+    const page = await pdf.getPage(pageNumber);
+    const textContent = await page.getTextContent();
+    return buildPageText(textContent.items).text;
+  };
+}
+
+export function verifyCitation(citation, pageText) {
+  if (pageText == null) {
+    return { citation, status: "error", method: null, confidence: 0, error: `page ${citation.page} does not exist` };
+  }
+  const match = matchQuote(pageText, citation.quote, citationMatchOptions(citation));
+  if (!match.matches.length) return { citation, status: "not-found", method: null, confidence: 0 };
+  return {
+    citation,
+    status: match.method === "exact" ? "exact" : "fuzzy",
+    method: match.method,
+    confidence: match.confidence,
+  };
+}
+
+/*
+  Verify `citations` in order. getPageText(documentId, page) resolves to the
+  page's text, or null when the page does not exist; it may reject (document
+  missing or unreadable), which marks that citation as an error.
+*/
+export async function verifyCitations(citations, getPageText) {
+  const texts = new Map();
+  const results = [];
+  for (const citation of citations) {
+    const key = `${citation.document}\n${citation.page}`;
+    if (!texts.has(key))
+      texts.set(
+        key,
+        Promise.resolve().then(() => getPageText(citation.document, citation.page))
+      );
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      results.push(verifyCitation(citation, await texts.get(key)));
+    } catch (e) {
+      results.push({ citation, status: "error", method: null, confidence: 0, error: e.message || String(e) });
+    }
+  }
+  return results;
+}
+
+export function verificationSummary(results) {
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    total: results.length,
+    exact: count("exact"),
+    fuzzy: count("fuzzy"),
+    broken: results.filter(isBroken).length,
+  };
+}
+
+// One line per citation, e.g. "[3] page 15: fuzzy (numeric, 90%)"
+export function describeResult(result) {
+  const { citation, status, method, confidence, error } = result;
+  const head = `${citationLabel(citation)} page ${citation.page}`;
+  if (status === "error") return `${head}: error (${error})`;
+  if (status === "not-found") return `${head}: quote not found`;
+  return `${head}: ${status} (${method}, ${Math.round(confidence * 100)}%)`;
+}
@@ -0,0 +1,68 @@
+import analysis from "./analyses/maersk-q2-2025.json";
+import { describeResult, isBroken, pdfPageText, verificationSummary, verifyCitations } from "./citationCheck";
+import { withReportPdf } from "./testing/loadReportPdf";
+
+const cite = (id, page, quote, extra) => ({ id, document: "doc", page, quote, label: `[${id}]`, ...extra });
+
+const PAGES = {
+  1: "Revenue increased to USD 13,1 bn. EBITDA of USD 2.3 bn (USD 2.1 bn).",
+  2: "Gain on sale of non-current assets, etc , net 25 208",
+};
+
+const fromPages = async (documentId, page) => {
+  if (documentId !== "doc") throw new Error(`document "${documentId}" is not available`);
+  return PAGES[page] ?? null;
+};
+
+test("each citation is reported as exact, fuzzy, not found or error", async () => {
+  const results = await verifyCitations(
+    [
+      cite("1", 1, "EBITDA of USD 2.3"),
+      cite("2", 2, "Gain on sale of non\u2013current assets"),
+      cite("3", 2, "Gain on sale of non-current assets, etc., net 25 208"),
+      cite("4", 1, "Net debt decreased"),
+      cite("5", 9, "EBITDA"),
+      { ...cite("6", 1, "EBITDA"), document: "other" },
+    ],
+    fromPages
+  );
+  expect(results.map((r) => [r.status, r.method])).toEqual([
+    ["exact", "exact"],
+    ["fuzzy", "normalized"],
+    ["fuzzy", "numeric"],
+    ["not-found", null],
+    ["error", null],
+    ["error", null],
+  ]);
+  expect(results[2].confidence).toBeLessThan(1);
+  expect(results[5].error).toBe('document "other" is not available');
+  expect(results.filter(isBroken)).toHaveLength(3);
+  expect(verificationSummary(results)).toEqual({ total: 6, exact: 1, fuzzy: 2, broken: 3 });
+  expect(results.map(describeResult).slice(1, 5)).toEqual([
+    "[2] page 2: fuzzy (normalized, 97%)",
+    "[3] page 2: fuzzy (numeric, 95%)",
+    "[4] page 1: quote not found",
+    "[5] page 9: error (page 9 does not exist)",
+  ]);
+});
+
+test("a page is read once however many citations point at it", async () => {
+  const reads = [];
+  await verifyCitations([cite("1", 1, "EBITDA"), cite("2", 1, "Revenue")], async (doc, page) => {
+    reads.push(page);
+    return PAGES[page];
+  });
+  expect(reads).toEqual([1]);
+});
+
+// Fails when an edit to the analysis (or the report) breaks a quote.
+test("every citation of the bundled analysis is found in its PDF", async () => {
+  await withReportPdf(async (pdf) => {
+    const pageText = pdfPageText(pdf);
+    const results = await verifyCitations(analysis.citations, (documentId, page) => {
+      if (documentId !== "maersk-q2-2025") throw new Error(`unknown document ${documentId}`);
+      return pageText(page);
+    });
+    expect(results.filter(isBroken).map(describeResult)).toEqual([]);
+  });
+}, 30000);
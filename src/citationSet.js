@@ -0,0 +1,99 @@
+import { validateCitations } from "./citations";
+import { cellReference } from "./tableExtraction";
+import { toPageFractions } from "./textGeometry";
+
+/*
+  Authored citation sets
+  Citations created by selecting text in the viewer are kept as a set that can
+  be exported, reviewed and loaded again:
+    {
+      version:   1,
+      documents: [{ id, url, title }],   // documents the citations point into
+      citations: [ ...citation entries ] // see citations.js; `areas` hold the selection
+    }
+*/
+
+export const CITATION_SET_VERSION = 1;
+
+// first free id of the form "cite-<n>"
+export function nextCitationId(citations) {
+  const taken = new Set(citations.map((c) => c.id));
+  let n = 1;
+  while (taken.has(`cite-${n}`)) n += 1;
+  return `cite-${n}`;
+}
+
+/*
+  Citation for a text selection. `existing` is the analysis' citation list, so
+  the label matches the [n] marker that references the new entry.
+*/
+export function citationFromSelection({ document, page, quote, areas }, existing) {
+  return {
+    id: nextCitationId(existing),
+    document,
+    page,
+    quote,
+    label: `[${existing.length + 1}]`,
+    areas,
+  };
+}
+
+/*
+  Citation for a cell of an extracted table (see tableExtraction.js): the cell's
+  text is the quote, its rectangle the area, and `cell` records what it is.
+  `view` is the page's view box.
+*/
+export function citationFromCell({ document, page, view, table, row, column }, existing) {
+  const { text, rect } = table.rows[row][column];
+  return {
+    ...citationFromSelection({ document, page, quote: text, areas: [toPageFractions(rect, view)] }, existing),
+    cell: cellReference(table, row, column),
+  };
+}
+
+export function buildCitationSet(citations, documents) {
+  const used = new Set(citations.map((c) => c.document));
+  return {
+    version: CITATION_SET_VERSION,
+    documents: documents.filter((d) => used.has(d.id)),
+    citations,
+  };
+}
+
+// Parse and validate a citation set file; throws with every problem listed.
+export function parseCitationSet(json) {
+  let set;
+  try {
+    set = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`not valid JSON: ${e.message}`);
+  }
+  if (!set || typeof set !== "object" || Array.isArray(set)) throw new Error("citation set must be a JSON object");
+  const errors = [];
+  if (set.version != null && set.version !== CITATION_SET_VERSION) {
+    errors.push(`unsupported version ${set.version} (expected ${CITATION_SET_VERSION})`);
+  }
+  errors.push(...validateCitations(set.citations));
+  if (set.documents != null && !Array.isArray(set.documents)) errors.push("documents must be an array");
+  if (errors.length) throw new Error(errors.join("; "));
+  return { documents: set.documents || [], citations: set.citations };
+}
+
+/*
+  Analysis with `citations` added (entries with the same id are replaced in
+  place, so [n] markers keep pointing at them) and their documents listed.
+*/
+export function mergeCitations(analysis, citations, documents = []) {
+  const merged = [...analysis.citations];
+  citations.forEach((c) => {
+    const index = merged.findIndex((m) => m.id === c.id);
+    if (index >= 0) merged[index] = c;
+    else merged.push(c);
+  });
+  if (!analysis.documents) return { ...analysis, citations: merged };
+  const listed = [...analysis.documents];
+  documents.forEach((d) => {
+    if (!listed.some((l) => l.id === d.id)) listed.push(d);
+  });
+  return { ...analysis, citations: merged, documents: listed };
+}
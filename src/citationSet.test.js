@@ -0,0 +1,80 @@
+import {
+  buildCitationSet,
+  citationFromCell,
+  citationFromSelection,
+  mergeCitations,
+  nextCitationId,
+  parseCitationSet,
+} from "./citationSet";
+import { validateAnalysis } from "./analysis";
+import { extractTables } from "./tableExtraction";
+import analysis from "./analyses/maersk-q2-2025.json";
+
+const selection = {
+  document: "maersk-q2-2025",
+  page: 15,
+  quote: "Gain on sale of non-current assets, etc , net 25 208",
+  areas: [{ leftPct: 0.14, topPct: 0.47, widthPct: 0.7, heightPct: 0.014 }],
+};
+
+test("authored citations get a free id and the label of their [n] marker", () => {
+  expect(nextCitationId([{ id: "cite-1" }, { id: "cite-3" }])).toBe("cite-2");
+  const citation = citationFromSelection(selection, analysis.citations);
+  expect(citation).toEqual({ id: "cite-1", label: "[4]", ...selection });
+});
+
+test("a table cell becomes a citation of its value within the cell", () => {
+  const item = (str, x, y) => ({ str, transform: [8, 0, 0, 8, x, y], width: str.length * 4.4, height: 8 });
+  const [table] = extractTables([
+    item("2025", 200, 500),
+    item("2024", 260, 500),
+    item("Revenue", 60, 486),
+    item("13,130", 200, 486),
+    item("(208)", 260, 486),
+    item("Tax", 60, 472),
+    item("95", 200, 472),
+    item("143", 260, 472),
+  ]);
+  const view = [0, 0, 600, 800];
+  const citation = citationFromCell({ document: "doc", page: 15, view, table, row: 1, column: 2 }, analysis.citations);
+  expect(citation).toMatchObject({
+    id: "cite-1",
+    page: 15,
+    quote: "(208)",
+    label: "[4]",
+    cell: { row: "Revenue", column: "2024", value: -208 },
+  });
+  expect(citation.areas).toHaveLength(1);
+  expect(citation.areas[0].leftPct).toBeCloseTo(260 / 600);
+  expect(validateAnalysis(mergeCitations(analysis, [citation], [{ id: "doc", url: "doc.pdf" }]))).toEqual([]);
+});
+
+test("merging keeps the analysis valid and replaces entries by id", () => {
+  const citation = citationFromSelection(selection, analysis.citations);
+  const doc = { id: "upload", url: "upload.pdf", title: "Upload" };
+  const other = { ...citationFromSelection({ ...selection, document: "upload" }, analysis.citations), id: "cite-2" };
+  const merged = mergeCitations(analysis, [citation, other], [doc]);
+  expect(validateAnalysis(merged)).toEqual([]);
+  expect(merged.citations).toHaveLength(5);
+  expect(merged.documents.map((d) => d.id)).toEqual(["maersk-q2-2025", "upload"]);
+
+  const edited = mergeCitations(merged, [{ ...citation, quote: "Gain on sale" }]);
+  expect(edited.citations).toHaveLength(5);
+  expect(edited.citations[3].quote).toBe("Gain on sale");
+});
+
+test("citation sets round-trip through JSON with only the documents they use", () => {
+  const citation = citationFromSelection(selection, analysis.citations);
+  const set = buildCitationSet([citation], [...analysis.documents, { id: "unused", url: "x.pdf" }]);
+  expect(set.documents).toEqual(analysis.documents);
+  expect(parseCitationSet(JSON.stringify(set))).toEqual({ documents: analysis.documents, citations: [citation] });
+});
+
+test("broken citation sets are rejected with their problems", () => {
+  expect(() => parseCitationSet("{")).toThrow(/not valid JSON/);
+  expect(() => parseCitationSet("[]")).toThrow("citation set must be a JSON object");
+  const bad = { version: 2, citations: [{ id: "c", document: "d", page: 0, quote: "q", areas: [{ leftPct: 2 }] }] };
+  expect(() => parseCitationSet(JSON.stringify(bad))).toThrow(
+    'unsupported version 2 (expected 1); citation "c": page must be a positive integer; citation "c": areas must be a list of { leftPct, topPct, widthPct, heightPct } fractions'
+  );
+});
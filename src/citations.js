@@ -0,0 +1,120 @@
+/*
+  Citation model
+  - A citation points at a quote on a page of a document
+  - Everything that links into the PDF (header pills, [n] buttons, fallback
+    overlay) reads from these entries instead of branching on ids
+  - Citation sets ship inside an analysis (see analysis.js)
+
+  Shape:
+    {
+      id:       "p3",                       // unique, referenced by the analysis
+      document: "maersk-q2-2025",           // source document id
+      page:     3,                          // 1-based page number
+      quote:    "EBITDA of USD 2.3",        // text searched on the page
+      label:    "[1]",                      // short label shown on buttons
+      excerpt:  "EBITDA of USD 2.3 bn ...", // optional tooltip text
+      box:      { topPct, leftPct, widthPct, heightPx, borderRadius }, // optional fallback overlay
+      areas:    [{ leftPct, topPct, widthPct, heightPct }], // optional, selected lines as fractions
+                                                          // of the unrotated page (authored citations)
+      cell:     { row, column, value },     // optional, a table cell: row label, column header and
+                                            // figure; the quote only counts inside `areas`
+      tolerance: 0.2,                       // optional share of quote characters that may differ
+      numeric:  true                        // optional, false compares figures as plain text
+    }
+*/
+
+const isPct = (v) => typeof v === "number" && v >= 0 && v <= 1;
+
+// Returns a list of human-readable problems with a single citation.
+// Page range is only checked once the page count is known: `numPages` applies to
+// every citation, `pageCounts` ({ documentId: numPages }) to each citation's document.
+export function validateCitation(citation, { numPages, pageCounts } = {}) {
+  const errors = [];
+  if (!citation || typeof citation !== "object") return ["citation must be an object"];
+  if (numPages == null && pageCounts) numPages = pageCounts[citation.document];
+
+  const name = citation.id ? `citation "${citation.id}"` : "citation";
+  if (!citation.id || typeof citation.id !== "string") errors.push(`${name}: missing id`);
+  if (!citation.document || typeof citation.document !== "string") errors.push(`${name}: missing document`);
+  if (typeof citation.quote !== "string" || !citation.quote.trim()) errors.push(`${name}: missing quote`);
+  if (!Number.isInteger(citation.page) || citation.page < 1) {
+    errors.push(`${name}: page must be a positive integer`);
+  } else if (numPages && citation.page > numPages) {
+    errors.push(`${name}: page ${citation.page} does not exist (document has ${numPages} pages)`);
+  }
+
+  if (citation.tolerance != null && !isPct(citation.tolerance)) {
+    errors.push(`${name}: tolerance must be between 0 and 1`);
+  }
+
+  if (citation.numeric != null && typeof citation.numeric !== "boolean") {
+    errors.push(`${name}: numeric must be true or false`);
+  }
+
+  if (citation.areas != null) {
+    const valid =
+      Array.isArray(citation.areas) &&
+      citation.areas.every((a) => a && [a.leftPct, a.topPct, a.widthPct, a.heightPct].every(isPct));
+    if (!valid) errors.push(`${name}: areas must be a list of { leftPct, topPct, widthPct, heightPct } fractions`);
+  }
+
+  const cell = citation.cell;
+  if (cell != null) {
+    const valid =
+      typeof cell === "object" &&
+      typeof cell.row === "string" &&
+      typeof cell.column === "string" &&
+      (cell.value == null || typeof cell.value === "number");
+    if (!valid) errors.push(`${name}: cell must be { row, column, value } with a numeric or empty value`);
+    else if (!citation.areas || !citation.areas.length) errors.push(`${name}: a cell citation needs the cell's areas`);
+  }
+
+  const box = citation.box;
+  if (box != null) {
+    if (!isPct(box.topPct) || !isPct(box.leftPct) || !isPct(box.widthPct)) {
+      errors.push(`${name}: box topPct/leftPct/widthPct must be between 0 and 1`);
+    }
+    if (typeof box.heightPx !== "number" || box.heightPx <= 0) {
+      errors.push(`${name}: box heightPx must be a positive number`);
+    }
+  }
+  return errors;
+}
+
+// quoteMatcher options for a citation (undefined fields fall back to the defaults)
+export function citationMatchOptions(citation) {
+  const options = {};
+  if (citation.tolerance != null) options.maxErrorRate = citation.tolerance;
+  if (citation.numeric != null) options.numeric = citation.numeric;
+  return options;
+}
+
+// Validates a whole citation set, including duplicate ids.
+export function validateCitations(citations, options = {}) {
+  if (!Array.isArray(citations)) return ["citations must be an array"];
+  const errors = [];
+  const seen = new Set();
+  citations.forEach((c) => {
+    errors.push(...validateCitation(c, options));
+    if (c && c.id) {
+      if (seen.has(c.id)) errors.push(`citation "${c.id}": duplicate id`);
+      seen.add(c.id);
+    }
+  });
+  return errors;
+}
+
+export function findCitation(citations, id) {
+  return (citations || []).find((c) => c.id === id) || null;
+}
+
+// Label used on buttons; falls back to the id so new citations never render blank.
+export function citationLabel(citation) {
+  if (!citation) return "[?]";
+  return citation.label || `[${citation.id}]`;
+}
+
+// What assistive technology reads for a citation button: label, page and quote
+export function citationDescription(citation) {
+  return `Citation ${citationLabel(citation)}, page ${citation.page}: “${citation.quote}”`;
+}
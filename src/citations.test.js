@@ -0,0 +1,53 @@
+import { findCitation, citationDescription, citationLabel, validateCitation, validateCitations } from "./citations";
+import analysis from "./analyses/maersk-q2-2025.json";
+
+const CITATIONS = analysis.citations;
+
+test("default citations are valid against the bundled report", () => {
+  expect(validateCitations(CITATIONS, { numPages: 40 })).toEqual([]);
+});
+
+test("citations pointing past the last page are reported", () => {
+  const c = { id: "x", document: "doc", page: 99, quote: "EBITDA" };
+  expect(validateCitation(c, { numPages: 20 })).toEqual([
+    'citation "x": page 99 does not exist (document has 20 pages)',
+  ]);
+});
+
+test("page counts are looked up per document", () => {
+  const c = { id: "y", document: "q2-2024", page: 30, quote: "EBITDA" };
+  expect(validateCitation(c, { pageCounts: { "q2-2024": 40 } })).toEqual([]);
+  expect(validateCitation(c, { pageCounts: { "q2-2024": 20 } })).toHaveLength(1);
+  expect(validateCitation(c, { pageCounts: {} })).toEqual([]);
+});
+
+test("missing fields and duplicate ids are reported", () => {
+  const errors = validateCitations([
+    { id: "a", document: "doc", page: 1, quote: "q" },
+    { id: "a", document: "doc", page: 0, quote: "" },
+  ]);
+  expect(errors).toContain('citation "a": duplicate id');
+  expect(errors).toContain('citation "a": page must be a positive integer');
+  expect(errors).toContain('citation "a": missing quote');
+});
+
+test("table cell citations need a row, a column and the cell's area", () => {
+  const area = { leftPct: 0.4, topPct: 0.5, widthPct: 0.05, heightPct: 0.01 };
+  const c = { id: "c", document: "doc", page: 15, quote: "25", areas: [area] };
+  expect(validateCitation({ ...c, cell: { row: "Gain on sale", column: "Q2 2025", value: 25 } })).toEqual([]);
+  expect(validateCitation({ ...c, cell: { row: "Gain on sale", column: "Q2 2025", value: "25" } })).toEqual([
+    'citation "c": cell must be { row, column, value } with a numeric or empty value',
+  ]);
+  expect(validateCitation({ ...c, areas: undefined, cell: { row: "Tax", column: "", value: null } })).toEqual([
+    'citation "c": a cell citation needs the cell\'s areas',
+  ]);
+});
+
+test("lookup and labels", () => {
+  expect(findCitation(CITATIONS, "p5").page).toBe(5);
+  expect(findCitation(CITATIONS, "nope")).toBeNull();
+  expect(citationLabel({ id: "extra" })).toBe("[extra]");
+  expect(citationDescription({ id: "p3", page: 3, quote: "EBITDA of USD 2.3", label: "[1]" })).toBe(
+    "Citation [1], page 3: “EBITDA of USD 2.3”"
+  );
+});
@@ -0,0 +1,47 @@
+/*
+  Deep links in the URL hash
+    #page=15                    page of the active document
+    #cite=p15                   citation of the analysis (opens its document)
+    #search=EBITDA              search in the active document
+    #hl=15:72,400.5,250,410     rectangle on a page, PDF user space [x1, y1, x2, y2]
+  Keys combine with "&" (e.g. #page=3&search=EBITDA); unknown or malformed
+  values are ignored. A link is { page, cite, search, hl: { page, rect } } with
+  only the keys present.
+*/
+
+const positiveInteger = (value) => (/^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null);
+
+function parseRect(value) {
+  const m = /^(\d+):(.+)$/.exec(value);
+  if (!m) return null;
+  const page = positiveInteger(m[1]);
+  const rect = m[2].split(",").map(Number);
+  if (!page || rect.length !== 4 || !rect.every(Number.isFinite)) return null;
+  const [x1, y1, x2, y2] = rect;
+  if (x2 <= x1 || y2 <= y1) return null;
+  return { page, rect };
+}
+
+export function parseHash(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const link = {};
+  const page = positiveInteger(params.get("page") || "");
+  if (page) link.page = page;
+  if (params.get("cite")) link.cite = params.get("cite");
+  if (params.get("search")) link.search = params.get("search");
+  const hl = parseRect(params.get("hl") || "");
+  if (hl) link.hl = hl;
+  return link;
+}
+
+const round = (v) => Math.round(v * 10) / 10;
+
+// "#..." for a link, "" when it has nothing to point at
+export function formatHash(link) {
+  const parts = [];
+  if (link.cite) parts.push(`cite=${encodeURIComponent(link.cite)}`);
+  if (link.page) parts.push(`page=${link.page}`);
+  if (link.hl) parts.push(`hl=${link.hl.page}:${link.hl.rect.map(round).join(",")}`);
+  if (link.search) parts.push(`search=${encodeURIComponent(link.search)}`);
+  return parts.length ? `#${parts.join("&")}` : "";
+}
@@ -0,0 +1,26 @@
+import { formatHash, parseHash } from "./deepLink";
+
+test("page, citation, search and highlight links are parsed", () => {
+  expect(parseHash("#page=15")).toEqual({ page: 15 });
+  expect(parseHash("#cite=p15")).toEqual({ cite: "p15" });
+  expect(parseHash("#search=net%20debt")).toEqual({ search: "net debt" });
+  expect(parseHash("#hl=15:72,400.5,250,410")).toEqual({ hl: { page: 15, rect: [72, 400.5, 250, 410] } });
+  expect(parseHash("#page=3&search=EBITDA")).toEqual({ page: 3, search: "EBITDA" });
+});
+
+test("malformed values are ignored", () => {
+  expect(parseHash("")).toEqual({});
+  expect(parseHash("#page=0&cite=")).toEqual({});
+  expect(parseHash("#page=2.5")).toEqual({});
+  expect(parseHash("#hl=15:72,400")).toEqual({});
+  expect(parseHash("#hl=15:250,400,72,410")).toEqual({});
+  expect(parseHash("#hl=x:1,2,3,4&foo=bar")).toEqual({});
+});
+
+test("links round-trip through the hash", () => {
+  const link = { cite: "p 15", search: "EBITDA & margin" };
+  expect(formatHash(link)).toBe("#cite=p%2015&search=EBITDA%20%26%20margin");
+  expect(parseHash(formatHash(link))).toEqual(link);
+  expect(formatHash({ hl: { page: 15, rect: [72.04, 400.46, 250, 410] } })).toBe("#hl=15:72,400.5,250,410");
+  expect(formatHash({})).toBe("");
+});
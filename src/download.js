@@ -0,0 +1,19 @@
+/*
+  Save generated content (exports) as a file through a temporary link
+*/
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "Maersk Q2 2025 Interim Report" -> "Maersk-Q2-2025-Interim-Report"
+export const fileStem = (title) =>
+  (title || "document").replace(/\.pdf$/i, "").replace(/[^\w.-]+/g, "-").replace(/^-+|-+$/g, "") || "document";
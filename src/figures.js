@@ -0,0 +1,176 @@
+import { normalizeWithMap } from "./textSearch";
+
+/*
+  Numeric-aware matching for financial figures
+  Text and quote are split into word and figure tokens; figures compare by value,
+  so the formats reports use for the same number all match each other:
+    "2,298"  "2 298"  "2298"            thousands separators / spacing in cells
+    "(208)"  "-208"                     parenthesised negatives; "208" is a different figure
+    "USD 2.3 bn"  "USD 2.3bn"  "2,298m" currency codes and m / bn units
+  Punctuation between words is ignored ("etc.," vs "etc , net").
+  A sign that differs is a mismatch: a quote citing "(208)" for a printed "208"
+  is exactly the error a check should catch. A quote may round the figure it
+  cites ("2.3bn" for "2,298m"); that only lowers the confidence.
+*/
+
+export const FIGURE_CONFIDENCE = 0.95;
+const ROUNDED_PENALTY = 0.05;
+const MAX_GROUPS = 4; // "1 234 567 890"
+
+const UNITS = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, bn: 1e9, billion: 1e9, "%": 1 };
+const CURRENCY_SYMBOLS = { $: "usd", "€": "eur", "£": "gbp" };
+const PERIOD_LABEL = /^(Q[1-4]|H[12]|\d{1,2}M|FY)$/i; // "Q2", "6M", "12M" before a year
+
+// Column headers name periods, not amounts: "6M" is six months, not 6 million
+export const isPeriodLabel = (text) => PERIOD_LABEL.test((text || "").trim());
+
+// ( -  1,234  .5  )  unit
+const TOKEN_RE =
+  /(\()?(-)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(\))?(?: ?(bn|billion|mn|million|thousand|m|k|%)(?![\p{L}\p{N}]))?|[$€£]|[\p{L}\p{N}]+/gu;
+
+/*
+  Word and figure tokens of `text`, with { start, end } offsets in the original text.
+  Figures: { kind: "figure", digits, decimals, negative, unit, value }
+*/
+export function tokenizeFigures(text) {
+  const { norm, map } = normalizeWithMap(text || "");
+  const tokens = [];
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(norm)) !== null) {
+    const [raw, openParen, minus, intPart, fraction, closeParen, unit] = m;
+    const span = { start: map[m.index], end: map[m.index + raw.length - 1] + 1, normStart: m.index };
+    if (intPart === undefined) {
+      tokens.push({ kind: "word", word: CURRENCY_SYMBOLS[raw] || raw, ...span });
+      continue;
+    }
+    const digits = intPart.replace(/,/g, "");
+    const decimals = fraction ? fraction.slice(1) : "";
+    tokens.push({
+      kind: "figure",
+      digits,
+      decimals,
+      negative: Boolean(minus) || Boolean(openParen && closeParen),
+      unit: unit || null,
+      grouped: intPart.includes(","),
+      value: Number(`${digits}.${decimals || 0}`),
+      ...span,
+      normEnd: m.index + raw.length,
+    });
+  }
+  return tokens;
+}
+
+const roundTo = (value, places) => Number(value.toFixed(places));
+const nearlyEqual = (a, b) => Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(a));
+
+/*
+  Whether text figure `actual` is the figure the quote cites as `quoted`.
+  Returns null, or { rounded }. Figures of opposite sign never match.
+*/
+export function sameFigure(quoted, actual) {
+  if (quoted.kind !== "figure" || actual.kind !== "figure") return null;
+  const percent = (t) => t.unit === "%";
+  if (quoted.unit && actual.unit && percent(quoted) !== percent(actual)) return null;
+  if (quoted.negative !== actual.negative) return null;
+
+  // compare in the quote's unit when both carry one; otherwise as printed
+  let value = actual.value;
+  if (quoted.unit && actual.unit) value = (actual.value * UNITS[actual.unit]) / UNITS[quoted.unit];
+  if (nearlyEqual(value, quoted.value)) return { rounded: false };
+  if (nearlyEqual(roundTo(value, quoted.decimals.length), quoted.value)) return { rounded: true };
+  return null;
+}
+
+/*
+  One figure from consecutive digit groups split by single spaces ("2 298"),
+  or null. Only the first group may be shorter than three digits.
+*/
+function joinGroups(tokens, index, count) {
+  const parts = tokens.slice(index, index + count);
+  if (parts.length < count) return null;
+  for (let i = 0; i < count; i++) {
+    const t = parts[i];
+    if (t.kind !== "figure" || t.grouped) return null;
+    if (i < count - 1 && (t.decimals || t.unit || t.normEnd + 1 !== parts[i + 1].normStart)) return null;
+    if (i > 0 && (t.digits.length !== 3 || t.negative)) return null;
+  }
+  if (parts[0].digits.length > 3) return null;
+  const last = parts[count - 1];
+  const digits = parts.map((t) => t.digits).join("");
+  return {
+    ...last,
+    digits,
+    negative: parts[0].negative || last.negative,
+    value: Number(`${digits}.${last.decimals || 0}`),
+    start: parts[0].start,
+    normStart: parts[0].normStart,
+  };
+}
+
+// Quote tokens aligned with text tokens from `from`: { end, confidence } or null
+function alignAt(quoteTokens, textTokens, from) {
+  let j = from;
+  let confidence = FIGURE_CONFIDENCE;
+  let end = -1;
+  const penalise = (same) => {
+    if (same.rounded) confidence -= ROUNDED_PENALTY;
+  };
+
+  for (let i = 0; i < quoteTokens.length; i++) {
+    const q = quoteTokens[i];
+    const t = textTokens[j];
+    if (!t) return null;
+    if (q.kind === "word") {
+      if (t.kind !== "word" || t.word !== q.word) return null;
+      end = t.end;
+      j += 1;
+      continue;
+    }
+
+    let same = sameFigure(q, t);
+    let used = 1;
+    // "2,298" in the quote, "2 298" in the text
+    for (let n = 2; !same && n <= MAX_GROUPS; n++) {
+      const joined = joinGroups(textTokens, j, n);
+      same = joined && sameFigure(q, joined);
+      used = n;
+    }
+    if (same) {
+      penalise(same);
+      end = textTokens[j + used - 1].end;
+      j += used;
+      continue;
+    }
+    // "2 298" in the quote, "2,298" in the text
+    for (let n = 2; !same && n <= MAX_GROUPS; n++) {
+      const joined = joinGroups(quoteTokens, i, n);
+      same = joined && sameFigure(joined, t);
+      used = n;
+    }
+    if (!same) return null;
+    penalise(same);
+    end = t.end;
+    i += used - 1;
+    j += 1;
+  }
+  return { end, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/*
+  Find `quote` in `text` comparing figures by value.
+  Returns [{ start, end, confidence }] in original text offsets, best first.
+*/
+export function matchFigures(text, quote) {
+  const quoteTokens = tokenizeFigures(quote);
+  if (!quoteTokens.some((t) => t.kind === "figure")) return [];
+  const textTokens = tokenizeFigures(text);
+  const matches = [];
+  for (let j = 0; j < textTokens.length; j++) {
+    const aligned = alignAt(quoteTokens, textTokens, j);
+    if (!aligned) continue;
+    matches.push({ start: textTokens[j].start, end: aligned.end, confidence: aligned.confidence });
+    while (j + 1 < textTokens.length && textTokens[j + 1].start < aligned.end) j += 1;
+  }
+  return matches.sort((a, b) => b.confidence - a.confidence);
+}
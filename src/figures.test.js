@@ -0,0 +1,52 @@
+import { matchFigures, sameFigure, tokenizeFigures } from "./figures";
+import { matchQuote } from "./quoteMatcher";
+
+const figure = (text) => tokenizeFigures(text).find((t) => t.kind === "figure");
+const slice = (text, m) => text.slice(m.start, m.end);
+
+test("figures parse separators, signs and units", () => {
+  expect(figure("2,298")).toMatchObject({ value: 2298, negative: false, unit: null });
+  expect(figure("(208)")).toMatchObject({ value: 208, negative: true });
+  expect(figure("−111")).toMatchObject({ value: 111, negative: true });
+  expect(figure("USD 2.3 bn")).toMatchObject({ value: 2.3, decimals: "3", unit: "bn" });
+  expect(figure("141m")).toMatchObject({ value: 141, unit: "m" });
+  expect(tokenizeFigures("$ 5").map((t) => t.word || t.value)).toEqual(["usd", 5]);
+});
+
+test("same figure across formats, units and rounding", () => {
+  expect(sameFigure(figure("2,298"), figure("2298"))).toEqual({ rounded: false });
+  expect(sameFigure(figure("(208)"), figure("-208"))).toEqual({ rounded: false });
+  expect(sameFigure(figure("2.3bn"), figure("2,298m"))).toEqual({ rounded: true });
+  expect(sameFigure(figure("2.3bn"), figure("2.3m"))).toBeNull();
+  expect(sameFigure(figure("8%"), figure("8m"))).toBeNull();
+  expect(sameFigure(figure("2,298"), figure("2,144"))).toBeNull();
+});
+
+test("a figure of the opposite sign is a different figure", () => {
+  expect(sameFigure(figure("(208)"), figure("208"))).toBeNull();
+  expect(sameFigure(figure("208"), figure("-208"))).toBeNull();
+  expect(sameFigure(figure("-2.3bn"), figure("2,298m"))).toBeNull();
+  const text = "Gain on sale of non-current assets, etc , net 25 208 80";
+  expect(matchFigures(text, "Gain on sale of non-current assets, etc., net 25 (208)")).toEqual([]);
+  expect(matchQuote(text, "net 25 (208)").method).not.toBe("numeric");
+});
+
+test("table rows match with spacing inside cells and parenthesised figures", () => {
+  const text = "Gain on sale of non-current assets, etc , net 25 (208) 80\nShare of profit 173 92";
+  const [match] = matchFigures(text, "Gain on sale of non-current assets, etc., net 25 -208");
+  expect(slice(text, match)).toBe("Gain on sale of non-current assets, etc , net 25 (208)");
+  expect(match.confidence).toBe(0.95);
+
+  const cells = "losses, etc. (EBITDA) 2 298 2 144 5 008";
+  expect(slice(cells, matchFigures(cells, "(EBITDA) 2,298 2,144")[0])).toBe("EBITDA) 2 298 2 144");
+  expect(matchFigures("EBITDA 2,298", "EBITDA 2 298")).toHaveLength(1);
+  expect(matchFigures("EBITDA 2,144", "EBITDA 2,298")).toEqual([]);
+});
+
+test("quote matcher falls back to figures only when allowed", () => {
+  const text = "EBITDA of USD 2,298m (USD 2,144m)";
+  expect(matchQuote(text, "EBITDA of USD 2.3 bn")).toMatchObject({ method: "numeric", confidence: 0.9 });
+  expect(matchQuote(text, "EBITDA of USD 2.3 bn", { numeric: false }).method).not.toBe("numeric");
+  // plain spacing differences never reach the figure pass
+  expect(matchQuote("USD 2.3bn", "USD 2.3 bn").method).toBe("compact");
+});
@@ -0,0 +1,58 @@
+/*
+  Document outline (bookmarks)
+  pdf.getOutline() entries carry destinations that still have to be resolved:
+  named ("section-2", looked up with pdf.getDestination) or explicit
+  ([pageRef | pageIndex, { name: "XYZ" }, left, top, zoom]). resolveOutline
+  turns the tree into
+    { title, page, top, bold, italic, items: [...] }
+  `top` is the y the destination puts at the top of the view, in PDF user space
+  (null: top of the page); `page` is null for entries that lead nowhere in the
+  document (web links, broken destinations).
+*/
+
+const numberOrNull = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+// y coordinate an explicit destination shows at the top of the view
+export function destinationTop(dest) {
+  if (!Array.isArray(dest) || !dest[1]) return null;
+  switch (dest[1].name) {
+    case "XYZ":
+      return numberOrNull(dest[3]);
+    case "FitH":
+    case "FitBH":
+      return numberOrNull(dest[2]);
+    case "FitR":
+      return numberOrNull(dest[5]);
+    default:
+      return null;
+  }
+}
+
+// { page, top } for a destination, or null when it does not resolve to a page
+export async function resolveDestination(pdf, dest) {
+  const explicit = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+  if (!Array.isArray(explicit) || explicit[0] == null) return null;
+  const [target] = explicit;
+  const pageIndex = Number.isInteger(target) ? target : await pdf.getPageIndex(target);
+  if (!Number.isInteger(pageIndex) || pageIndex < 0 || pageIndex >= pdf.numPages) return null;
+  return { page: pageIndex + 1, top: destinationTop(explicit) };
+}
+
+async function resolveItem(pdf, item) {
+  const target = item.dest ? await resolveDestination(pdf, item.dest).catch(() => null) : null;
+  return {
+    title: item.title || "Untitled",
+    page: target ? target.page : null,
+    top: target ? target.top : null,
+    bold: Boolean(item.bold),
+    italic: Boolean(item.italic),
+    items: await Promise.all((item.items || []).map((child) => resolveItem(pdf, child))),
+  };
+}
+
+// Resolved outline of a pdf.js document; [] when it has none
+export async function resolveOutline(pdf) {
+  const outline = await pdf.getOutline();
+  if (!outline) return [];
+  return Promise.all(outline.map((item) => resolveItem(pdf, item)));
+}
@@ -0,0 +1,56 @@
+import { destinationTop, resolveOutline } from "./outline";
+
+const pageRef = (num) => ({ num, gen: 0 });
+
+// the parts of a pdf.js document resolveOutline uses
+const fakePdf = (outline, destinations = {}) => ({
+  numPages: 20,
+  getOutline: async () => outline,
+  getDestination: async (name) => destinations[name] || null,
+  getPageIndex: async (ref) => {
+    if (ref.num > 100) throw new Error("Invalid page reference");
+    return ref.num - 10;
+  },
+});
+
+test("destination types give the y shown at the top", () => {
+  expect(destinationTop([pageRef(1), { name: "XYZ" }, 72, 700, null])).toBe(700);
+  expect(destinationTop([pageRef(1), { name: "FitH" }, 540])).toBe(540);
+  expect(destinationTop([pageRef(1), { name: "FitR" }, 50, 100, 300, 620])).toBe(620);
+  expect(destinationTop([pageRef(1), { name: "XYZ" }, null, null, 0])).toBeNull();
+  expect(destinationTop([pageRef(1), { name: "Fit" }])).toBeNull();
+});
+
+test("named and explicit destinations resolve to pages", async () => {
+  const pdf = fakePdf(
+    [
+      {
+        title: "Highlights",
+        bold: true,
+        dest: "highlights",
+        items: [{ title: "Income statement", dest: [pageRef(24), { name: "XYZ" }, 0, 612, null], items: [] }],
+      },
+      { title: "Website", url: "https://example.com", dest: null, items: [] },
+      { title: "Broken", dest: [pageRef(500), { name: "Fit" }], items: [] },
+      { title: "By index", dest: [2, { name: "FitH" }, 400], items: [] },
+    ],
+    { highlights: [pageRef(12), { name: "Fit" }] }
+  );
+  expect(await resolveOutline(pdf)).toEqual([
+    {
+      title: "Highlights",
+      page: 3,
+      top: null,
+      bold: true,
+      italic: false,
+      items: [{ title: "Income statement", page: 15, top: 612, bold: false, italic: false, items: [] }],
+    },
+    { title: "Website", page: null, top: null, bold: false, italic: false, items: [] },
+    { title: "Broken", page: null, top: null, bold: false, italic: false, items: [] },
+    { title: "By index", page: 3, top: 400, bold: false, italic: false, items: [] },
+  ]);
+});
+
+test("documents without an outline", async () => {
+  expect(await resolveOutline(fakePdf(null))).toEqual([]);
+});
@@ -0,0 +1,52 @@
+/*
+  Screen reader structure of the viewer's pages (see PdfViewer.js)
+  - Every page is a region labelled "Page n of N", so screen readers can list and
+    jump between pages
+  - The text layer is what a page reads as: its spans hold the page text in content
+    order. Once a page has text its canvas is hidden from screen readers; a page
+    without readable text (scans, read errors) keeps the canvas as a labelled image
+  - A shown highlight is a mark that takes focus (not in the tab order); clearing it
+    hands focus back to the pages container
+  - PageUp / PageDown / Home / End step through pages; the page reached is announced
+*/
+
+export const pageRegionLabel = (pageNumber, numPages) => `Page ${pageNumber} of ${numPages}`;
+
+export function labelPage(pageContainer, pageNumber, numPages) {
+  pageContainer.setAttribute("role", "region");
+  pageContainer.setAttribute("aria-label", pageRegionLabel(pageNumber, numPages));
+}
+
+// `readable`: the page's text layer holds its text
+export function exposePageText(canvas, pageNumber, readable) {
+  if (readable) {
+    canvas.removeAttribute("role");
+    canvas.removeAttribute("aria-label");
+    canvas.setAttribute("aria-hidden", "true");
+  } else {
+    canvas.removeAttribute("aria-hidden");
+    canvas.setAttribute("role", "img");
+    canvas.setAttribute("aria-label", `Page ${pageNumber}, no readable text`);
+  }
+}
+
+// Make a highlight a focusable mark described by `label` and move focus to it
+export function focusMark(highlight, label, { focus = true } = {}) {
+  highlight.tabIndex = -1;
+  highlight.setAttribute("role", "mark");
+  highlight.setAttribute("aria-label", label);
+  if (focus) highlight.focus({ preventScroll: true });
+}
+
+// Before marks in `container` are removed: a focused one hands focus back to the container
+export function releaseMarkFocus(container) {
+  const active = container.ownerDocument.activeElement;
+  if (active?.getAttribute("role") === "mark" && container.contains(active)) container.focus({ preventScroll: true });
+}
+
+// Page a page key moves to from `current`, or null for other keys
+export function pageKeyTarget(key, current, numPages) {
+  const target = { PageUp: current - 1, PageDown: current + 1, Home: 1, End: numPages }[key];
+  if (target === undefined || !numPages) return null;
+  return Math.min(numPages, Math.max(1, target));
+}
@@ -0,0 +1,96 @@
+import {
+  exposePageText,
+  focusMark,
+  labelPage,
+  pageKeyTarget,
+  pageRegionLabel,
+  releaseMarkFocus,
+} from "./pageAccessibility";
+
+// a pages container with one page as PdfViewer builds it: canvas, text layer, highlight
+function buildPage(pageNumber, numPages, text) {
+  const container = document.createElement("div");
+  container.tabIndex = 0;
+  const page = document.createElement("div");
+  labelPage(page, pageNumber, numPages);
+  const canvas = document.createElement("canvas");
+  const textLayer = document.createElement("div");
+  text.forEach((str) => {
+    const span = document.createElement("span");
+    span.textContent = str;
+    textLayer.appendChild(span);
+  });
+  exposePageText(canvas, pageNumber, text.length > 0);
+  const highlight = document.createElement("div");
+  page.append(canvas, textLayer, highlight);
+  container.appendChild(page);
+  document.body.appendChild(container);
+  return { container, page, canvas, highlight };
+}
+
+afterEach(() => {
+  document.body.innerHTML = "";
+});
+
+test("pages are regions labelled with their number and the page count", () => {
+  const { page, canvas } = buildPage(15, 25, ["Condensed income statement", "Revenue"]);
+  expect(page.getAttribute("role")).toBe("region");
+  expect(page.getAttribute("aria-label")).toBe("Page 15 of 25");
+  // the page reads as its text; the picture of it is not announced as well
+  expect(page.textContent).toBe("Condensed income statementRevenue");
+  expect(canvas.getAttribute("aria-hidden")).toBe("true");
+  expect(canvas.hasAttribute("role")).toBe(false);
+});
+
+test("a page without readable text is a labelled image", () => {
+  const { canvas } = buildPage(3, 25, []);
+  expect(canvas.getAttribute("role")).toBe("img");
+  expect(canvas.getAttribute("aria-label")).toBe("Page 3, no readable text");
+  expect(canvas.hasAttribute("aria-hidden")).toBe(false);
+  exposePageText(canvas, 3, true);
+  expect(canvas.getAttribute("aria-hidden")).toBe("true");
+  expect(canvas.hasAttribute("aria-label")).toBe(false);
+});
+
+test("focus goes from the pages to a shown highlight and back when it is cleared", () => {
+  const { container, highlight } = buildPage(15, 25, ["Revenue"]);
+  container.focus();
+  expect(document.activeElement).toBe(container);
+
+  focusMark(highlight, "[3] page 15: Gain on sale of non-current assets");
+  expect(document.activeElement).toBe(highlight);
+  expect(highlight.getAttribute("role")).toBe("mark");
+  expect(highlight.getAttribute("aria-label")).toBe("[3] page 15: Gain on sale of non-current assets");
+  // reachable by focus, not by Tab: the tab order stays pages container, then the panels
+  expect(highlight.tabIndex).toBe(-1);
+  expect([...document.querySelectorAll("[tabindex]")].filter((el) => el.tabIndex >= 0)).toEqual([container]);
+
+  releaseMarkFocus(container);
+  highlight.remove();
+  expect(document.activeElement).toBe(container);
+});
+
+test("a highlight in a background viewer does not take focus", () => {
+  const { container, highlight } = buildPage(2, 25, ["Revenue"]);
+  container.focus();
+  focusMark(highlight, "[1] page 2: Revenue", { focus: false });
+  expect(highlight.getAttribute("role")).toBe("mark");
+  expect(document.activeElement).toBe(container);
+  // focus elsewhere is left alone when the marks go
+  const other = document.createElement("button");
+  document.body.appendChild(other);
+  other.focus();
+  releaseMarkFocus(container);
+  expect(document.activeElement).toBe(other);
+});
+
+test("page keys step through pages and announce the page reached", () => {
+  expect(pageKeyTarget("PageDown", 1, 25)).toBe(2);
+  expect(pageKeyTarget("PageUp", 1, 25)).toBe(1);
+  expect(pageKeyTarget("PageDown", 25, 25)).toBe(25);
+  expect(pageKeyTarget("Home", 15, 25)).toBe(1);
+  expect(pageKeyTarget("End", 15, 25)).toBe(25);
+  expect(pageKeyTarget("ArrowDown", 15, 25)).toBeNull();
+  expect(pageKeyTarget("End", 1, 0)).toBeNull();
+  expect(pageRegionLabel(pageKeyTarget("End", 15, 25), 25)).toBe("Page 25 of 25");
+});
@@ -0,0 +1,132 @@
+import { PDFDocument } from "pdf-lib";
+import { fromPdfRect } from "./textGeometry";
+
+/*
+  Printing and exporting pages with their marks burned in
+  - parsePages: a page list such as "1-3, 7" checked against the page count
+  - drawMarks: citation highlights and annotations (marks, see pdfAnnotations.js)
+    painted onto a page rendered into a canvas
+  - footerText / drawFooter: document name, page and the citations shown on it,
+    in a band under the page
+  - imagesToPdf: rendered pages (PNG) as a new PDF at their original size
+  - printImages: prints rendered pages from a hidden frame, without the app around them
+*/
+
+export const EXPORT_DPI = 150;
+export const FOOTER_HEIGHT = 20; // PDF points added under the page for the footer
+const HIGHLIGHT_OPACITY = 0.5; // as in the annotated PDF export
+const SQUARE_WIDTH = 2; // PDF points
+
+/*
+  "3", "1-3, 7", "all" -> ascending page numbers without duplicates. An empty
+  list means `current`; throws an Error naming what cannot be read.
+*/
+export function parsePages(text, numPages, current = 1) {
+  const spec = (text || "").trim().toLowerCase();
+  if (!spec) return [current];
+  if (spec === "all") return Array.from({ length: numPages }, (_, i) => i + 1);
+  const pages = new Set();
+  spec.split(/\s*,\s*/).forEach((part) => {
+    const m = /^(\d+)(?:\s*[-–]\s*(\d+))?$/.exec(part);
+    if (!m) throw new Error(`"${part}" is not a page or a range like 2-5`);
+    const from = Number(m[1]);
+    const to = m[2] ? Number(m[2]) : from;
+    if (from < 1 || to > numPages || from > to) {
+      throw new Error(`${part} is outside pages 1–${numPages}`);
+    }
+    for (let p = from; p <= to; p++) pages.add(p);
+  });
+  return [...pages].sort((a, b) => a - b);
+}
+
+// "Interim Report Q2 2025 · Page 15 · Citations: p15, ask-2"
+export function footerText({ title, page, citationIds = [] }) {
+  const parts = [title, `Page ${page}`];
+  if (citationIds.length) parts.push(`Citation${citationIds.length === 1 ? "" : "s"}: ${citationIds.join(", ")}`);
+  return parts.filter(Boolean).join(" · ");
+}
+
+// Paint `marks` (PDF space) onto a page rendered with `viewport`
+export function drawMarks(ctx, viewport, marks) {
+  marks.forEach((mark) =>
+    mark.rects.forEach((pdfRect) => {
+      const { left, top, width, height } = fromPdfRect(viewport, pdfRect);
+      ctx.save();
+      if (mark.type === "square") {
+        ctx.strokeStyle = mark.color;
+        ctx.lineWidth = SQUARE_WIDTH * viewport.scale;
+        ctx.strokeRect(left, top, width, height);
+      } else {
+        // multiply keeps the printed text readable under the colour
+        ctx.globalCompositeOperation = "multiply";
+        ctx.globalAlpha = HIGHLIGHT_OPACITY;
+        ctx.fillStyle = mark.color;
+        ctx.fillRect(left, top, width, height);
+      }
+      ctx.restore();
+    })
+  );
+}
+
+// Footer band of `height` px starting at `top`, text squeezed to fit the width
+export function drawFooter(ctx, text, { top, width, height }) {
+  ctx.save();
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, top, width, height);
+  ctx.fillStyle = "#374151";
+  ctx.font = `${Math.round(height * 0.5)}px sans-serif`;
+  ctx.textBaseline = "middle";
+  const margin = height * 0.6;
+  ctx.fillText(text, margin, top + height / 2, width - 2 * margin);
+  ctx.restore();
+}
+
+// PNG blob of a canvas
+export function canvasToPng(canvas) {
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("the page could not be encoded"))), "image/png")
+  );
+}
+
+// images: [{ png (bytes), width, height }] in pixels at `dpi`; one PDF page per image
+export async function imagesToPdf(images, dpi = EXPORT_DPI) {
+  const pdf = await PDFDocument.create();
+  for (const { png, width, height } of images) {
+    // eslint-disable-next-line no-await-in-loop
+    const image = await pdf.embedPng(png);
+    const size = [(width * 72) / dpi, (height * 72) / dpi];
+    pdf.addPage(size).drawImage(image, { x: 0, y: 0, width: size[0], height: size[1] });
+  }
+  return pdf.save();
+}
+
+// Print PNG blobs one per sheet from a hidden frame; the frame goes once printing is done
+export function printImages(blobs, title) {
+  const urls = blobs.map((blob) => URL.createObjectURL(blob));
+  const frame = document.createElement("iframe");
+  frame.setAttribute("aria-hidden", "true");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0";
+  document.body.appendChild(frame);
+  const doc = frame.contentDocument;
+  doc.title = title;
+  const style = doc.createElement("style");
+  style.textContent =
+    "@page { margin: 0 } body { margin: 0 } img { display: block; width: 100%; break-after: page } " +
+    "img:last-child { break-after: auto }";
+  doc.head.appendChild(style);
+  const images = urls.map((url) => {
+    const img = doc.createElement("img");
+    img.src = url;
+    doc.body.appendChild(img);
+    return img.decode().catch(() => {});
+  });
+  const cleanup = () => {
+    frame.remove();
+    urls.forEach((url) => URL.revokeObjectURL(url));
+  };
+  return Promise.all(images).then(() => {
+    frame.contentWindow.addEventListener("afterprint", () => setTimeout(cleanup, 0));
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  });
+}
@@ -0,0 +1,63 @@
+import { PDFDocument } from "pdf-lib";
+import { drawMarks, footerText, imagesToPdf, parsePages } from "./pageExport";
+
+test("page lists accept single pages, ranges and all", () => {
+  expect(parsePages("", 25, 4)).toEqual([4]);
+  expect(parsePages("3", 25)).toEqual([3]);
+  expect(parsePages("7, 1-3, 2", 25)).toEqual([1, 2, 3, 7]);
+  expect(parsePages("ALL", 3)).toEqual([1, 2, 3]);
+  expect(() => parsePages("2-30", 25)).toThrow("2-30 is outside pages 1–25");
+  expect(() => parsePages("first", 25)).toThrow('"first" is not a page or a range like 2-5');
+});
+
+test("the footer names the document, the page and the citations on it", () => {
+  expect(footerText({ title: "Interim Report Q2 2025", page: 15, citationIds: ["p15", "ask-2"] })).toBe(
+    "Interim Report Q2 2025 · Page 15 · Citations: p15, ask-2"
+  );
+  expect(footerText({ title: "Report", page: 3, citationIds: ["p3"] })).toBe("Report · Page 3 · Citation: p3");
+  expect(footerText({ title: "Report", page: 1 })).toBe("Report · Page 1");
+});
+
+test("marks are painted at their place on the rendered page", () => {
+  const calls = [];
+  const ctx = new Proxy(
+    {},
+    {
+      get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+      set: (target, name, value) => {
+        calls.push([name, value]);
+        return true;
+      },
+    }
+  );
+  // 2x viewport of a 600pt high page
+  const viewport = {
+    scale: 2,
+    convertToViewportRectangle: ([x1, y1, x2, y2]) => [x1 * 2, (600 - y1) * 2, x2 * 2, (600 - y2) * 2],
+  };
+  drawMarks(ctx, viewport, [
+    { type: "highlight", color: "#ffff00", rects: [[10, 500, 60, 510]] },
+    { type: "square", color: "#93c5fd", rects: [[100, 100, 200, 150]] },
+  ]);
+  expect(calls).toContainEqual(["fillRect", 20, 180, 100, 20]);
+  expect(calls).toContainEqual(["globalCompositeOperation", "multiply"]);
+  expect(calls).toContainEqual(["strokeRect", 200, 900, 200, 100]);
+  expect(calls).toContainEqual(["lineWidth", 4]);
+});
+
+test("rendered pages become a PDF at their printed size", async () => {
+  // 2x1 pixel PNG
+  const png = Uint8Array.from(
+    atob("iVBORw0KGgoAAAANSUhEUgAAAAIAAAABCAIAAAB7QOjdAAAADUlEQVR4nGP4zwAE/wEHAAH/4iOeWQAAAABJRU5ErkJggg=="),
+    (c) => c.charCodeAt(0)
+  );
+  const bytes = await imagesToPdf([
+    { png, width: 1240, height: 1754 },
+    { png, width: 1754, height: 1240 },
+  ]);
+  const pdf = await PDFDocument.load(bytes);
+  expect(pdf.getPages().map((p) => [p.getWidth(), p.getHeight()].map(Math.round))).toEqual([
+    [595, 842],
+    [842, 595],
+  ]);
+});
@@ -0,0 +1,48 @@
+/*
+  Page navigation
+  - Page labels come from pdf.getPageLabels(): one string per page (e.g. "i",
+    "ii", "1", ...) or null when the PDF defines none
+  - parsePageInput reads the jump-to-page box: a label first, then a page number
+  - pageInView picks the current page from the page boxes along the scroll axis
+*/
+
+// what the page is called in the document; its number when there are no labels
+export function pageLabel(pageNumber, labels) {
+  const label = labels && labels[pageNumber - 1];
+  return label ? label : String(pageNumber);
+}
+
+// Page number for what was typed, or null when it names no page
+export function parsePageInput(input, numPages, labels = null) {
+  const value = String(input || "").trim();
+  if (!value) return null;
+  if (labels) {
+    const index = labels.findIndex((l) => l && l.toLowerCase() === value.toLowerCase());
+    if (index >= 0) return index + 1;
+  }
+  if (!/^\d+$/.test(value)) return null;
+  const page = Number(value);
+  return page >= 1 && page <= numPages ? page : null;
+}
+
+/*
+  Current page for a scroll position: the page with most of its height on
+  screen, the earlier one on ties, and the last page once scrolled to the end.
+  pages: [{ pageNumber, top, height }] in scroll order.
+*/
+export function pageInView(pages, viewTop, viewHeight, scrollHeight) {
+  if (!pages.length) return 0;
+  if (viewTop > 0 && viewTop + viewHeight >= scrollHeight - 1) return pages[pages.length - 1].pageNumber;
+  const viewBottom = viewTop + viewHeight;
+  let best = pages[0].pageNumber;
+  let bestVisible = -1;
+  for (const { pageNumber, top, height } of pages) {
+    if (top >= viewBottom) break;
+    const visible = Math.min(top + height, viewBottom) - Math.max(top, viewTop);
+    if (visible > bestVisible) {
+      best = pageNumber;
+      bestVisible = visible;
+    }
+  }
+  return best;
+}
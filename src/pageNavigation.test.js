@@ -0,0 +1,37 @@
+import { pageInView, pageLabel, parsePageInput } from "./pageNavigation";
+
+const LABELS = ["i", "ii", "iii", "1", "2", "3"];
+
+test("labels fall back to page numbers", () => {
+  expect(pageLabel(2, LABELS)).toBe("ii");
+  expect(pageLabel(5, LABELS)).toBe("2");
+  expect(pageLabel(5, null)).toBe("5");
+  expect(pageLabel(3, ["A-1", "", null])).toBe("3");
+});
+
+test("jump input accepts labels, then page numbers", () => {
+  expect(parsePageInput("iii", 6, LABELS)).toBe(3);
+  expect(parsePageInput(" II ", 6, LABELS)).toBe(2);
+  expect(parsePageInput("2", 6, LABELS)).toBe(5); // the label wins over the page number
+  expect(parsePageInput("6", 6, LABELS)).toBe(6);
+  expect(parsePageInput("15", 25)).toBe(15);
+  expect(parsePageInput("26", 25)).toBeNull();
+  expect(parsePageInput("0", 25)).toBeNull();
+  expect(parsePageInput("iv", 6, LABELS)).toBeNull();
+  expect(parsePageInput("", 25)).toBeNull();
+});
+
+const pages = [1, 2, 3, 4].map((pageNumber, i) => ({ pageNumber, top: 10 + i * 520, height: 500 }));
+
+test("current page is the one with most of its height on screen", () => {
+  expect(pageInView(pages, 0, 800, 2100)).toBe(1);
+  expect(pageInView(pages, 400, 800, 2100)).toBe(2);
+  expect(pageInView(pages, 530, 500, 2100)).toBe(2);
+  expect(pageInView(pages, 1300, 800, 2100)).toBe(4);
+  expect(pageInView([], 0, 800, 800)).toBe(0);
+});
+
+test("small pages: the first fully visible wins, the last one at the end", () => {
+  expect(pageInView(pages, 0, 1600, 2100)).toBe(1);
+  expect(pageInView(pages, 500, 1600, 2100)).toBe(4);
+});
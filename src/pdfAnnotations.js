@@ -0,0 +1,201 @@
+import { PDFDocument, PDFHexString, PDFString } from "pdf-lib";
+import { ANNOTATION_COLORS } from "./annotations";
+import { boundingRect } from "./textGeometry";
+
+/*
+  Exchange of marks with desktop PDF readers
+  A mark is one exported annotation, in PDF user space:
+    { id, type: "highlight" | "square", page, rects: [[x1, y1, x2, y2]], color: "#rrggbb", contents, title }
+  - marksFromCitations / marksFromAnnotations build marks from what the viewer shows
+  - buildXfdf writes them as XFDF (Acrobat's annotation exchange format)
+  - addPdfAnnotations writes them into a copy of the PDF as real annotations
+  - annotationsFromPdf turns highlight annotations read by pdf.js back into
+    viewer annotations (see annotations.js)
+*/
+
+export const CITATION_COLOR = "#ffff00";
+const HIGHLIGHT_OPACITY = 0.5;
+const SQUARE_WIDTH = 2;
+
+// resolved: [{ citation, rects }] as returned by PdfViewer.resolveCitation
+export function marksFromCitations(resolved) {
+  return resolved
+    .filter(({ rects }) => rects && rects.length)
+    .map(({ citation, rects }) => ({
+      id: `citation-${citation.id}`,
+      type: "highlight",
+      page: citation.page,
+      rects,
+      color: CITATION_COLOR,
+      contents: citation.excerpt || citation.quote,
+      title: `Citation ${citation.label || citation.id}`,
+    }));
+}
+
+export function marksFromAnnotations(annotations) {
+  return annotations.map((a) => ({
+    id: a.id,
+    type: a.kind === "area" ? "square" : "highlight",
+    page: a.page,
+    rects: a.rects,
+    color: ANNOTATION_COLORS[a.color] || ANNOTATION_COLORS.yellow,
+    contents: a.note || "",
+    title: "Reviewer",
+  }));
+}
+
+// QuadPoints for one rect: top-left, top-right, bottom-left, bottom-right
+const quadPoints = ([x1, y1, x2, y2]) => [x1, y2, x2, y2, x1, y1, x2, y1];
+
+const hexToRgb = (hex) => {
+  const n = parseInt(hex.replace("#", ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => Math.round((v / 255) * 1000) / 1000);
+};
+
+const escapeXml = (s) =>
+  String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+const formatNumbers = (values) => values.map((v) => Math.round(v * 100) / 100).join(",");
+
+// XFDF document for `marks`; `fileName` is the PDF the marks belong to
+export function buildXfdf(marks, { fileName = "" } = {}) {
+  const annots = marks.map((mark) => {
+    const attrs = [
+      `page="${mark.page - 1}"`,
+      `rect="${formatNumbers(boundingRect(mark.rects))}"`,
+      `color="${escapeXml(mark.color.toUpperCase())}"`,
+      `name="${escapeXml(mark.id)}"`,
+      `title="${escapeXml(mark.title || "")}"`,
+    ];
+    if (mark.type === "highlight") {
+      attrs.push(`opacity="${HIGHLIGHT_OPACITY}"`, `coords="${formatNumbers(mark.rects.flatMap(quadPoints))}"`);
+    } else {
+      attrs.push(`width="${SQUARE_WIDTH}"`);
+    }
+    const contents = mark.contents ? `<contents>${escapeXml(mark.contents)}</contents>` : "";
+    return `    <${mark.type} ${attrs.join(" ")}>${contents}</${mark.type}>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">',
+    fileName ? `  <f href="${escapeXml(fileName)}"/>` : null,
+    "  <annots>",
+    ...annots,
+    "  </annots>",
+    "</xfdf>",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+// appearance stream so readers that do not synthesise one still show the mark
+function appearance(context, mark, rect) {
+  const [r, g, b] = hexToRgb(mark.color);
+  const [bx1, by1, bx2, by2] = rect;
+  const ops =
+    mark.type === "highlight"
+      ? [`/GS0 gs ${r} ${g} ${b} rg`, ...mark.rects.map(([x1, y1, x2, y2]) => `${x1} ${y1} ${x2 - x1} ${y2 - y1} re f`)]
+      : [
+          `${r} ${g} ${b} RG ${SQUARE_WIDTH} w`,
+          `${bx1 + 1} ${by1 + 1} ${bx2 - bx1 - SQUARE_WIDTH} ${by2 - by1 - SQUARE_WIDTH} re S`,
+        ];
+  const resources =
+    mark.type === "highlight"
+      ? { ExtGState: { GS0: { Type: "ExtGState", BM: "Multiply", ca: HIGHLIGHT_OPACITY, CA: HIGHLIGHT_OPACITY } } }
+      : {};
+  const stream = context.stream(ops.join("\n"), {
+    Type: "XObject",
+    Subtype: "Form",
+    BBox: rect,
+    Resources: resources,
+  });
+  return context.register(stream);
+}
+
+// A copy of the PDF `data` with `marks` added as Highlight / Square annotations.
+export async function addPdfAnnotations(data, marks) {
+  const pdfDoc = await PDFDocument.load(data, { updateMetadata: false });
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  marks.forEach((mark) => {
+    const page = pages[mark.page - 1];
+    if (!page || !mark.rects.length) return;
+    const rect = boundingRect(mark.rects);
+    const dict = {
+      Type: "Annot",
+      Subtype: mark.type === "highlight" ? "Highlight" : "Square",
+      Rect: rect,
+      C: hexToRgb(mark.color),
+      F: 4, // print
+      P: page.ref,
+      NM: PDFString.of(mark.id),
+      T: PDFHexString.fromText(mark.title || ""),
+      Contents: PDFHexString.fromText(mark.contents || ""),
+      AP: { N: appearance(context, mark, rect) },
+    };
+    if (mark.type === "highlight") {
+      dict.QuadPoints = mark.rects.flatMap(quadPoints);
+      dict.CA = HIGHLIGHT_OPACITY;
+    } else {
+      dict.BS = { W: SQUARE_WIDTH };
+    }
+    const annot = context.register(context.obj(dict));
+    page.node.addAnnot(annot);
+  });
+  return pdfDoc.save();
+}
+
+// palette colour closest to a pdf.js annotation colour (bytes 0-255)
+const nearestColor = (rgb) => {
+  if (!rgb || rgb.length < 3) return "yellow";
+  let best = "yellow";
+  let bestDistance = Infinity;
+  Object.entries(ANNOTATION_COLORS).forEach(([name, hex]) => {
+    const distance = hexToRgb(hex).reduce((sum, v, i) => sum + (v * 255 - rgb[i]) ** 2, 0);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = name;
+    }
+  });
+  return best;
+};
+
+// rects from pdf.js quadPoints: either flat numbers or [[{x, y} x4], ...]
+const rectsFromQuadPoints = (quadPoints) => {
+  if (!quadPoints || !quadPoints.length) return [];
+  const quads = Array.isArray(quadPoints[0])
+    ? quadPoints.map((quad) => quad.flatMap((p) => [p.x, p.y]))
+    : Array.from({ length: Math.floor(quadPoints.length / 8) }, (_, i) =>
+        Array.from(quadPoints.slice(i * 8, i * 8 + 8)),
+      );
+  return quads.map((q) => {
+    const xs = [q[0], q[2], q[4], q[6]];
+    const ys = [q[1], q[3], q[5], q[7]];
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  });
+};
+
+/*
+  Viewer annotations for the Highlight annotations of one page, as returned by
+  pdf.js page.getAnnotations(). Ids derive from the PDF's own ids, so importing
+  twice does not duplicate them.
+*/
+export function annotationsFromPdf(pdfAnnotations, pageNumber) {
+  return (pdfAnnotations || [])
+    .filter((a) => a.subtype === "Highlight")
+    .map((a) => {
+      const rects = rectsFromQuadPoints(a.quadPoints);
+      return {
+        id: `pdf-${pageNumber}-${a.id}`,
+        kind: "highlight",
+        page: pageNumber,
+        rects: rects.length ? rects : [Array.from(a.rect)],
+        quote: "",
+        color: nearestColor(a.color),
+        note: a.contentsObj?.str || a.contents || "",
+        created: new Date().toISOString(),
+        imported: true,
+      };
+    });
+}
@@ -0,0 +1,94 @@
+import { PDFDocument, PDFName } from "pdf-lib";
+import {
+  addPdfAnnotations,
+  annotationsFromPdf,
+  buildXfdf,
+  marksFromAnnotations,
+  marksFromCitations,
+} from "./pdfAnnotations";
+import { validateAnnotation } from "./annotations";
+
+const citation = { id: "p15", page: 15, quote: "Gain on sale", label: "[3]", excerpt: "Gain <net> 25 & 208" };
+const rects = [
+  [70, 400, 250, 410],
+  [70, 388, 120, 398],
+];
+
+test("citation and annotation marks", () => {
+  expect(
+    marksFromCitations([
+      { citation, rects },
+      { citation: { ...citation, id: "x" }, rects: [] },
+    ]),
+  ).toEqual([
+    {
+      id: "citation-p15",
+      type: "highlight",
+      page: 15,
+      rects,
+      color: "#ffff00",
+      contents: "Gain <net> 25 & 208",
+      title: "Citation [3]",
+    },
+  ]);
+  const [area] = marksFromAnnotations([{ id: "a1", kind: "area", page: 2, rects, color: "blue", note: "chart" }]);
+  expect(area).toMatchObject({ type: "square", color: "#93c5fd", contents: "chart" });
+});
+
+test("XFDF uses 0-based pages, quad points and escaped text", () => {
+  const xfdf = buildXfdf(marksFromCitations([{ citation, rects }]), { fileName: "Q2 & H1.pdf" });
+  expect(xfdf).toContain('<f href="Q2 &amp; H1.pdf"/>');
+  expect(xfdf).toContain('page="14" rect="70,388,250,410" color="#FFFF00"');
+  expect(xfdf).toContain('coords="70,410,250,410,70,400,250,400,70,398,120,398,70,388,120,388"');
+  expect(xfdf).toContain("<contents>Gain &lt;net&gt; 25 &amp; 208</contents>");
+});
+
+test("annotations are written into a copy of the PDF", async () => {
+  const blank = await PDFDocument.create();
+  blank.addPage([595, 842]);
+  blank.addPage([595, 842]);
+  const data = await blank.save();
+
+  const marks = [
+    ...marksFromCitations([{ citation: { ...citation, page: 2 }, rects }]),
+    ...marksFromAnnotations([{ id: "a1", kind: "area", page: 1, rects: [[10, 10, 100, 80]], color: "pink", note: "" }]),
+  ];
+  const saved = await PDFDocument.load(await addPdfAnnotations(data, marks));
+  const subtypes = saved.getPages().map((page) => {
+    const annots = page.node.Annots();
+    return annots ? annots.asArray().map((ref) => saved.context.lookup(ref).get(PDFName.of("Subtype")).toString()) : [];
+  });
+  expect(subtypes).toEqual([["/Square"], ["/Highlight"]]);
+});
+
+test("PDF highlight annotations become viewer annotations", () => {
+  const fromPdfJs = [
+    {
+      id: "12R",
+      subtype: "Highlight",
+      rect: [70, 388, 250, 410],
+      quadPoints: [
+        [
+          { x: 70, y: 410 },
+          { x: 250, y: 410 },
+          { x: 70, y: 400 },
+          { x: 250, y: 400 },
+        ],
+      ],
+      color: new Uint8ClampedArray([140, 230, 170]),
+      contentsObj: { str: "check this" },
+    },
+    { id: "13R", subtype: "Link", rect: [0, 0, 10, 10] },
+  ];
+  const [imported, ...rest] = annotationsFromPdf(fromPdfJs, 4);
+  expect(rest).toEqual([]);
+  expect(imported).toMatchObject({
+    id: "pdf-4-12R",
+    kind: "highlight",
+    page: 4,
+    rects: [[70, 400, 250, 410]],
+    color: "green",
+    note: "check this",
+  });
+  expect(validateAnnotation(imported)).toEqual([]);
+});
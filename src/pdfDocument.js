@@ -0,0 +1,11 @@
+import * as pdfjsLib from "pdfjs-dist/build/pdf";
+import workerSrc from "pdfjs-dist/build/pdf.worker.js";
+import { documentParams } from "./pdfSource";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+
+// pdf.js loading task for a source (see pdfSource.js); shared by the viewer and
+// the citation check, which reads documents that are not open.
+export function loadPdf(source) {
+  return pdfjsLib.getDocument(documentParams(source));
+}
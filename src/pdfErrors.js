@@ -0,0 +1,28 @@
+/*
+  Readable messages for what goes wrong while opening or drawing a PDF
+  pdf.js rejects with exceptions identified by `name`; loadErrorMessage turns
+  them into a sentence for the viewer's error state, naming the file.
+*/
+
+export const PASSWORD_NEEDED = 1; // pdf.js PasswordResponses.NEED_PASSWORD
+export const PASSWORD_INCORRECT = 2; // pdf.js PasswordResponses.INCORRECT_PASSWORD
+
+export function loadErrorMessage(error, source = {}) {
+  const file = source.name || source.url || "The document";
+  switch (error?.name) {
+    case "MissingPDFException":
+      return `${file} was not found${source.url ? ` at ${source.url}` : ""}.`;
+    case "UnexpectedResponseException":
+      return `${file} could not be downloaded (the server answered HTTP ${error.status}).`;
+    case "InvalidPDFException":
+      return `${file} is not a valid PDF, or it is damaged or incomplete.`;
+    case "PasswordException":
+      return `${file} is password-protected and was not opened.`;
+    default:
+      return `${file} could not be opened${error?.message ? `: ${error.message}` : "."}`;
+  }
+}
+
+// pdf.js cancels renders and loads that are no longer wanted; those are not failures
+export const isCancellation = (error) =>
+  error?.name === "RenderingCancelledException" || error?.name === "AbortException";
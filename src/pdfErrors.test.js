@@ -0,0 +1,37 @@
+import { isCancellation, loadErrorMessage } from "./pdfErrors";
+import { openPdf, reportBytes } from "./testing/loadReportPdf";
+
+const error = (name, props = {}) => Object.assign(new Error(props.message || name), { name, ...props });
+
+test("load failures name the file and what went wrong", () => {
+  const source = { name: "report.pdf", url: "/files/report.pdf" };
+  expect(loadErrorMessage(error("MissingPDFException"), source)).toBe("report.pdf was not found at /files/report.pdf.");
+  expect(loadErrorMessage(error("UnexpectedResponseException", { status: 403 }), source)).toBe(
+    "report.pdf could not be downloaded (the server answered HTTP 403)."
+  );
+  expect(loadErrorMessage(error("InvalidPDFException"), { name: "broken.pdf" })).toBe(
+    "broken.pdf is not a valid PDF, or it is damaged or incomplete."
+  );
+  expect(loadErrorMessage(error("PasswordException"), source)).toBe(
+    "report.pdf is password-protected and was not opened."
+  );
+  expect(loadErrorMessage(new Error("Worker was destroyed"), {})).toBe(
+    "The document could not be opened: Worker was destroyed"
+  );
+});
+
+test("cancelled work is not an error", () => {
+  expect(isCancellation(error("RenderingCancelledException"))).toBe(true);
+  expect(isCancellation(error("AbortException"))).toBe(true);
+  expect(isCancellation(error("InvalidPDFException"))).toBe(false);
+  expect(isCancellation(undefined)).toBe(false);
+});
+
+test("a truncated file is reported as damaged", async () => {
+  const failure = await openPdf(reportBytes().subarray(0, 2000))
+    .then(() => null)
+    .catch((e) => e);
+  expect(loadErrorMessage(failure, { name: "cut.pdf" })).toBe(
+    "cut.pdf is not a valid PDF, or it is damaged or incomplete."
+  );
+}, 30000);
@@ -0,0 +1,64 @@
+/*
+  PDF sources
+  - { id, url, name }   fetched by pdf.js (bundled report, ?file=<url>, analysis documents)
+  - { id, data, name }  ArrayBuffer read from a picked or dropped file
+  `id` is what citations name in their `document` field.
+*/
+
+export const DEFAULT_SOURCE = {
+  id: "maersk-q2-2025",
+  url: "/Maersk-Q2-2025-Interim-Report.pdf",
+  name: "Maersk-Q2-2025-Interim-Report.pdf",
+};
+
+const fileNameFromUrl = (url) => {
+  try {
+    const path = new URL(url, window.location.href).pathname;
+    return decodeURIComponent(path.split("/").pop() || url);
+  } catch (e) {
+    return url;
+  }
+};
+
+// `?file=<url>` selects the document; anything else falls back to the bundled report.
+export function sourceFromSearch(search) {
+  const url = new URLSearchParams(search || "").get("file");
+  if (!url) return DEFAULT_SOURCE;
+  return { id: `url:${url}`, url, name: fileNameFromUrl(url) };
+}
+
+export const isPdfFile = (file) =>
+  Boolean(file) && (file.type === "application/pdf" || /\.pdf$/i.test(file.name || ""));
+
+// Picked files are told apart by size and modification time as well as name, so two
+// "report.pdf" from different folders get their own tab, view and annotations.
+export async function sourceFromFile(file) {
+  if (!isPdfFile(file)) throw new Error(`${file ? file.name : "File"} is not a PDF`);
+  const id = `file:${file.name}:${file.size}:${file.lastModified}`;
+  return { id, data: await file.arrayBuffer(), name: file.name };
+}
+
+// Source for a document entry of an analysis ({ id, url, title? }).
+export function sourceFromDocument(doc) {
+  return { id: doc.id, url: doc.url, name: doc.title || fileNameFromUrl(doc.url) };
+}
+
+// Analysis `documents` entry for an open source. Picked files have no URL; their
+// file name stands in, relative to wherever the analysis is served from.
+export function documentFromSource(source, title) {
+  return { id: source.id, url: source.url || source.name, title: title || titleFromMetadata(null, source) };
+}
+
+// Arguments for pdfjsLib.getDocument. pdf.js transfers the buffer it is given to
+// the worker, so hand it a copy and keep the source reusable.
+export function documentParams(source) {
+  if (source.data) return { data: new Uint8Array(source.data.slice(0)) };
+  return { url: source.url };
+}
+
+// Prefer the PDF's own Title, then the file name without extension.
+export function titleFromMetadata(metadata, source) {
+  const title = metadata?.info?.Title || metadata?.metadata?.get?.("dc:title");
+  if (title && String(title).trim()) return String(title).trim();
+  return (source?.name || "Untitled").replace(/\.pdf$/i, "");
+}
@@ -0,0 +1,32 @@
+import { documentParams, sourceFromFile, sourceFromSearch } from "./pdfSource";
+
+// the parts of a File that sourceFromFile reads
+const file = (name, size, lastModified) => ({
+  name,
+  size,
+  lastModified,
+  type: "application/pdf",
+  arrayBuffer: async () => new ArrayBuffer(size),
+});
+
+test("picked files with the same name get different ids", async () => {
+  const a = await sourceFromFile(file("report.pdf", 1200, 1751328000000));
+  const b = await sourceFromFile(file("report.pdf", 3400, 1751328000000));
+  const c = await sourceFromFile(file("report.pdf", 1200, 1759276800000));
+  expect(a).toMatchObject({ id: "file:report.pdf:1200:1751328000000", name: "report.pdf" });
+  expect(new Set([a.id, b.id, c.id]).size).toBe(3);
+  // the same file picked again is the same document
+  expect((await sourceFromFile(file("report.pdf", 1200, 1751328000000))).id).toBe(a.id);
+  expect(documentParams(a).data).toHaveLength(1200);
+});
+
+test("only PDFs are opened", async () => {
+  await expect(sourceFromFile({ ...file("notes.txt", 10, 0), type: "text/plain" })).rejects.toThrow(
+    "notes.txt is not a PDF"
+  );
+  expect(sourceFromSearch("?file=https://example.com/a%20b.pdf")).toEqual({
+    id: "url:https://example.com/a b.pdf",
+    url: "https://example.com/a b.pdf",
+    name: "a b.pdf",
+  });
+});
@@ -0,0 +1,148 @@
+import { matchFigures } from "./figures";
+import { findMatches, normalizeWithMap } from "./textSearch";
+
+/*
+  Quote matcher for citations
+  Tries progressively more tolerant comparisons of a quote against page text
+  and reports how the quote was found:
+    exact       whitespace-normalised, case-insensitive          confidence 1
+    normalized  + ligatures (NFKC), dashes, quotes, NBSP,
+                soft hyphens and line-end hyphenation            confidence 0.97
+    compact     + ignore all spaces and hyphens (words split
+                across items, "non-\ncurrent")                  confidence 0.93
+    numeric     figures compared by value: "2,298" = "2 298",
+                "(208)" = "-208", "USD 2.3 bn" = "USD 2.3bn"     confidence <= 0.95
+    fuzzy       ranked best approximate match (edit distance)    confidence <= 0.9
+  A fuzzy match is found when it clears both maxErrorRate and minConfidence; the
+  confidence of a fuzzy match is 0.9 * (1 - errors / quote length), so by default
+  (minConfidence null) the cut-off is the one maxErrorRate implies: 0.72 at 0.2.
+  Matches are { start, end } offsets in the ORIGINAL page text, so they map
+  straight back to glyph positions (see textGeometry.rangeRects).
+*/
+
+export const MATCH_CONFIDENCE = { exact: 1, normalized: 0.97, compact: 0.93, fuzzy: 0.9 };
+
+export const DEFAULT_MATCH_OPTIONS = {
+  caseSensitive: false,
+  numeric: true, // compare figures by value when the quote contains any
+  fuzzy: true,
+  maxErrorRate: 0.2, // edits allowed per quote character in the fuzzy pass
+  minConfidence: null, // fuzzy matches below this count as not found; null: implied by maxErrorRate
+};
+
+// fuzzy confidence of a match with `errorRate` edits per quote character
+const fuzzyConfidence = (errorRate) => Math.round(MATCH_CONFIDENCE.fuzzy * (1 - errorRate) * 100) / 100;
+
+// edits per quote character the fuzzy pass allows under both limits
+export function allowedErrorRate({ maxErrorRate, minConfidence }) {
+  if (minConfidence == null) return maxErrorRate;
+  return Math.max(0, Math.min(maxErrorRate, 1 - minConfidence / MATCH_CONFIDENCE.fuzzy));
+}
+
+const allIndexesOf = (haystack, needle) => {
+  const found = [];
+  if (!needle) return found;
+  let pos = haystack.indexOf(needle);
+  while (pos !== -1) {
+    found.push(pos);
+    pos = haystack.indexOf(needle, pos + needle.length);
+  }
+  return found;
+};
+
+// normalised [start, end) back to the original text
+const toOriginal = (map, start, end) => ({ start: map[start], end: map[end - 1] + 1 });
+
+/*
+  Approximate substring search (Sellers): every place `pattern` occurs in `text`
+  with at most `maxErrors` edits, as { start, end, errors }, best first.
+*/
+export function approximateMatches(text, pattern, maxErrors) {
+  const m = pattern.length;
+  if (!m || !text) return [];
+  let cost = Array.from({ length: m + 1 }, (_, i) => i);
+  let from = new Array(m + 1).fill(0);
+  const hits = [];
+
+  for (let j = 1; j <= text.length; j++) {
+    const nextCost = [0];
+    const nextFrom = [j];
+    for (let i = 1; i <= m; i++) {
+      const sub = cost[i - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1);
+      const del = cost[i] + 1; // extra text character
+      const ins = nextCost[i - 1] + 1; // pattern character missing from text
+      if (sub <= del && sub <= ins) {
+        nextCost[i] = sub;
+        nextFrom[i] = from[i - 1];
+      } else if (del <= ins) {
+        nextCost[i] = del;
+        nextFrom[i] = from[i];
+      } else {
+        nextCost[i] = ins;
+        nextFrom[i] = nextFrom[i - 1];
+      }
+    }
+    cost = nextCost;
+    from = nextFrom;
+    if (cost[m] <= maxErrors) hits.push({ start: from[m], end: j, errors: cost[m] });
+  }
+
+  // keep the best hit of every overlapping group
+  hits.sort((a, b) => a.errors - b.errors || Math.abs(a.end - a.start - m) - Math.abs(b.end - b.start - m));
+  const ranked = [];
+  hits.forEach((h) => {
+    if (!ranked.some((r) => h.start < r.end && r.start < h.end)) ranked.push(h);
+  });
+  return ranked;
+}
+
+/*
+  Find `quote` in `text`.
+  Returns { method, confidence, matches, candidates } — method "none" with
+  confidence 0 when nothing is close enough. `candidates` lists the ranked
+  fuzzy alternatives (each with its own confidence) when the fuzzy pass ran.
+*/
+export function matchQuote(text, quote, options = {}) {
+  const opts = { ...DEFAULT_MATCH_OPTIONS, ...options };
+  const none = { method: "none", confidence: 0, matches: [], candidates: [] };
+  if (!text || !quote || !quote.trim()) return none;
+
+  const exact = findMatches(text, quote, { caseSensitive: opts.caseSensitive });
+  if (exact.length) return { method: "exact", confidence: MATCH_CONFIDENCE.exact, matches: exact, candidates: [] };
+
+  for (const method of ["normalized", "compact"]) {
+    const normOpts = { caseSensitive: opts.caseSensitive, compact: method === "compact" };
+    const page = normalizeWithMap(text, normOpts);
+    const q = normalizeWithMap(quote, normOpts).norm.trim();
+    const hits = allIndexesOf(page.norm, q);
+    if (hits.length) {
+      const matches = hits.map((pos) => toOriginal(page.map, pos, pos + q.length));
+      return { method, confidence: MATCH_CONFIDENCE[method], matches, candidates: [] };
+    }
+  }
+
+  if (opts.numeric) {
+    const figures = matchFigures(text, quote);
+    if (figures.length) {
+      const matches = figures.map(({ start, end }) => ({ start, end }));
+      return { method: "numeric", confidence: figures[0].confidence, matches, candidates: [] };
+    }
+  }
+
+  if (!opts.fuzzy) return none;
+  const page = normalizeWithMap(text, { caseSensitive: opts.caseSensitive, compact: true });
+  const q = normalizeWithMap(quote, { caseSensitive: opts.caseSensitive, compact: true }).norm;
+  // the epsilon keeps 1 - 0.72 / 0.9 from rounding one edit away
+  const maxErrors = Math.floor(q.length * allowedErrorRate(opts) + 1e-9);
+  const candidates = approximateMatches(page.norm, q, maxErrors)
+    .slice(0, 5)
+    .map((h) => ({ ...toOriginal(page.map, h.start, h.end), confidence: fuzzyConfidence(h.errors / q.length) }));
+  if (!candidates.length) return none;
+  const [best] = candidates;
+  return {
+    method: "fuzzy",
+    confidence: best.confidence,
+    matches: [{ start: best.start, end: best.end }],
+    candidates,
+  };
+}
@@ -0,0 +1,78 @@
+import { allowedErrorRate, approximateMatches, DEFAULT_MATCH_OPTIONS, matchQuote } from "./quoteMatcher";
+import { normalizeWithMap } from "./textSearch";
+
+const slice = (text, m) => text.slice(m.start, m.end);
+
+test("exact matches keep confidence 1", () => {
+  const text = "EBITDA of USD 2.3 bn\n(USD 2.1 bn)";
+  const result = matchQuote(text, "ebitda of usd 2.3");
+  expect(result.method).toBe("exact");
+  expect(result.confidence).toBe(1);
+  expect(result.matches).toEqual([{ start: 0, end: 17 }]);
+});
+
+test("ligatures, dashes, curly quotes and NBSP normalise", () => {
+  const text = "Underlying proﬁt – the “core” business";
+  const result = matchQuote(text, 'underlying profit - the "core"');
+  expect(result.method).toBe("normalized");
+  expect(result.confidence).toBeLessThan(1);
+  expect(slice(text, result.matches[0])).toBe("Underlying proﬁt – the “core”");
+  // NBSP is whitespace to the exact pass already
+  expect(matchQuote("USD\u00a02.3 bn", "USD 2.3 bn").method).toBe("exact");
+});
+
+test("line-end hyphenation and soft hyphens join word halves", () => {
+  const text = "revenue was recog-\nnised in the period";
+  const result = matchQuote(text, "was recognised in");
+  expect(result.method).toBe("normalized");
+  expect(slice(text, result.matches[0])).toBe("was recog-\nnised in");
+  expect(matchQuote("recog\u00adnised", "recognised").method).toBe("normalized");
+});
+
+test("compact pass ignores spaces and hyphens between items", () => {
+  // a compound split at a line end loses its hyphen in the normalised pass
+  expect(matchQuote("Gain on sale of non-\ncurrent assets", "non-current assets").method).toBe("compact");
+  const text = "Gainonsale of noncurrent assets";
+  const result = matchQuote(text, "Gain on sale of non-current assets");
+  expect(result.method).toBe("compact");
+  expect(result.matches).toEqual([{ start: 0, end: text.length }]);
+});
+
+test("fuzzy matches report confidence below 1 and respect minConfidence", () => {
+  const text = "Revenue increased to USD 13.1bn driven by higher freight rates";
+  const result = matchQuote(text, "Revenue increased to USD 13.4bn");
+  expect(result.method).toBe("fuzzy");
+  expect(result.confidence).toBeGreaterThan(0.6);
+  expect(result.confidence).toBeLessThan(0.9);
+  expect(slice(text, result.matches[0])).toBe("Revenue increased to USD 13.1bn");
+  expect(matchQuote(text, "Revenue increased to USD 13.4bn", { fuzzy: false }).method).toBe("none");
+  expect(matchQuote(text, "Revenue increased to USD 13.4bn", { minConfidence: 0.95 }).method).toBe("none");
+  expect(matchQuote(text, "completely unrelated sentence").method).toBe("none");
+});
+
+test("minConfidence is a cut-off on top of maxErrorRate", () => {
+  expect(allowedErrorRate(DEFAULT_MATCH_OPTIONS)).toBe(0.2);
+  expect(allowedErrorRate({ maxErrorRate: 0.2, minConfidence: 0.8 })).toBeCloseTo(1 / 9);
+  expect(allowedErrorRate({ maxErrorRate: 0.1, minConfidence: 0.6 })).toBe(0.1);
+
+  // 10 characters without spaces; 2 edits give 0.72, the lowest confidence the defaults accept
+  const text = "Net debt USD 13bn";
+  expect(matchQuote(text, "Net dabt UXD")).toMatchObject({ method: "fuzzy", confidence: 0.72 });
+  expect(matchQuote(text, "NXt dabt UXD").method).toBe("none");
+  expect(matchQuote(text, "Net dabt UXD", { minConfidence: 0.72 }).method).toBe("fuzzy");
+  expect(matchQuote(text, "Net dabt UXD", { minConfidence: 0.8 }).method).toBe("none");
+  expect(matchQuote(text, "Net debt UXD", { minConfidence: 0.8 })).toMatchObject({ method: "fuzzy", confidence: 0.81 });
+});
+
+test("normalised offsets map back to the original text", () => {
+  const { norm, map } = normalizeWithMap("A  ﬁ B");
+  expect(norm).toBe("a fi b");
+  expect(map).toEqual([0, 1, 3, 3, 4, 5]);
+});
+
+test("approximate search returns non-overlapping hits, best first", () => {
+  const hits = approximateMatches("abcxdef abcdef", "abcdef", 1);
+  expect(hits[0]).toEqual({ start: 8, end: 14, errors: 0 });
+  expect(hits[1].errors).toBe(1);
+  expect(hits).toHaveLength(2);
+});
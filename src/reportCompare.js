@@ -0,0 +1,298 @@
+import { isPeriodLabel, sameFigure, tokenizeFigures } from "./figures";
+
+/*
+  Comparing two editions of a report (e.g. Q2 2025 against Q2 2024)
+  Works on page texts as PdfViewer.getPageTexts returns them: [{ page, text }]
+  - matchSections: section headings both reports have, paired in reading order
+  - mapPage: the page of the other report to show next to a page, by page number
+    or by the matched section the page falls in
+  - compareFigures: passages (lines with figures) are paired by their words;
+    paired passages whose figures differ are the differences
+  Years are left out of both: "Review Q2 2025" and "Review Q2 2024" are the same heading.
+  Only current-period figures are compared: in a table under period headers
+  ("Q2 2025  Q2 2024  12M 2024") the columns of the latest year, and in text not
+  the comparatives in brackets ("USD 13.1bn (USD 12.8bn)"). Prior periods differ
+  between editions by design, and restated ones are not what the comparison is for.
+*/
+
+const MATCH_SIMILARITY = 0.6; // share of words two passages need in common to be paired
+const MAX_HEADING_WORDS = 6;
+const MAX_HEADING_LENGTH = 50;
+const RUNNING_MIN_PAGES = 3;
+const COMMON_SHARE = 0.05; // a word on this share of all passages is common...
+const COMMON_MIN_PASSAGES = 50; // ...and on at least this many
+const YEAR = /^(19|20)\d\d$/;
+// left out of the words passages are paired by
+const STOP_WORDS = new Set(
+  "a an and are as at be by for from has in is it of on or that the to was were which with".split(" ")
+);
+
+const lines = (pages) =>
+  pages.flatMap(({ page, text }) =>
+    (text || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => ({ page, line }))
+  );
+
+// "2025", also as the end of a range ("2024-2025")
+const isYear = (t) => t.kind === "figure" && !t.grouped && !t.decimals && !t.unit && /^(19|20)\d\d$/.test(t.digits);
+
+// words and figures of a line, without years; words are lower case
+function lineTokens(line) {
+  const tokens = tokenizeFigures(line).filter((t) => !isYear(t));
+  return {
+    words: tokens.filter((t) => t.kind === "word").map((t) => t.word.toLowerCase()),
+    figures: tokens.filter((t) => t.kind === "figure"),
+  };
+}
+
+// short, capitalised lines without figures or closing punctuation: "Income statement"
+function headingKey(line) {
+  if (line.length > MAX_HEADING_LENGTH || !/^\p{Lu}/u.test(line) || /[.,;:]$/.test(line)) return null;
+  const { words, figures } = lineTokens(line);
+  if (figures.length || !words.length || words.length > MAX_HEADING_WORDS) return null;
+  if (!words.some((w) => /^\p{L}{3,}$/u.test(w))) return null;
+  return words.join(" ");
+}
+
+// heading key -> first page, for headings that appear once (running headers repeat)
+function headings(pages) {
+  const found = new Map();
+  const repeated = new Set();
+  lines(pages).forEach(({ page, line }) => {
+    const key = headingKey(line);
+    if (!key) return;
+    if (found.has(key)) repeated.add(key);
+    else found.set(key, { page, heading: line });
+  });
+  repeated.forEach((key) => found.delete(key));
+  return found;
+}
+
+/*
+  Headings found once in each report: [{ heading, pageA, pageB }] by page. Pairs
+  that would run backwards against the others (a heading moved) are left out.
+*/
+export function matchSections(pagesA, pagesB) {
+  const inB = headings(pagesB);
+  const pairs = [...headings(pagesA)]
+    .filter(([key]) => inB.has(key))
+    .map(([key, a]) => ({ heading: a.heading, pageA: a.page, pageB: inB.get(key).page }))
+    .sort((x, y) => x.pageA - y.pageA || x.pageB - y.pageB);
+
+  // longest run of pairs whose pages never go back in either report
+  const best = pairs.map(() => ({ length: 1, previous: -1 }));
+  pairs.forEach((pair, i) => {
+    for (let j = 0; j < i; j++) {
+      if (pairs[j].pageB <= pair.pageB && best[j].length + 1 > best[i].length) {
+        best[i] = { length: best[j].length + 1, previous: j };
+      }
+    }
+  });
+  const kept = [];
+  let i = best.reduce((top, b, k) => (b.length > best[top].length ? k : top), 0);
+  for (; pairs.length && i !== -1; i = best[i].previous) kept.unshift(pairs[i]);
+  return kept;
+}
+
+/*
+  Page of the other report to show next to `page`: as far into the matched section
+  as `page` is into its own, never past where the next section starts. Without
+  sections, the same page number. `reverse` maps from report B to report A.
+*/
+export function mapPage(page, sections = [], { reverse = false, numPages = Infinity } = {}) {
+  const from = reverse ? "pageB" : "pageA";
+  const to = reverse ? "pageA" : "pageB";
+  const index = sections.reduce((found, s, i) => (s[from] <= page ? i : found), -1);
+  let target = page;
+  if (index !== -1) {
+    const section = sections[index];
+    const next = sections[index + 1];
+    target = section[to] + (page - section[from]);
+    if (next && next[from] > page) target = Math.min(target, next[to]);
+  }
+  return Math.max(1, Math.min(numPages, target));
+}
+
+// whether every word of `line` is a period label or a year: part of a table's column headers
+const isPeriodLine = (line) => line.split(/\s+/).every((t) => isPeriodLabel(t) || YEAR.test(t));
+
+// header words -> [{ label, year }], or null when they do not read as periods
+function parsePeriods(words) {
+  const periods = [];
+  for (let i = 0; i < words.length; i++) {
+    if (YEAR.test(words[i])) periods.push({ label: "", year: Number(words[i]) });
+    else if (YEAR.test(words[i + 1] || "")) {
+      periods.push({ label: words[i].toUpperCase(), year: Number(words[i + 1]) });
+      i += 1;
+    } else return null;
+  }
+  return periods.length > 1 ? periods : null;
+}
+
+/*
+  The figures of a passage worth comparing, each with the key it is compared under.
+  Under period headers: the latest year's columns, "current:0", "current:1", ...
+  (a Q2 report's Q2 column faces a Q1 report's Q1 column); a row with an extra
+  leading single digit has a note reference. Rows that do not fit the columns
+  give nothing. Elsewhere every figure by position, except bracketed comparatives.
+*/
+function comparedFigures(line, figures, columns) {
+  if (columns) {
+    const note = figures.length === columns.length + 1 && /^\d$/.test(figures[0].digits) && !figures[0].unit;
+    if (figures.length !== columns.length && !note) return [];
+    const latest = Math.max(...columns.map((c) => c.year));
+    return columns
+      .map((column, c) => ({ column, index: c + (note ? 1 : 0) }))
+      .filter(({ column }) => column.year === latest)
+      .map(({ index }, k) => ({ key: `current:${k}`, index }));
+  }
+  const brackets = [...line.matchAll(/\([^()]*\)/g)].map((m) => [m.index, m.index + m[0].length]);
+  // "(208)" is a negative figure; "(USD 12.8bn)" and "(2024: 8.4bn)" are comparatives
+  const comparative = (f) => brackets.some(([start, end]) => f.start > start && f.end < end);
+  return figures
+    .map((figure, index) => ({ figure, index }))
+    .filter(({ figure }) => !comparative(figure))
+    .map(({ index }, k) => ({ key: String(k), index }));
+}
+
+// lines with figures and some words to pair them by, without running headers and
+// footers (the same words on most pages)
+function passages(pages) {
+  const found = [];
+  pages.forEach(({ page, text }) => {
+    let columns = null; // periods of the table the lines are in
+    let header = []; // words of the period header being read
+    lines([{ page, text }]).forEach(({ line }) => {
+      if (isPeriodLine(line)) {
+        header.push(...line.split(/\s+/));
+        return;
+      }
+      if (header.length) columns = parsePeriods(header) || columns;
+      header = [];
+      const { words, figures } = lineTokens(line);
+      const keyWords = words.filter((w) => !STOP_WORDS.has(w));
+      if (!figures.length || !keyWords.some((w) => /^\p{L}{3,}$/u.test(w))) return;
+      const compared = comparedFigures(line, figures, columns);
+      if (!compared.length) return;
+      // only figures of the same kind of line are compared: table rows, or text with as many figures
+      const shape = columns ? "table" : `text:${compared.length}`;
+      found.push({ page, line, figures, compared, shape, words: keyWords });
+    });
+  });
+  const pagesOf = new Map(); // words -> pages they are on
+  found.forEach((p) => {
+    const key = p.words.join(" ");
+    pagesOf.set(key, (pagesOf.get(key) || new Set()).add(p.page));
+  });
+  const running = Math.max(RUNNING_MIN_PAGES, pages.length / 2);
+  return found
+    .filter((p) => pagesOf.get(p.words.join(" ")).size < running)
+    .map((p) => ({ ...p, words: new Set(p.words) }));
+}
+
+const sameValue = (a, b) => {
+  const same = sameFigure(a, b);
+  return Boolean(same && !same.rounded);
+};
+
+// "Revenue 13,130 12,771" -> "Revenue"; the whole line when it starts with a figure
+const passageLabel = ({ line, figures }) => line.slice(0, figures[0].start).trim() || line;
+
+/*
+  Candidate pairs of passages whose words are at least MATCH_SIMILARITY alike (Jaccard).
+  Words on many lines ("revenue", "usd") say little about which line is which, so they
+  only count for passages that have no other words. Words are then ordered rarest
+  first; two passages that alike must share one of the first
+  |words| - ceil(MATCH_SIMILARITY * |words|) + 1 words of each (prefix filtering),
+  so only those are indexed and looked up.
+*/
+function similarPairs(inA, inB) {
+  const frequency = new Map(); // word -> passages it is in, in either report
+  [...inA, ...inB].forEach((p) => p.words.forEach((w) => frequency.set(w, (frequency.get(w) || 0) + 1)));
+  const common = Math.max(COMMON_MIN_PASSAGES, COMMON_SHARE * (inA.length + inB.length));
+  const pairingWords = (p) => {
+    const words = [...p.words].sort((x, y) => frequency.get(x) - frequency.get(y) || (x < y ? -1 : 1));
+    const rare = words.filter((w) => frequency.get(w) < common);
+    return rare.length ? rare : words;
+  };
+  const prefix = (words) => words.slice(0, words.length - Math.ceil(MATCH_SIMILARITY * words.length - 1e-9) + 1);
+  const wordsA = inA.map(pairingWords);
+  const wordsB = inB.map(pairingWords);
+  const setsB = wordsB.map((words) => new Set(words));
+
+  const index = new Map(); // shape + word -> indexes in inB
+  inB.forEach((p, j) =>
+    prefix(wordsB[j]).forEach((w) => {
+      const key = `${p.shape} ${w}`;
+      (index.get(key) || index.set(key, []).get(key)).push(j);
+    })
+  );
+
+  const pairs = [];
+  inA.forEach((a, i) => {
+    const seen = new Set();
+    prefix(wordsA[i]).forEach((w) =>
+      (index.get(`${a.shape} ${w}`) || []).forEach((j) => {
+        if (seen.has(j)) return;
+        seen.add(j);
+        const shared = wordsA[i].filter((x) => setsB[j].has(x)).length;
+        const similarity = shared / (wordsA[i].length + wordsB[j].length - shared);
+        if (similarity >= MATCH_SIMILARITY) pairs.push({ i, j, similarity });
+      })
+    );
+  });
+  return pairs;
+}
+
+/*
+  Passages of report A paired with the passage of report B of the same kind that has
+  most of their words, nearest to where `sections` put it; the compared figures that
+  differ between them:
+  [{ id, label, a: { page, quote }, b: { page, quote }, changes: [{ index, a, b }] }]
+  `index` is the figure's position in A's line; `quote` is the whole line, ready to
+  be highlighted like a citation.
+*/
+export function compareFigures(pagesA, pagesB, sections = matchSections(pagesA, pagesB)) {
+  const inA = passages(pagesA);
+  const inB = passages(pagesB);
+  const candidates = similarPairs(inA, inB).map((pair) => ({
+    ...pair,
+    distance: Math.abs(mapPage(inA[pair.i].page, sections) - inB[pair.j].page),
+  }));
+  candidates.sort((x, y) => y.similarity - x.similarity || x.distance - y.distance || x.i - y.i || x.j - y.j);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  const differences = [];
+  candidates.forEach(({ i, j }) => {
+    if (usedA.has(i) || usedB.has(j)) return;
+    usedA.add(i);
+    usedB.add(j);
+    const a = inA[i];
+    const b = inB[j];
+    const inBByKey = new Map(b.compared.map((c) => [c.key, b.figures[c.index]]));
+    const changes = [];
+    a.compared.forEach(({ key, index }) => {
+      const fa = a.figures[index];
+      const fb = inBByKey.get(key);
+      if (fb && !sameValue(fa, fb)) {
+        changes.push({ index, a: a.line.slice(fa.start, fa.end), b: b.line.slice(fb.start, fb.end) });
+      }
+    });
+    if (changes.length) {
+      differences.push({
+        order: i,
+        label: passageLabel(a),
+        a: { page: a.page, quote: a.line },
+        b: { page: b.page, quote: b.line },
+        changes,
+      });
+    }
+  });
+  return differences
+    .sort((x, y) => x.order - y.order)
+    .map(({ order, ...difference }, n) => ({ id: `diff-${n + 1}`, ...difference }));
+}
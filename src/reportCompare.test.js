@@ -0,0 +1,135 @@
+import { compareFigures, mapPage, matchSections } from "./reportCompare";
+
+const q2_2025 = [
+  { page: 1, text: "Interim Report Q2 2025\nManagement Review\nMaersk saw solid performance in the quarter.\n" },
+  {
+    page: 2,
+    text:
+      "Summary financial information\nIncome statement\nQ2\n2025\nQ2\n2024\n" +
+      "Revenue 13,130 12,771\nlosses, etc (EBITDA) 2,298 2,144\nTax 95 143\n" +
+      "Interim Report Q2 2025\n",
+  },
+  { page: 3, text: "Review Q2 2025\nRevenue increased by 2.8% or USD 359m to USD 13.1bn (USD 12.8bn).\n" },
+  { page: 4, text: "Outlook\nFull-year EBITDA guidance of USD 8.0-9.5bn.\nInterim Report Q2 2025\n" },
+];
+
+const q2_2024 = [
+  { page: 1, text: "Interim Report Q2 2024\nManagement Review\nMaersk delivered a strong quarter.\n" },
+  { page: 2, text: "Contents\nHighlights Q2 2024\n" },
+  {
+    page: 3,
+    text:
+      "Summary financial information\nIncome statement\nQ2\n2024\nQ2\n2023\n" +
+      "Revenue 12,771 14,208\nlosses, etc (EBITDA) 2,144 2,144\nTax 143 143\n" +
+      "Interim Report Q2 2024\n",
+  },
+  { page: 4, text: "Review Q2 2024\nRevenue increased by 10.1% or USD 1,437m to USD 12.8bn (USD 14.2bn).\n" },
+  { page: 5, text: "Outlook\nFull-year EBITDA guidance of USD 7.0-9.0bn.\nInterim Report Q2 2024\n" },
+  { page: 6, text: "Notes\nThe Board approved 4 new vessel orders this quarter.\n" },
+];
+
+test("section headings are paired across editions, years aside", () => {
+  expect(matchSections(q2_2025, q2_2024)).toEqual([
+    { heading: "Management Review", pageA: 1, pageB: 1 },
+    { heading: "Summary financial information", pageA: 2, pageB: 3 },
+    { heading: "Income statement", pageA: 2, pageB: 3 },
+    { heading: "Review Q2 2025", pageA: 3, pageB: 4 },
+    { heading: "Outlook", pageA: 4, pageB: 5 },
+  ]);
+});
+
+test("a heading that moved against the others is not used to sync", () => {
+  const a = [
+    { page: 1, text: "Outlook\n" },
+    { page: 2, text: "Balance sheet\n" },
+    { page: 3, text: "Cash flow statement\n" },
+  ];
+  const b = [
+    { page: 1, text: "Balance sheet\n" },
+    { page: 2, text: "Cash flow statement\n" },
+    { page: 3, text: "Outlook\n" },
+  ];
+  expect(matchSections(a, b).map((s) => s.heading)).toEqual(["Balance sheet", "Cash flow statement"]);
+});
+
+test("pages map by section, or by number without sections", () => {
+  const sections = matchSections(q2_2025, q2_2024);
+  expect(mapPage(2, sections, { numPages: 6 })).toBe(3);
+  expect(mapPage(4, sections, { numPages: 6 })).toBe(5);
+  expect(mapPage(5, sections, { numPages: 6 })).toBe(6); // past the last heading: same distance
+  expect(mapPage(3, sections, { reverse: true, numPages: 4 })).toBe(2);
+  expect(mapPage(6, sections, { reverse: true, numPages: 4 })).toBe(4);
+  expect(mapPage(6, [], { numPages: 4 })).toBe(4);
+});
+
+test("figures that differ between paired passages are reported in order", () => {
+  const differences = compareFigures(q2_2025, q2_2024);
+  expect(differences.map((d) => d.label)).toEqual([
+    "Revenue",
+    "losses, etc (EBITDA)",
+    "Tax",
+    "Revenue increased by",
+    "Full-year EBITDA guidance of USD",
+  ]);
+  expect(differences[1]).toEqual({
+    id: "diff-2",
+    label: "losses, etc (EBITDA)",
+    a: { page: 2, quote: "losses, etc (EBITDA) 2,298 2,144" },
+    b: { page: 3, quote: "losses, etc (EBITDA) 2,144 2,144" },
+    changes: [{ index: 0, a: "2,298", b: "2,144" }],
+  });
+  // Q2 2025 against Q2 2024; the comparative columns (Q2 2024 against Q2 2023) are left out
+  expect(differences[0].changes).toEqual([{ index: 0, a: "13,130", b: "12,771" }]);
+  // the bracketed comparative of the sentence is left out too
+  expect(differences[3].changes.map((c) => [c.a, c.b])).toEqual([
+    ["2.8%", "10.1%"],
+    ["359m", "1,437m"],
+    ["13.1bn", "12.8bn"],
+  ]);
+});
+
+test("a restated prior-period column both reports share is not a difference", () => {
+  const q2 = [
+    {
+      page: 1,
+      text: "Income statement\nQ2 2025 Q2 2024 12M 2024\nRevenue 13,130 12,771 55,482\nTax 95 143 584\n",
+    },
+  ];
+  // headers one per line, and a note reference before the Revenue columns
+  const q1 = [
+    {
+      page: 1,
+      text: "Income statement\nQ1\n2025\nQ1\n2024\n12M\n2024\n1 Revenue 13,321 13,369 55,400\nTax 95 120 580\n",
+    },
+  ];
+  expect(compareFigures(q2, q1).map((d) => [d.label, d.changes])).toEqual([
+    ["Revenue", [{ index: 0, a: "13,130", b: "13,321" }]],
+  ]);
+  expect(compareFigures(q1, q2)[0].changes).toEqual([{ index: 1, a: "13,321", b: "13,130" }]);
+});
+
+test("large reports are paired without comparing every passage with every other", () => {
+  // 40 pages of 150 rows; every row shares four common words with all the others
+  const report = (value) =>
+    Array.from({ length: 40 }, (_, p) => ({
+      page: p + 1,
+      text: Array.from({ length: 150 }, (_, r) => {
+        const row = p * 150 + r;
+        return `Revenue of segment s${row} from the usd region ${value(row)}.5 ${row}.25`;
+      }).join("\n"),
+    }));
+  const a = report((row) => row);
+  const b = report((row) => (row % 1000 === 7 ? row + 1 : row));
+  const started = Date.now();
+  const differences = compareFigures(a, b, []);
+  expect(Date.now() - started).toBeLessThan(5000);
+  expect(differences.map((d) => d.changes[0])).toEqual(
+    [7, 1007, 2007, 3007, 4007, 5007].map((row) => ({ index: 0, a: `${row}.5`, b: `${row + 1}.5` }))
+  );
+});
+
+test("the same figure printed differently is not a difference", () => {
+  const a = [{ page: 1, text: "Net interest-bearing debt -2,454 USD 2.3bn\n" }];
+  const b = [{ page: 1, text: "Net interest-bearing debt (2,454) USD 2,300m\n" }];
+  expect(compareFigures(a, b)).toEqual([]);
+});
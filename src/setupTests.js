@@ -3,3 +3,6 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// pdf.js streams document data and text content; jsdom does not provide ReadableStream
+global.ReadableStream = global.ReadableStream || require('stream/web').ReadableStream;
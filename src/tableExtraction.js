@@ -0,0 +1,295 @@
+import { isPeriodLabel, tokenizeFigures } from "./figures";
+import { boundingRect } from "./textGeometry";
+
+/*
+  Tables rebuilt from positioned text (pdf.js getTextContent items)
+  - Items on one baseline form a line; items closer than a word gap form one
+    segment (a cell's text)
+  - Column bands come from the x-extents of segments on lines with several
+    segments (table rows); figures are right-aligned, so their extents overlap
+  - A text column right of figure columns starts another table, so statements
+    printed side by side come out separately
+  - A label wrapped over two lines is joined with the row that carries its figures
+  Everything is in PDF user space ([x1, y1, x2, y2], origin bottom-left).
+
+  Table:
+    {
+      caption:     "Condensed income statement",  // single-segment lines above the rows
+      columns:     [{ x1, x2, numeric }],
+      headerRows:  2,        // leading rows without a row label ("Q2" / "2025")
+      labelColumn: 1,        // first text column, holding the row labels
+      rows:        [[cell | null]],
+      rect:        [x1, y1, x2, y2]
+    }
+  Cell: { text, value, unit, rect }; value is a number for figure cells
+  ("(208)" is -208), else null.
+*/
+
+const WORD_GAP = 0.6; // × font size: closer items belong to the same cell
+const WRAPPED_LINE = 1.35; // × font size: a label's next line is closer than the next row
+const SAME_BASELINE = 0.3; // × font size
+const BLOCK_GAP = 4; // × font size: text further above or below is not part of the table
+
+// Number in a table cell: { value, unit } or null ("-", text and period headers such as
+// "6M" are not figures)
+export function parseCell(text) {
+  const trimmed = (text || "").trim();
+  if (isPeriodLabel(trimmed)) return null;
+  const tokens = tokenizeFigures(trimmed);
+  if (tokens.length !== 1 || tokens[0].kind !== "figure") return null;
+  const [figure] = tokens;
+  const rest = trimmed.slice(0, figure.start) + trimmed.slice(figure.end);
+  if (rest.trim()) return null;
+  return { value: figure.negative ? -figure.value : figure.value, unit: figure.unit };
+}
+
+// Horizontal text items as boxes; rotated and blank items are left out
+export function textBoxes(items) {
+  return items
+    .filter((item) => item.str && item.str.trim() && Math.abs(item.transform[1]) < 1e-3)
+    .map((item) => {
+      const [, , c, d, x, y] = item.transform;
+      const size = Math.hypot(c, d) || item.height || 1;
+      return { text: item.str, size, baseline: y, rect: [x, y - size * 0.2, x + item.width, y + size * 0.8] };
+    });
+}
+
+const inside = (box, region) => {
+  const cx = (box.rect[0] + box.rect[2]) / 2;
+  const cy = (box.rect[1] + box.rect[3]) / 2;
+  return cx >= region[0] && cx <= region[2] && cy >= region[1] && cy <= region[3];
+};
+
+// lines top to bottom, each a list of segments left to right
+function buildLines(boxes) {
+  const lines = [];
+  [...boxes]
+    .sort((a, b) => b.baseline - a.baseline || a.rect[0] - b.rect[0])
+    .forEach((box) => {
+      const line = lines.find((l) => Math.abs(l.baseline - box.baseline) <= SAME_BASELINE * box.size);
+      if (line) line.boxes.push(box);
+      else lines.push({ baseline: box.baseline, size: box.size, boxes: [box] });
+    });
+  return lines.map((line) => {
+    const segments = [];
+    line.boxes
+      .sort((a, b) => a.rect[0] - b.rect[0])
+      .forEach((box) => {
+        const last = segments[segments.length - 1];
+        if (last && box.rect[0] - last.rect[2] < WORD_GAP * box.size) {
+          const joiner = /\s$/.test(last.text) || /^[\s,.;:)]/.test(box.text) ? "" : " ";
+          last.text += joiner + box.text;
+          last.rect = boundingRect([last.rect, box.rect]);
+        } else {
+          segments.push({ text: box.text, rect: box.rect });
+        }
+      });
+    segments.forEach((s) => (s.text = s.text.replace(/\s+/g, " ").trim()));
+    return { baseline: line.baseline, size: line.size, segments };
+  });
+}
+
+// column bands from the segments of table rows (lines with figures), left to right
+function buildBands(lines) {
+  const spans = lines
+    .filter((l) => l.segments.length >= 3 && l.segments.filter((s) => parseCell(s.text)).length >= 2)
+    .flatMap((l) => l.segments.map((s) => [s.rect[0], s.rect[2]]))
+    .sort((a, b) => a[0] - b[0]);
+  const bands = [];
+  // a header word may reach a little into the next column ("Note" over the labels)
+  spans.forEach(([x1, x2]) => {
+    const last = bands[bands.length - 1];
+    const overlap = last ? Math.min(x2, last.x2) - x1 : 0;
+    if (overlap > 0 && overlap >= 0.5 * Math.min(x2 - x1, last.x2 - last.x1)) last.x2 = Math.max(last.x2, x2);
+    else bands.push({ x1, x2 });
+  });
+  return bands;
+}
+
+// band a segment belongs to: most overlap, else the nearest one close by
+function bandOf(segment, bands, size) {
+  const [x1, , x2] = segment.rect;
+  let best = -1;
+  let bestOverlap = 0;
+  bands.forEach((band, i) => {
+    const overlap = Math.min(x2, band.x2) - Math.max(x1, band.x1);
+    if (overlap > bestOverlap) {
+      best = i;
+      bestOverlap = overlap;
+    }
+  });
+  if (best >= 0) return best;
+  const distance = (band) => Math.max(band.x1 - x2, x1 - band.x2);
+  const nearest = bands.reduce((n, band, i) => (n < 0 || distance(band) < distance(bands[n]) ? i : n), -1);
+  return nearest >= 0 && distance(bands[nearest]) < 2 * size ? nearest : -1;
+}
+
+const isFigure = (cell) => cell && cell.value !== null;
+const mostlyFigures = (cells) => {
+  const filled = cells.filter(Boolean);
+  return filled.length > 0 && filled.filter(isFigure).length * 2 > filled.length;
+};
+
+function makeCell(segment) {
+  const figure = parseCell(segment.text);
+  return {
+    text: segment.text,
+    value: figure ? figure.value : null,
+    unit: figure ? figure.unit : null,
+    rect: segment.rect,
+  };
+}
+
+function mergeCells(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return makeCell({ text: `${a.text} ${b.text}`, rect: boundingRect([a.rect, b.rect]) });
+}
+
+// one table from the lines, keeping the bands [from, to)
+function buildTable(lines, bands, from, to) {
+  const columns = bands.slice(from, to).map((b) => ({ x1: b.x1, x2: b.x2, numeric: false }));
+  const width = columns.length;
+  let rows = [];
+  lines.forEach((line) => {
+    const cells = new Array(width).fill(null);
+    line.segments.forEach((segment) => {
+      const band = bandOf(segment, bands, line.size);
+      if (band < from || band >= to) return;
+      cells[band - from] = mergeCells(cells[band - from], makeCell(segment));
+    });
+    if (cells.some(Boolean)) rows.push({ baseline: line.baseline, size: line.size, cells });
+  });
+
+  // page headers and footers are set apart from the table: keep the block of
+  // rows with the most figures
+  const blocks = [];
+  rows.forEach((row, i) => {
+    if (!i || rows[i - 1].baseline - row.baseline > BLOCK_GAP * Math.min(row.size, rows[i - 1].size)) {
+      blocks.push([]);
+    }
+    blocks[blocks.length - 1].push(row);
+  });
+  const figureRows = (block) => block.filter((row) => row.cells.some(isFigure)).length;
+  rows = blocks.reduce((best, block) => (figureRows(block) > figureRows(best) ? block : best), []);
+
+  // single-cell lines above the rows: the caption is the nearest one, with
+  // the lines it wraps from
+  let captionLines = [];
+  while (rows.length > 1 && rows[0].cells.filter(Boolean).length === 1) {
+    const line = rows.shift();
+    const previous = captionLines[captionLines.length - 1];
+    if (previous && previous.baseline - line.baseline >= WRAPPED_LINE * line.size) captionLines = [];
+    captionLines.push(line);
+  }
+  const caption = captionLines.map((line) => line.cells.find(Boolean).text);
+
+  columns.forEach((column, i) => (column.numeric = mostlyFigures(rows.map((r) => r.cells[i]))));
+  let labelColumn = columns.findIndex((c) => !c.numeric);
+  if (labelColumn < 0) labelColumn = 0;
+
+  // a label wrapped over lines: join the lines without figures into the row below
+  const joined = [];
+  rows.forEach((row) => {
+    const previous = joined[joined.length - 1];
+    const wrapped =
+      previous &&
+      !previous.cells.some((cell, i) => i > labelColumn && isFigure(cell)) &&
+      previous.cells[labelColumn] &&
+      previous.baseline - row.baseline < WRAPPED_LINE * row.size;
+    if (wrapped) {
+      joined[joined.length - 1] = { ...row, cells: row.cells.map((cell, i) => mergeCells(previous.cells[i], cell)) };
+    } else {
+      joined.push(row);
+    }
+  });
+  rows = joined.map((r) => r.cells);
+
+  let headerRows = 0;
+  while (headerRows < rows.length && !rows[headerRows][labelColumn]) headerRows += 1;
+  if (headerRows === rows.length) headerRows = 0;
+
+  const cells = rows.flat().filter(Boolean);
+  const rect = cells.length ? boundingRect(cells.map((c) => c.rect)) : null;
+  return { caption: caption.join(" "), columns, headerRows, labelColumn, rows, rect };
+}
+
+/*
+  Tables among pdf.js text items, optionally only those inside `region`
+  (a PDF rectangle). Returns [] when the text does not look like a table.
+*/
+export function extractTables(items, { region = null } = {}) {
+  const boxes = textBoxes(items).filter((box) => !region || inside(box, region));
+  const lines = buildLines(boxes);
+  const bands = buildBands(lines);
+  if (bands.length < 2) return [];
+
+  // a text column right of a figure column starts the next table
+  const bandCells = bands.map((_, i) =>
+    lines.flatMap((l) => l.segments.filter((s) => bandOf(s, bands, l.size) === i).map(makeCell))
+  );
+  const starts = [0];
+  for (let i = 1; i < bands.length; i++) {
+    if (!mostlyFigures(bandCells[i]) && mostlyFigures(bandCells[i - 1]) && i - starts[starts.length - 1] > 1) {
+      starts.push(i);
+    }
+  }
+  return starts
+    .map((from, k) => buildTable(lines, bands, from, starts[k + 1] ?? bands.length))
+    .filter((table) => table.rows.length > 1 && table.columns.length > 1);
+}
+
+// "Q2 2025": the header rows' text above a column
+export function columnHeader(table, column) {
+  return table.rows
+    .slice(0, table.headerRows)
+    .map((row) => row[column]?.text)
+    .filter(Boolean)
+    .join(" ");
+}
+
+export const rowLabel = (table, row) => table.rows[row][table.labelColumn]?.text || "";
+
+// What a citation records about a cell: its row label, column header and value
+export function cellReference(table, row, column) {
+  const cell = table.rows[row][column];
+  return { row: rowLabel(table, row), column: columnHeader(table, column), value: cell ? cell.value : null };
+}
+
+// cell contents for export: figures as numbers, headers as text, empty cells as null
+const cellData = (cell, header = false) => {
+  if (!cell) return null;
+  return header || cell.value === null || cell.unit === "%" ? cell.text : cell.value;
+};
+
+const exportRows = (table) => table.rows.map((row, r) => row.map((cell) => cellData(cell, r < table.headerRows)));
+
+const csvField = (value) => {
+  if (value === null) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV with figures as plain numbers ("(1,234)" becomes -1234)
+export function tableToCsv(table) {
+  return (
+    exportRows(table)
+      .map((row) => row.map(csvField).join(","))
+      .join("\r\n") + "\r\n"
+  );
+}
+
+// Tab-separated text for pasting into a spreadsheet
+export function tableToTsv(table) {
+  return exportRows(table)
+    .map((row) => row.map((value) => String(value ?? "").replace(/[\t\n]/g, " ")).join("\t"))
+    .join("\n");
+}
+
+export function tableToJson(table) {
+  return {
+    caption: table.caption,
+    columns: table.columns.map((_, i) => columnHeader(table, i)),
+    rows: exportRows(table).slice(table.headerRows),
+  };
+}
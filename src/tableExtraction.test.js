@@ -0,0 +1,124 @@
+import {
+  cellReference,
+  columnHeader,
+  extractTables,
+  parseCell,
+  rowLabel,
+  tableToCsv,
+  tableToJson,
+  tableToTsv,
+} from "./tableExtraction";
+import { withReportPdf } from "./testing/loadReportPdf";
+
+// a pdf.js text item at 8pt; x is the left edge, widths are 4.4pt per character
+const item = (str, x, y) => ({ str, transform: [8, 0, 0, 8, x, y], width: str.length * 4.4, height: 8 });
+// right-aligned figure ending at x
+const figure = (str, right, y) => item(str, right - str.length * 4.4, y);
+
+const statement = [
+  item("Cash flow statement", 40, 700),
+  figure("2025", 260, 680),
+  figure("2024", 320, 680),
+  item("Profit before financial items", 40, 666),
+  figure("1,204", 260, 666),
+  figure("(208)", 320, 666),
+  item("Change in working capital,", 40, 652),
+  item("net", 40, 643), // wrapped label
+  figure("(1,390.5)", 260, 643),
+  figure("−12", 320, 643),
+  item("Taxes paid", 40, 629),
+  figure("-", 260, 629),
+  figure("4.5%", 320, 629),
+  item("Page 7", 40, 40),
+];
+
+test("cells parse figures, parenthesised negatives and units", () => {
+  expect(parseCell("(1,234)")).toEqual({ value: -1234, unit: null });
+  expect(parseCell("-111")).toEqual({ value: -111, unit: null });
+  expect(parseCell(" 13,130 ")).toEqual({ value: 13130, unit: null });
+  expect(parseCell("12.5%")).toEqual({ value: 12.5, unit: "%" });
+  expect(parseCell("-")).toBeNull();
+  expect(parseCell("Revenue")).toBeNull();
+  expect(parseCell("2 000 TEU and more")).toBeNull();
+  // period headers are not amounts ("6M" is not 6 million)
+  expect(["Q2", "6M", "12M", "H1", "FY"].map(parseCell)).toEqual([null, null, null, null, null]);
+  expect(parseCell("6m")).toBeNull();
+  expect(parseCell("141m")).toEqual({ value: 141, unit: "m" });
+});
+
+test("rows and columns are rebuilt from positioned text", () => {
+  const [table] = extractTables(statement);
+  expect(table.caption).toBe("Cash flow statement");
+  expect(table.headerRows).toBe(1);
+  expect(table.labelColumn).toBe(0);
+  expect(table.columns.map((c) => c.numeric)).toEqual([false, true, true]);
+  expect(table.rows.map((row) => row.map((cell) => cell && cell.text))).toEqual([
+    [null, "2025", "2024"],
+    ["Profit before financial items", "1,204", "(208)"],
+    ["Change in working capital, net", "(1,390.5)", "−12"],
+    ["Taxes paid", "-", "4.5%"],
+  ]);
+  expect(table.rows[2][1].value).toBe(-1390.5);
+  expect(table.rows[3][1].value).toBeNull();
+  expect(rowLabel(table, 2)).toBe("Change in working capital, net");
+  expect(columnHeader(table, 2)).toBe("2024");
+  expect(cellReference(table, 1, 2)).toEqual({ row: "Profit before financial items", column: "2024", value: -208 });
+});
+
+test("exports write figures as plain numbers", () => {
+  const [table] = extractTables(statement);
+  expect(tableToCsv(table)).toBe(
+    ",2025,2024\r\n" +
+      "Profit before financial items,1204,-208\r\n" +
+      '"Change in working capital, net",-1390.5,-12\r\n' +
+      "Taxes paid,-,4.5%\r\n"
+  );
+  expect(tableToTsv(table).split("\n")[1]).toBe("Profit before financial items\t1204\t-208");
+  expect(tableToJson(table)).toEqual({
+    caption: "Cash flow statement",
+    columns: ["", "2025", "2024"],
+    rows: [
+      ["Profit before financial items", 1204, -208],
+      ["Change in working capital, net", -1390.5, -12],
+      ["Taxes paid", "-", "4.5%"],
+    ],
+  });
+});
+
+test("a region keeps only the text inside it", () => {
+  const [table] = extractTables(statement, { region: [30, 655, 400, 690] });
+  expect(table.caption).toBe("");
+  expect(table.rows.map((row) => row.map((cell) => cell && cell.text))).toEqual([
+    [null, "2025", "2024"],
+    ["Profit before financial items", "1,204", "(208)"],
+  ]);
+  expect(extractTables(statement, { region: [0, 0, 100, 100] })).toEqual([]);
+});
+
+test("statements printed side by side come out as separate tables", async () => {
+  await withReportPdf(async (pdf) => {
+    const { items } = await (await pdf.getPage(15)).getTextContent();
+    const [income, comprehensive] = extractTables(items);
+    expect(income.caption).toBe("Condensed income statement");
+    expect(comprehensive.caption).toBe("Condensed statement of comprehensive income");
+
+    expect(income.rows[0].map((cell) => cell && cell.text)).toEqual([null, null, "Q2", "Q2", "6M", "6M", "12M"]);
+    expect(income.rows[0].map((cell) => cell && cell.value)).toEqual([null, null, null, null, null, null, null]);
+    expect(income.headerRows).toBe(2);
+    expect(income.columns.map((c) => c.numeric)).toEqual([true, false, true, true, true, true, true]); // notes, labels, periods
+    expect(cellReference(income, 0, 4)).toEqual({ row: "", column: "6M 2025", value: null });
+    expect(columnHeader(income, 4)).toBe("6M 2025");
+    const gain = income.rows.findIndex((row) => row[1] && row[1].text.startsWith("Gain on sale"));
+    expect(rowLabel(income, gain)).toBe("Gain on sale of non-current assets, etc, net");
+    expect(income.rows[gain].slice(2).map((cell) => cell.value)).toEqual([25, 208, 80, 215, 222]);
+    const ebitda = income.rows.findIndex((row) => row[1] && row[1].text.includes("(EBITDA)"));
+    expect(rowLabel(income, ebitda)).toBe(
+      "Profit before depreciation, amortisation and impairment losses, etc. (EBITDA)"
+    );
+    expect(income.rows[ebitda][0].text).toBe("1"); // the note column
+
+    const translation = comprehensive.rows.findIndex((row) => row[0] && row[0].text.startsWith("Translation"));
+    expect(rowLabel(comprehensive, translation)).toBe("Translation from functional currency to presentation currency");
+    expect(comprehensive.rows[translation].slice(1).map((cell) => cell.value)).toEqual([389, -39, 566, -285, -447]);
+  });
+}, 30000);
@@ -0,0 +1,30 @@
+import fs from "fs";
+import path from "path";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf";
+
+/*
+  Test helper: the bundled Maersk Q2 2025 report, opened with the Node build of pdf.js
+  - reportBytes: the file's bytes
+  - openPdf: loads bytes (the report's unless given) with pdf.js logging off
+  - withReportPdf: runs a callback on the opened report and destroys it afterwards
+  The ReadableStream pdf.js needs under jsdom is provided in setupTests.js.
+*/
+
+export const REPORT_FILE = path.join(__dirname, "..", "..", "public", "Maersk-Q2-2025-Interim-Report.pdf");
+
+export function reportBytes() {
+  return new Uint8Array(fs.readFileSync(REPORT_FILE));
+}
+
+export function openPdf(data = reportBytes()) {
+  return pdfjsLib.getDocument({ data, verbosity: 0 }).promise;
+}
+
+export async function withReportPdf(callback) {
+  const pdf = await openPdf();
+  try {
+    return await callback(pdf);
+  } finally {
+    await pdf.destroy();
+  }
+}
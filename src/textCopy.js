@@ -0,0 +1,80 @@
+/*
+  Copying text from the text layer
+  Text layer spans are positioned one by one, so the browser's own copy runs
+  them together. selectedText rebuilds what a reader sees from the pdf.js items
+  instead:
+  - a line break after items marked hasEOL and wherever the next item starts on
+    another baseline
+  - a space where the next item on the same line starts clearly after the
+    previous one ends and neither side already has one
+  Positions are taken along each item's own direction, so rotated text copies
+  the same way as horizontal text.
+*/
+
+const LINE_SHIFT = 0.5; // baseline moves of more than this (x font size) start a new line
+const WORD_GAP = 0.15; // gaps wider than this (x font size) between items are a space
+
+// where an item sits, measured along and across its writing direction (PDF user space)
+function itemFrame(item) {
+  const [a, b, c, d, e, f] = item.transform;
+  const scale = Math.hypot(a, b) || 1;
+  const dx = a / scale;
+  const dy = b / scale;
+  const along = e * dx + f * dy;
+  return {
+    start: along,
+    end: along + (item.width || 0),
+    across: f * dx - e * dy,
+    size: Math.hypot(c, d) || scale,
+    dx,
+    dy,
+  };
+}
+
+// what goes between two consecutive visible items
+function separator(prev, next) {
+  if (prev.item.hasEOL) return "\n";
+  const p = itemFrame(prev.item);
+  const n = itemFrame(next.item);
+  const size = Math.max(p.size, n.size);
+  const sameDirection = Math.abs(p.dx - n.dx) < 0.01 && Math.abs(p.dy - n.dy) < 0.01;
+  if (!sameDirection || Math.abs(n.across - p.across) > size * LINE_SHIFT || n.start < p.start) return "\n";
+  if (/\s$/.test(prev.str) || /^\s/.test(next.str)) return "";
+  return n.start - p.end > size * WORD_GAP ? " " : "";
+}
+
+/*
+  Text of items from `start` to `end`, each { item, within } (a character offset
+  inside that item's str; `end` is exclusive). Without them the whole list is taken.
+*/
+export function selectedText(items, start = null, end = null) {
+  if (!items || !items.length) return "";
+  const first = start ? start.item : 0;
+  const last = end ? end.item : items.length - 1;
+  let text = "";
+  let prev = null;
+  for (let i = first; i <= last; i++) {
+    const item = items[i];
+    const str = (item.str || "").slice(
+      start && i === first ? start.within : 0,
+      end && i === last ? end.within : undefined
+    );
+    if (!str) {
+      // an empty item can still end the line before it
+      if (item.hasEOL && prev) prev = { item, str: prev.str };
+      continue;
+    }
+    const current = { item, str };
+    if (prev) {
+      const sep = separator(prev, current);
+      if (sep === "\n") text = text.replace(/[ \t]+$/, "");
+      text += sep;
+    }
+    text += str;
+    prev = current;
+  }
+  return text
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
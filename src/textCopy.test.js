@@ -0,0 +1,42 @@
+import { selectedText } from "./textCopy";
+
+// a pdf.js text item at 8pt, 4.4pt per character
+const item = (str, x, y, hasEOL = false) => ({ str, transform: [8, 0, 0, 8, x, y], width: str.length * 4.4, hasEOL });
+
+const page = [
+  item("Revenue", 40, 700),
+  item("increased", 74, 700), // separate run, no space item in between
+  item("to", 116, 700, true),
+  item("USD 13.1bn", 40, 690),
+  item("(", 86, 690),
+  item("USD 12.8bn", 90.4, 690), // touches the bracket: no space
+  item(")", 134.4, 690),
+  item("Guidance", 300, 640), // next column, no hasEOL
+];
+
+test("spaces and line breaks are rebuilt from item positions", () => {
+  expect(selectedText(page)).toBe("Revenue increased to\nUSD 13.1bn (USD 12.8bn)\nGuidance");
+});
+
+test("a selection starts and ends inside items", () => {
+  expect(selectedText(page, { item: 1, within: 2 }, { item: 3, within: 3 })).toBe("creased to\nUSD");
+  expect(selectedText(page, { item: 0, within: 0 }, { item: 0, within: 7 })).toBe("Revenue");
+});
+
+test("existing whitespace items are kept, empty line-end items still break lines", () => {
+  const items = [
+    item("Net", 40, 700),
+    item(" ", 53.2, 700),
+    item("debt", 60, 700),
+    { str: "", transform: [8, 0, 0, 8, 40, 690], width: 0, hasEOL: true },
+    item("Tax", 40, 690),
+  ];
+  expect(selectedText(items)).toBe("Net debt\nTax");
+});
+
+test("rotated text is read along its own direction", () => {
+  // vertical text running up the page: x stays, y advances
+  const up = (str, y, x = 20) => ({ str, transform: [0, 8, -8, 0, x, y], width: str.length * 4.4 });
+  const items = [up("Interim", 100), up("Report", 135), up("Q2 2025", 100, 30)];
+  expect(selectedText(items)).toBe("Interim Report\nQ2 2025");
+});
@@ -0,0 +1,181 @@
+/*
+  Text geometry from pdf.js text content
+  - itemBox: where a text item sits on the page, in viewport pixels, using the
+    item's transform and its real advance width from the PDF font metrics
+  - rangeRects: rectangles covering exactly the characters [start, end) of the
+    page text, one per line fragment
+  - toPdfRect / fromPdfRect: convert rectangles between viewport pixels and
+    PDF user space, for marks that must survive zoom and rotation
+  - toPageFractions / fromPageFractions: PDF rectangles as fractions of the
+    unrotated page (page.view), independent of the page size
+  - boundingRect: one rectangle around several (e.g. the lines of a selection)
+  Character offsets inside an item are measured with the browser font and then
+  scaled to the item's real width, so the run always ends where the glyphs end.
+*/
+
+import { itemAtOffset } from "./textSearch";
+
+// Same as pdf.js Util.transform: m1 x m2
+export function multiplyTransform(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+// ascent as a fraction of the font size, as pdf.js' text layer guesses it
+const fontAscent = (style) => {
+  if (style && style.ascent) return style.ascent;
+  if (style && style.descent) return 1 + style.descent;
+  return 0.8;
+};
+
+// { left, top, width, height, angle } of an item's top-left corner and run, in viewport pixels
+export function itemBox(item, viewport, style = {}) {
+  const tx = multiplyTransform(viewport.transform, item.transform);
+  let angle = Math.atan2(tx[1], tx[0]);
+  if (style.vertical) angle += Math.PI / 2;
+  const height = Math.hypot(tx[2], tx[3]);
+  const ascent = height * fontAscent(style);
+  const width = (style.vertical ? item.height : item.width) * viewport.scale;
+  const left = angle === 0 ? tx[4] : tx[4] + ascent * Math.sin(angle);
+  const top = angle === 0 ? tx[5] - ascent : tx[5] - ascent * Math.cos(angle);
+  return { left, top, width, height, angle };
+}
+
+// axis-aligned bounds of the run segment [x0, x1] of a (possibly rotated) box
+function segmentRect(box, x0, x1) {
+  const cos = Math.cos(box.angle);
+  const sin = Math.sin(box.angle);
+  const xs = [];
+  const ys = [];
+  [x0, x1].forEach((a) =>
+    [0, box.height].forEach((b) => {
+      xs.push(box.left + a * cos - b * sin);
+      ys.push(box.top + a * sin + b * cos);
+    })
+  );
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  return { left, top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+}
+
+// Canvas-based text measurer; widths are only used as ratios within one item.
+export function createTextMeasurer() {
+  let ctx = null;
+  try {
+    ctx = document.createElement("canvas").getContext("2d");
+  } catch (e) {
+    ctx = null;
+  }
+  return (text, fontFamily = "sans-serif") => {
+    if (!ctx) return text.length;
+    ctx.font = `100px ${fontFamily}`;
+    return ctx.measureText(text).width;
+  };
+}
+
+// Join fragments that sit on the same line and touch; separate columns stay separate.
+export function mergeLineRects(rects) {
+  const merged = [];
+  rects.forEach((r) => {
+    const last = merged[merged.length - 1];
+    const sameLine = last && Math.abs(last.top - r.top) < Math.min(last.height, r.height) / 2;
+    const touching = last && r.left - (last.left + last.width) < Math.max(last.height, r.height);
+    if (sameLine && touching && r.left >= last.left) {
+      const right = Math.max(last.left + last.width, r.left + r.width);
+      const bottom = Math.max(last.top + last.height, r.top + r.height);
+      last.top = Math.min(last.top, r.top);
+      last.width = right - last.left;
+      last.height = bottom - last.top;
+    } else {
+      merged.push({ ...r });
+    }
+  });
+  return merged;
+}
+
+/*
+  Rectangles for characters [start, end) of the page text built by buildPageText.
+  layout: { items, boxes, fonts, offsets } — boxes[i] from itemBox, fonts[i] a CSS font family
+*/
+export function rangeRects(layout, start, end, measure = (t) => t.length) {
+  const { items, boxes, fonts = [], offsets } = layout;
+  if (!items || !items.length || end <= start) return [];
+  const first = itemAtOffset(offsets, start);
+  const last = itemAtOffset(offsets, end - 1);
+  const rects = [];
+  for (let i = first; i <= last; i++) {
+    const str = items[i].str || "";
+    const box = boxes[i];
+    const s = Math.max(0, start - offsets[i]);
+    const e = Math.min(str.length, end - offsets[i]);
+    if (!box || e <= s || !str.trim()) continue;
+    const total = measure(str, fonts[i]);
+    const frac = (k) => (total > 0 ? measure(str.slice(0, k), fonts[i]) / total : k / str.length);
+    rects.push(segmentRect(box, box.width * frac(s), box.width * frac(e)));
+  }
+  return mergeLineRects(rects);
+}
+
+// Viewport rectangle { left, top, width, height } as [x1, y1, x2, y2] in PDF user space
+export function toPdfRect(viewport, rect) {
+  const [ax, ay] = viewport.convertToPdfPoint(rect.left, rect.top);
+  const [bx, by] = viewport.convertToPdfPoint(rect.left + rect.width, rect.top + rect.height);
+  const round = (v) => Math.round(v * 100) / 100;
+  return [round(Math.min(ax, bx)), round(Math.min(ay, by)), round(Math.max(ax, bx)), round(Math.max(ay, by))];
+}
+
+// PDF user space rectangle back to { left, top, width, height } in viewport pixels
+export function fromPdfRect(viewport, pdfRect) {
+  const [ax, ay, bx, by] = viewport.convertToViewportRectangle(pdfRect);
+  return { left: Math.min(ax, bx), top: Math.min(ay, by), width: Math.abs(bx - ax), height: Math.abs(by - ay) };
+}
+
+const round4 = (v) => Math.round(v * 10000) / 10000;
+
+// PDF rectangle as { leftPct, topPct, widthPct, heightPct } of the page's view box
+export function toPageFractions([x1, y1, x2, y2], view) {
+  const [vx1, vy1, vx2, vy2] = view;
+  const width = vx2 - vx1;
+  const height = vy2 - vy1;
+  const clamp = (v) => Math.min(1, Math.max(0, v));
+  const left = clamp((x1 - vx1) / width);
+  const top = clamp((vy2 - y2) / height);
+  return {
+    leftPct: round4(left),
+    topPct: round4(top),
+    widthPct: round4(clamp((x2 - vx1) / width) - left),
+    heightPct: round4(clamp((vy2 - y1) / height) - top),
+  };
+}
+
+export function fromPageFractions({ leftPct, topPct, widthPct, heightPct }, view) {
+  const [vx1, vy1, vx2, vy2] = view;
+  const width = vx2 - vx1;
+  const height = vy2 - vy1;
+  return [
+    vx1 + leftPct * width,
+    vy2 - (topPct + heightPct) * height,
+    vx1 + (leftPct + widthPct) * width,
+    vy2 - topPct * height,
+  ];
+}
+
+// bounding rectangle of [x1, y1, x2, y2] rects
+export function boundingRect(rects) {
+  return [
+    Math.min(...rects.map((r) => r[0])),
+    Math.min(...rects.map((r) => r[1])),
+    Math.max(...rects.map((r) => r[2])),
+    Math.max(...rects.map((r) => r[3])),
+  ];
+}
+
+// whether two { left, top, width, height } rects share any area
+export const rectsOverlap = (a, b) =>
+  a.left < b.left + b.width && b.left < a.left + a.width && a.top < b.top + b.height && b.top < a.top + a.height;
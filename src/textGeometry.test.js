@@ -0,0 +1,106 @@
+import {
+  boundingRect,
+  fromPageFractions,
+  fromPdfRect,
+  itemBox,
+  mergeLineRects,
+  multiplyTransform,
+  rangeRects,
+  rectsOverlap,
+  toPageFractions,
+  toPdfRect,
+} from "./textGeometry";
+import { buildPageText } from "./textSearch";
+
+// 1.2x viewport of an A4 page (pdf.js flips the y axis)
+const viewport = { scale: 1.2, transform: [1.2, 0, 0, -1.2, 0, 1010.4] };
+
+const items = [
+  { str: "Gain on sale of non-current assets, etc", transform: [7, 0, 0, 7, 85, 335.8], width: 120.8, hasEOL: false },
+  { str: " ", transform: [7, 0, 0, 7, 205.8, 335.8], width: 0.3, hasEOL: false },
+  { str: ", net", transform: [7, 0, 0, 7, 208, 335.8], width: 14.4, hasEOL: true },
+  { str: "Share of profit", transform: [7, 0, 0, 7, 85, 324.2], width: 46, hasEOL: true },
+];
+
+const layout = () => {
+  const { offsets } = buildPageText(items);
+  return { items, offsets, boxes: items.map((item) => itemBox(item, viewport, { ascent: 1 })) };
+};
+
+test("matrix product matches pdf.js Util.transform", () => {
+  expect(multiplyTransform([2, 0, 0, 2, 10, 20], [1, 0, 0, 1, 5, 5])).toEqual([2, 0, 0, 2, 20, 30]);
+});
+
+test("item boxes use the transform and the real advance width", () => {
+  const box = itemBox(items[0], viewport, { ascent: 1 });
+  expect(box.left).toBeCloseTo(102);
+  expect(box.top).toBeCloseTo(1010.4 - 335.8 * 1.2 - 8.4);
+  expect(box.width).toBeCloseTo(144.96);
+  expect(box.height).toBeCloseTo(8.4);
+  expect(box.angle).toBe(0);
+});
+
+test("range rects are clipped to the matched characters", () => {
+  // "sale" is characters 8..12 of the first item
+  const [rect] = rangeRects(layout(), 8, 12);
+  const box = itemBox(items[0], viewport, { ascent: 1 });
+  const perChar = box.width / items[0].str.length;
+  expect(rect.left).toBeCloseTo(box.left + 8 * perChar);
+  expect(rect.width).toBeCloseTo(4 * perChar);
+});
+
+test("one rect per line when a quote wraps", () => {
+  const text = buildPageText(items).text;
+  const start = text.indexOf("etc");
+  const end = text.indexOf("Share") + "Share".length;
+  const rects = rangeRects(layout(), start, end);
+  expect(rects).toHaveLength(2);
+  expect(rects[0].top).toBeLessThan(rects[1].top);
+});
+
+test("fragments in separate columns are not merged", () => {
+  const a = { left: 0, top: 10, width: 50, height: 10 };
+  const b = { left: 300, top: 10, width: 50, height: 10 };
+  expect(mergeLineRects([a, b])).toHaveLength(2);
+  expect(mergeLineRects([a, { ...b, left: 52 }])).toEqual([{ left: 0, top: 10, width: 102, height: 10 }]);
+});
+
+test("rectangles convert to PDF user space and back", () => {
+  // inverse of the viewport transform above, as pdf.js PageViewport does it
+  const pdfViewport = {
+    ...viewport,
+    convertToPdfPoint: (x, y) => [x / 1.2, (1010.4 - y) / 1.2],
+    convertToViewportRectangle: ([x1, y1, x2, y2]) => [x1 * 1.2, 1010.4 - y1 * 1.2, x2 * 1.2, 1010.4 - y2 * 1.2],
+  };
+  const rect = { left: 120, top: 600, width: 240, height: 36 };
+  const pdfRect = toPdfRect(pdfViewport, rect);
+  expect(pdfRect).toEqual([100, 312, 300, 342]);
+  const back = fromPdfRect(pdfViewport, pdfRect);
+  expect(back.left).toBeCloseTo(120);
+  expect(back.top).toBeCloseTo(600);
+  expect(back.width).toBeCloseTo(240);
+  expect(back.height).toBeCloseTo(36);
+});
+
+test("page fractions are relative to the view box and round-trip", () => {
+  const view = [0, 0, 595, 842];
+  const area = toPageFractions([59.5, 421, 297.5, 463.1], view);
+  expect(area).toEqual({ leftPct: 0.1, topPct: 0.45, widthPct: 0.4, heightPct: 0.05 });
+  fromPageFractions(area, view).forEach((v, i) => expect(v).toBeCloseTo([59.5, 421, 297.5, 463.1][i], 0));
+});
+
+test("bounding rect of a selection's lines", () => {
+  expect(
+    boundingRect([
+      [70, 400, 250, 410],
+      [70, 388, 120, 398],
+    ])
+  ).toEqual([70, 388, 250, 410]);
+});
+
+test("overlapping rects share area; touching ones do not", () => {
+  const cell = { left: 100, top: 50, width: 40, height: 10 };
+  expect(rectsOverlap(cell, { left: 130, top: 55, width: 20, height: 10 })).toBe(true);
+  expect(rectsOverlap(cell, { left: 140, top: 50, width: 20, height: 10 })).toBe(false);
+  expect(rectsOverlap(cell, { left: 100, top: 70, width: 40, height: 10 })).toBe(false);
+});
@@ -0,0 +1,114 @@
+/*
+  Text search over pdf.js getTextContent() output
+  - buildPageText joins a page's items into one string and remembers where
+    every item starts, so matches can be mapped back to text-layer spans
+  - findMatches returns [{ start, end }] ranges in that string
+  - normalizeWithMap folds ligatures, dashes, quotes and line-end hyphenation
+    for tolerant comparisons (see quoteMatcher, figures)
+*/
+
+// { text, offsets } where offsets[i] is the index of items[i] in text
+export function buildPageText(items) {
+  let text = "";
+  const offsets = [];
+  (items || []).forEach((item, i) => {
+    offsets[i] = text.length;
+    text += item.str || "";
+    if (item.hasEOL) text += "\n";
+  });
+  return { text, offsets };
+}
+
+// Index of the item containing character `index` (offsets are ascending).
+export function itemAtOffset(offsets, index) {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= index) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Regex for a user query: any run of whitespace matches any other run (incl. line breaks).
+export function searchPattern(query, { caseSensitive = false, wholeWord = false } = {}) {
+  const words = (query || "").trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  let source = words.map(escapeRegExp).join("\\s+");
+  if (wholeWord) source = `(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`;
+  return new RegExp(source, caseSensitive ? "gu" : "giu");
+}
+
+export function findMatches(text, query, options) {
+  const re = searchPattern(query, options);
+  if (!re || !text) return [];
+  const matches = [];
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    matches.push({ start: m.index, end: m.index + m[0].length });
+    if (m[0].length === 0) re.lastIndex += 1;
+  }
+  return matches;
+}
+
+const DASHES = /[\u2010-\u2015\u2212\ufe58\ufe63\uff0d]/;
+const SINGLE_QUOTES = /[‘-‛′´`]/;
+const DOUBLE_QUOTES = /[“-‟″«»]/;
+const SOFT_HYPHEN = "\u00ad";
+const LINE_END_AFTER_HYPHEN = /[ \t\u00a0]*\n\s*/y;
+
+/*
+  Normalise text for comparison and keep, for every output character, the index
+  of the input character it came from.
+  compact: drop whitespace and hyphens entirely.
+*/
+export function normalizeWithMap(text, { caseSensitive = false, compact = false } = {}) {
+  let norm = "";
+  const map = [];
+  let pendingSpace = -1; // index of the whitespace run waiting to be emitted as one space
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === SOFT_HYPHEN) continue;
+    if (/\s/.test(ch)) {
+      if (!compact && norm.length && pendingSpace < 0) pendingSpace = i;
+      continue;
+    }
+
+    let out = ch.normalize("NFKC");
+    if (DASHES.test(out) || out === "-") {
+      // hyphen at a line end joins the word halves
+      LINE_END_AFTER_HYPHEN.lastIndex = i + 1;
+      if (LINE_END_AFTER_HYPHEN.test(text)) {
+        i = LINE_END_AFTER_HYPHEN.lastIndex - 1;
+        pendingSpace = -1;
+        continue;
+      }
+      out = "-";
+    } else if (SINGLE_QUOTES.test(out)) out = "'";
+    else if (DOUBLE_QUOTES.test(out)) out = '"';
+    if (!caseSensitive) out = out.toLowerCase();
+    if (compact && out === "-") continue;
+
+    if (pendingSpace >= 0) {
+      norm += " ";
+      map.push(pendingSpace);
+      pendingSpace = -1;
+    }
+    for (const c of out) {
+      norm += c;
+      map.push(i);
+    }
+  }
+  return { norm, map };
+}
+
+// "3 of 17" style label; `current` is 0-based, -1 when nothing is selected.
+export function matchCounterLabel({ total = 0, current = -1, pending = false } = {}) {
+  if (!total) return pending ? "Searching…" : "No matches";
+  const label = `${current >= 0 ? current + 1 : 0} of ${total}`;
+  return pending ? `${label}…` : label;
+}
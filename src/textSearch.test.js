@@ -0,0 +1,35 @@
+import { buildPageText, findMatches, itemAtOffset, matchCounterLabel } from "./textSearch";
+
+const items = [
+  { str: "EBITDA of USD 2.3 bn", hasEOL: true },
+  { str: "(USD 2.1 bn) driven by", hasEOL: false },
+  { str: " volume", hasEOL: false },
+];
+
+test("page text keeps item offsets and line breaks", () => {
+  const { text, offsets } = buildPageText(items);
+  expect(text).toBe("EBITDA of USD 2.3 bn\n(USD 2.1 bn) driven by volume");
+  expect(offsets).toEqual([0, 21, 43]);
+  expect(itemAtOffset(offsets, 0)).toBe(0);
+  expect(itemAtOffset(offsets, 21)).toBe(1);
+  expect(itemAtOffset(offsets, 45)).toBe(2);
+});
+
+test("matches across line breaks, case-insensitive by default", () => {
+  const { text } = buildPageText(items);
+  expect(findMatches(text, "bn (usd")).toEqual([{ start: 18, end: 25 }]);
+  expect(findMatches(text, "usd")).toHaveLength(2);
+  expect(findMatches(text, "usd", { caseSensitive: true })).toHaveLength(0);
+});
+
+test("whole-word option and special characters", () => {
+  expect(findMatches("EBITDA and EBIT", "EBIT", { wholeWord: true })).toEqual([{ start: 11, end: 15 }]);
+  expect(findMatches("net 25 (208)", "(208)", { wholeWord: true })).toEqual([{ start: 7, end: 12 }]);
+  expect(findMatches("anything", "   ")).toEqual([]);
+});
+
+test("counter label", () => {
+  expect(matchCounterLabel({ total: 17, current: 2 })).toBe("3 of 17");
+  expect(matchCounterLabel({ total: 4, current: 0, pending: true })).toBe("1 of 4…");
+  expect(matchCounterLabel({ total: 0 })).toBe("No matches");
+});
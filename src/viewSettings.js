@@ -0,0 +1,37 @@
+/*
+  View settings for a document: requested scale and extra rotation
+  - scale is a number (1 = 100 %) or one of the fit modes, which are resolved
+    against the container size whenever pages are laid out
+  - rotation is added to the page's own /Rotate, in steps of 90°
+*/
+
+export const FIT_WIDTH = "page-width";
+export const FIT_PAGE = "page-fit";
+
+export const DEFAULT_VIEW = { scale: 1.2, rotation: 0 };
+
+export const MIN_SCALE = 0.25;
+export const MAX_SCALE = 5;
+const SCALE_STEP = 1.1;
+
+// room taken by the viewer padding, page margins and a scrollbar
+const H_GUTTER = 32;
+const V_GUTTER = 36;
+
+const clampScale = (s) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, Math.round(s * 100) / 100));
+
+// Numeric scale for `scale` given the page's unscaled size and the viewer's client size.
+export function resolveScale(scale, pageSize, containerSize) {
+  if (typeof scale === "number") return clampScale(scale);
+  if (!pageSize || !containerSize || !pageSize.width || !pageSize.height) return DEFAULT_VIEW.scale;
+  const byWidth = (containerSize.width - H_GUTTER) / pageSize.width;
+  if (scale === FIT_WIDTH) return clampScale(byWidth);
+  const byHeight = (containerSize.height - V_GUTTER) / pageSize.height;
+  return clampScale(Math.min(byWidth, byHeight));
+}
+
+// Zooming always starts from the scale currently on screen, even in a fit mode.
+export const zoomIn = (resolved) => clampScale(resolved * SCALE_STEP);
+export const zoomOut = (resolved) => clampScale(resolved / SCALE_STEP);
+
+export const rotateClockwise = (rotation) => (rotation + 90) % 360;
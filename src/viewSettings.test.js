@@ -0,0 +1,22 @@
+import { FIT_PAGE, FIT_WIDTH, MAX_SCALE, MIN_SCALE, resolveScale, rotateClockwise, zoomIn, zoomOut } from "./viewSettings";
+
+const a4 = { width: 595, height: 842 };
+
+test("numeric scales are clamped", () => {
+  expect(resolveScale(1.5, a4, null)).toBe(1.5);
+  expect(resolveScale(50, a4, null)).toBe(MAX_SCALE);
+  expect(resolveScale(0.01, a4, null)).toBe(MIN_SCALE);
+});
+
+test("fit modes use the container size", () => {
+  const container = { width: 1222, height: 878 };
+  expect(resolveScale(FIT_WIDTH, a4, container)).toBe(2);
+  expect(resolveScale(FIT_PAGE, a4, container)).toBe(1);
+});
+
+test("zoom steps and rotation", () => {
+  expect(zoomIn(1)).toBe(1.1);
+  expect(zoomOut(1.1)).toBe(1);
+  expect(zoomIn(MAX_SCALE)).toBe(MAX_SCALE);
+  expect(rotateClockwise(270)).toBe(0);
+});